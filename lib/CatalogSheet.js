@@ -0,0 +1,362 @@
+/**
+ * Catalog spreadsheets: CSV/XLSX export of an owner's products, and parsing plus validation of
+ * imports. Import rows pick their media by filename from the files uploaded alongside the sheet.
+ * Nothing here talks to the database; the server applies the plan through ProductService.
+ */
+const ExcelJS = require('exceljs');
+const { parseStockCount } = require('./ProductService');
+
+const MAX_IMPORT_ROWS = 500;
+const MAX_ROW_MEDIA = 30;
+const MAX_TITLE_LENGTH = 120;
+
+// Export order. The same headers are read back on import, so an exported file round-trips.
+const CATALOG_COLUMNS = [
+    { key: 'id', header: 'ID' },
+    { key: 'title', header: 'Title' },
+    { key: 'description', header: 'Description' },
+    { key: 'price', header: 'Price' },
+    { key: 'size', header: 'Size' },
+    { key: 'color', header: 'Colour' },
+    { key: 'qty', header: 'Qty' },
+    { key: 'stock', header: 'Stock' },
+    { key: 'category', header: 'Category' },
+    { key: 'link', header: 'Link' },
+    { key: 'mediaUrls', header: 'Media URLs' },
+    { key: 'mediaFiles', header: 'Media files' }
+];
+
+// Header spellings sellers use in their own sheets, compared lower-case without spaces or punctuation.
+const HEADER_ALIASES = {
+    id: 'id',
+    productid: 'id',
+    title: 'title',
+    name: 'title',
+    productname: 'title',
+    description: 'description',
+    price: 'price',
+    size: 'size',
+    sizes: 'size',
+    colour: 'color',
+    color: 'color',
+    colours: 'color',
+    colors: 'color',
+    qty: 'qty',
+    quantity: 'qty',
+    stock: 'stock',
+    stockcount: 'stock',
+    instock: 'stock',
+    category: 'category',
+    link: 'link',
+    mediaurls: 'mediaUrls',
+    mediafiles: 'mediaFiles',
+    files: 'mediaFiles',
+    filename: 'mediaFiles',
+    filenames: 'mediaFiles',
+    image: 'mediaFiles',
+    images: 'mediaFiles',
+    photos: 'mediaFiles'
+};
+
+function importError(message) {
+    const err = new Error(message);
+    err.code = 'IMPORT_INVALID';
+    return err;
+}
+
+/**
+ * Spreadsheet apps run cells starting with = + - @ as formulas, so exported text gets a leading quote.
+ */
+function guardCell(value) {
+    const text = value == null ? '' : String(value);
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function unguardCell(value) {
+    const text = String(value ?? '').trim();
+    return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Header row plus one row per product. categoriesById maps category id to name.
+ */
+function catalogRows(products, categoriesById = {}) {
+    const rows = [CATALOG_COLUMNS.map((col) => col.header)];
+    (products || []).forEach((p) => {
+        const media = Array.isArray(p.mediaItems) && p.mediaItems.length
+            ? p.mediaItems.map((m) => m.sourceUrl || m.previewUrl).filter(Boolean)
+            : [p.previewUrl].filter(Boolean);
+        const values = {
+            id: p.id,
+            title: p.title || '',
+            description: p.description || '',
+            price: p.price || '',
+            size: p.size || '',
+            color: p.color || '',
+            qty: p.qty || '',
+            stock: p.stockCount != null ? String(p.stockCount) : '',
+            category: (p.categoryId && categoriesById[p.categoryId]) || '',
+            link: p.link || '',
+            mediaUrls: media.join(' | '),
+            mediaFiles: ''
+        };
+        rows.push(CATALOG_COLUMNS.map((col) => guardCell(values[col.key])));
+    });
+    return rows;
+}
+
+function toCsv(rows) {
+    const line = (row) => row
+        .map((cell) => {
+            const text = cell == null ? '' : String(cell);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(',');
+    // The BOM makes Excel open UTF-8 (₦, accents) correctly.
+    return '﻿' + rows.map(line).join('\r\n') + '\r\n';
+}
+
+/**
+ * RFC 4180 CSV to rows of strings. Sheets saved by Excel in some locales use ';', which is
+ * picked up from the header line.
+ */
+function parseCsv(text) {
+    const input = String(text || '').replace(/^﻿/, '');
+    const firstLine = input.split(/\r?\n/, 1)[0] || '';
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+async function toXlsx(rows) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Catalog');
+    rows.forEach((row) => sheet.addRow(row));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    sheet.columns.forEach((column) => { column.width = 18; });
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function cellText(value) {
+    if (value == null) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+        if (value.text != null) return cellText(value.text);
+        if (value.result != null) return cellText(value.result);
+        return '';
+    }
+    return String(value);
+}
+
+async function readXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (err) {
+        throw importError('Could not read that spreadsheet. Save it as .xlsx or .csv and try again.');
+    }
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        const values = [];
+        for (let col = 1; col <= row.cellCount; col++) values.push(cellText(row.getCell(col).value));
+        rows[rowNumber - 1] = values;
+    });
+    return Array.from(rows, (row) => row || []);
+}
+
+/**
+ * Rows of strings from an uploaded .csv or .xlsx. XLSX files are zip archives, so they are
+ * recognised by their "PK" signature as well as by name.
+ */
+async function readCatalogSheet(buffer, filename = '') {
+    const data = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer || '');
+    if (!data.length) throw importError('The spreadsheet is empty.');
+    const isXlsx = /\.xlsx$/i.test(filename) || (data[0] === 0x50 && data[1] === 0x4b);
+    return isXlsx ? readXlsx(data) : parseCsv(data.toString('utf8'));
+}
+
+function splitList(value) {
+    return String(value || '')
+        .split(/[|;,\n]/)
+        .map((part) => part.trim())
+        .filter(Boolean);
+}
+
+function fileKey(name) {
+    return String(name || '').split(/[\\/]/).pop().trim().toLowerCase();
+}
+
+/**
+ * Sheet rows to records keyed by column (see HEADER_ALIASES). rowNumber is the spreadsheet row,
+ * so errors can point at it. Fully blank rows are dropped.
+ */
+function sheetRecords(rows) {
+    const [header = [], ...body] = Array.isArray(rows) ? rows : [];
+    const keys = header.map((cell) => HEADER_ALIASES[String(cell || '').toLowerCase().replace(/[^a-z]/g, '')] || null);
+    if (!keys.some(Boolean)) throw importError('The first row must name the columns, e.g. Title, Price, Media files.');
+    const columns = new Set(keys.filter(Boolean));
+    const records = [];
+    body.forEach((row, idx) => {
+        const values = {};
+        keys.forEach((key, col) => {
+            if (key && values[key] === undefined) values[key] = unguardCell(row[col]);
+        });
+        if (!Object.values(values).some(Boolean)) return;
+        records.push({ rowNumber: idx + 2, values });
+    });
+    if (records.length > MAX_IMPORT_ROWS) throw importError(`Import at most ${MAX_IMPORT_ROWS} rows at a time.`);
+    return { columns, records };
+}
+
+/**
+ * Validate records against the owner's catalog and work out what each row will do.
+ * products are the owner's current products (list() shape), categories are { id, name },
+ * mediaNames are the filenames uploaded with the sheet, and normalizePrice formats price text.
+ * Returns { rows: [{ rowNumber, action, title, errors, productId, changes, stockCount, mediaFiles }], summary }.
+ * action is 'create', 'update', 'unchanged' or 'error'.
+ */
+function planImport({ columns, records }, { products = [], categories = [], mediaNames = [], normalizePrice = (v) => v } = {}) {
+    const productsById = new Map(products.map((p) => [String(p.id), p]));
+    const categoriesByName = new Map(categories.map((c) => [String(c.name || '').trim().toLowerCase(), c]));
+    const uploaded = new Map(mediaNames.map((name) => [fileKey(name), name]));
+    const seenIds = new Map();
+    const claimedFiles = new Map();
+
+    const rows = records.map(({ rowNumber, values }) => {
+        const errors = [];
+        const id = values.id || '';
+        const existing = id ? productsById.get(id) : null;
+        if (id && !existing) errors.push(`No product with ID ${id} in your catalog.`);
+        if (id && seenIds.has(id)) errors.push(`This product is already on row ${seenIds.get(id)}.`);
+        if (id) seenIds.set(id, rowNumber);
+
+        const fields = {};
+        if (columns.has('title')) {
+            fields.title = String(values.title || '').replace(/\s+/g, ' ').trim();
+            if (fields.title.length > MAX_TITLE_LENGTH) errors.push(`Title is longer than ${MAX_TITLE_LENGTH} characters.`);
+        }
+        if (columns.has('description')) fields.description = String(values.description || '').trim();
+        if (columns.has('price')) fields.price = normalizePrice(values.price);
+        ['size', 'color', 'qty'].forEach((key) => {
+            if (columns.has(key)) fields[key] = String(values[key] || '').trim();
+        });
+        if (columns.has('category')) {
+            const name = String(values.category || '').trim();
+            const category = name ? categoriesByName.get(name.toLowerCase()) : null;
+            if (name && !category) errors.push(`Unknown category "${name}". Create it in the Studio first.`);
+            fields.categoryId = category ? category.id : null;
+        }
+
+        let stockCount;
+        if (columns.has('stock') && String(values.stock || '').trim() !== '') {
+            stockCount = parseStockCount(values.stock);
+            if (stockCount == null) errors.push('Stock must be a whole number.');
+        }
+
+        const mediaFiles = [];
+        splitList(values.mediaFiles).forEach((name) => {
+            const key = fileKey(name);
+            if (!uploaded.has(key)) {
+                errors.push(`"${name}" was not uploaded with the sheet.`);
+            } else if (claimedFiles.has(key) && claimedFiles.get(key) !== rowNumber) {
+                errors.push(`"${name}" is already used on row ${claimedFiles.get(key)}.`);
+            } else if (!mediaFiles.includes(uploaded.get(key))) {
+                claimedFiles.set(key, rowNumber);
+                mediaFiles.push(uploaded.get(key));
+            }
+        });
+        if (mediaFiles.length > MAX_ROW_MEDIA) errors.push(`A product can have at most ${MAX_ROW_MEDIA} photos and videos.`);
+        if (!id && !mediaFiles.length && !errors.length) errors.push('New products need at least one file under Media files.');
+
+        const title = fields.title ?? existing?.title ?? '';
+        if (errors.length) return { rowNumber, action: 'error', title, errors, productId: id || null };
+
+        if (!existing) {
+            return {
+                rowNumber,
+                action: 'create',
+                title,
+                errors,
+                productId: null,
+                changes: { ...fields, price: fields.price || normalizePrice('') },
+                stockCount: stockCount ?? parseStockCount(fields.qty),
+                mediaFiles
+            };
+        }
+
+        const changes = {};
+        Object.keys(fields).forEach((key) => {
+            const current = key === 'categoryId' ? (existing.categoryId || null) : String(existing[key] ?? '');
+            if (fields[key] !== current) changes[key] = fields[key];
+        });
+        if (changes.price === '') changes.price = normalizePrice('');
+        const stockChanged = stockCount !== undefined && stockCount !== existing.stockCount;
+        if (stockChanged && existing.variantCount > 0) {
+            return { rowNumber, action: 'error', title, errors: ['Stock is set per option for this product; edit it in the Studio.'], productId: id };
+        }
+        const changed = Object.keys(changes).length || stockChanged || mediaFiles.length;
+        return {
+            rowNumber,
+            action: changed ? 'update' : 'unchanged',
+            title,
+            errors,
+            productId: id,
+            changes,
+            stockCount: stockChanged ? stockCount : undefined,
+            mediaFiles
+        };
+    });
+
+    const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+    rows.forEach((row) => { summary[row.action] += 1; });
+    return { rows, summary };
+}
+
+module.exports = {
+    CATALOG_COLUMNS,
+    MAX_IMPORT_ROWS,
+    catalogRows,
+    toCsv,
+    parseCsv,
+    toXlsx,
+    readCatalogSheet,
+    sheetRecords,
+    planImport
+};
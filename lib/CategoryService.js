@@ -1,10 +1,66 @@
 /**
  * Category service. CRUD for owner-scoped product categories.
+ * Categories nest one level deep (Shoes › Sneakers): a category with a parent cannot have children.
+ * sort_order sets the storefront order among siblings; new categories go last.
+ * Slugs are unique per owner and follow renames; the old ones stay in previous_slugs so shared
+ * /s/:storeSlug/c/:categorySlug links keep working.
  */
+const CATEGORY_COLUMNS = 'id, name, slug, sort_order, description, cover_public_id, cover_url, parent_id';
+// Before covers, descriptions and nesting were added.
+const LEGACY_CATEGORY_COLUMNS = 'id, name, slug, sort_order';
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_SLUG_LENGTH = 64;
+
+function categoryError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function mapCategoryRow(r) {
+    return {
+        id: r.id,
+        name: r.name,
+        slug: r.slug,
+        sortOrder: r.sort_order,
+        description: r.description || '',
+        coverPublicId: r.cover_public_id || '',
+        coverUrl: r.cover_url || '',
+        parentId: r.parent_id || null
+    };
+}
+
+/**
+ * Nest a flat, ordered category list: top-level categories, each with its subcategories in `children`.
+ * A subcategory whose parent is gone is shown at the top level.
+ */
+function categoryTree(categories) {
+    const list = categories || [];
+    const ids = new Set(list.map((c) => c.id));
+    const roots = list
+        .filter((c) => !c.parentId || !ids.has(c.parentId))
+        .map((c) => ({ ...c, children: [] }));
+    const byId = new Map(roots.map((c) => [c.id, c]));
+    for (const c of list) {
+        const parent = c.parentId && byId.get(c.parentId);
+        if (parent) parent.children.push({ ...c, children: [] });
+    }
+    return roots;
+}
+
+/**
+ * The category plus its subcategories' ids, so filtering by a parent includes its children's products.
+ */
+function categoryIdsWithChildren(categories, id) {
+    if (!id) return [];
+    return [id, ...(categories || []).filter((c) => c.parentId === id).map((c) => c.id)];
+}
+
 class CategoryService {
     constructor(supabaseClient) {
         this.supabase = supabaseClient;
         this.table = 'categories';
+        this.productsTable = 'products';
     }
 
     slugify(name) {
@@ -13,59 +69,108 @@ class CategoryService {
             .toLowerCase()
             .replace(/[^a-z0-9]+/g, '-')
             .replace(/^-+|-+$/g, '')
-            .slice(0, 64) || 'uncategorized';
+            .slice(0, MAX_SLUG_LENGTH) || 'uncategorized';
     }
 
     async list(ownerId) {
         if (!this.supabase || !ownerId) return [];
-        const { data, error } = await this.supabase
+        const run = (columns) => this.supabase
             .from(this.table)
-            .select('id, name, slug, sort_order')
+            .select(columns)
             .eq('owner_id', ownerId)
             .order('sort_order', { ascending: true })
             .order('name', { ascending: true });
+        let { data, error } = await run(CATEGORY_COLUMNS);
+        if (error && error.code === '42703') {
+            ({ data, error } = await run(LEGACY_CATEGORY_COLUMNS));
+        }
         if (error) throw error;
-        return (data || []).map(r => ({
-            id: r.id,
-            name: r.name,
-            slug: r.slug,
-            sortOrder: r.sort_order
-        }));
+        return (data || []).map(mapCategoryRow);
     }
 
-    async create({ ownerId, name }) {
-        if (!this.supabase || !ownerId || !name) throw new Error('ownerId and name required');
-        const slug = this.slugify(name);
-        const { data: existing } = await this.supabase
+    async get(id, ownerId) {
+        if (!this.supabase || !id || !ownerId) return null;
+        const { data, error } = await this.supabase
             .from(this.table)
-            .select('id')
+            .select(CATEGORY_COLUMNS)
+            .eq('id', id)
+            .eq('owner_id', ownerId)
+            .maybeSingle();
+        if (error) throw error;
+        return data ? mapCategoryRow(data) : null;
+    }
+
+    /**
+     * A store's category by its current slug, or by one it had before a rename. Callers redirect
+     * when the returned slug differs from the one asked for. Returns null if not found.
+     */
+    async getBySlug(ownerId, slug) {
+        if (!this.supabase || !ownerId) return null;
+        const safeSlug = this.slugify(slug);
+        if (!slug || safeSlug !== String(slug).trim().toLowerCase()) return null;
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .select(CATEGORY_COLUMNS)
+            .eq('owner_id', ownerId)
+            .eq('slug', safeSlug)
+            .maybeSingle();
+        if (error) throw error;
+        if (data) return mapCategoryRow(data);
+
+        const { data: aliased, error: aliasErr } = await this.supabase
+            .from(this.table)
+            .select(CATEGORY_COLUMNS)
             .eq('owner_id', ownerId)
-            .eq('slug', slug)
+            .contains('previous_slugs', [safeSlug])
+            .limit(1)
             .maybeSingle();
-        let finalSlug = slug;
-        if (existing) {
-            finalSlug = `${slug}-${Date.now().toString(36).slice(-6)}`;
+        if (aliasErr) {
+            if (aliasErr.code === '42703') return null;
+            throw aliasErr;
         }
+        return aliased ? mapCategoryRow(aliased) : null;
+    }
+
+    async create({ ownerId, name, description, parentId = null }) {
+        if (!this.supabase || !ownerId || !name) throw new Error('ownerId and name required');
+        if (parentId) await this._checkParent(ownerId, null, parentId);
+        const row = {
+            owner_id: ownerId,
+            name: String(name).trim(),
+            slug: await this._availableSlug(ownerId, this.slugify(name)),
+            sort_order: await this._nextSortOrder(ownerId)
+        };
+        if (description != null) row.description = this._description(description);
+        if (parentId) row.parent_id = parentId;
         const { data, error } = await this.supabase
             .from(this.table)
-            .insert({
-                owner_id: ownerId,
-                name: String(name).trim(),
-                slug: finalSlug,
-                sort_order: 0
-            })
-            .select('id, name, slug')
+            .insert(row)
+            .select(CATEGORY_COLUMNS)
             .single();
         if (error) throw error;
-        return { id: data.id, name: data.name, slug: data.slug };
+        return mapCategoryRow(data);
     }
 
-    async update(id, ownerId, { name }) {
+    /**
+     * Update name, description (empty clears it), parentId (null moves it to the top level)
+     * and cover ({ publicId, url }, or null to remove it). Returns the category, or null when nothing changed.
+     * A rename moves the slug and keeps the old one as an alias.
+     */
+    async update(id, ownerId, { name, description, parentId, cover } = {}) {
         if (!this.supabase || !id || !ownerId) throw new Error('id and ownerId required');
         const updates = {};
         if (name != null) {
             updates.name = String(name).trim();
-            updates.slug = this.slugify(name);
+            Object.assign(updates, await this._renamedSlug(id, ownerId, updates.name));
+        }
+        if (description !== undefined) updates.description = this._description(description);
+        if (parentId !== undefined) {
+            if (parentId) await this._checkParent(ownerId, id, parentId);
+            updates.parent_id = parentId || null;
+        }
+        if (cover !== undefined) {
+            updates.cover_public_id = cover?.publicId || null;
+            updates.cover_url = cover?.url || null;
         }
         if (Object.keys(updates).length === 0) return null;
         const { data, error } = await this.supabase
@@ -73,21 +178,209 @@ class CategoryService {
             .update(updates)
             .eq('id', id)
             .eq('owner_id', ownerId)
-            .select('id, name, slug')
+            .select(CATEGORY_COLUMNS)
             .single();
         if (error) throw error;
-        return data ? { id: data.id, name: data.name, slug: data.slug } : null;
+        return data ? mapCategoryRow(data) : null;
+    }
+
+    /**
+     * Save a drag-and-drop order: `ids` lists the owner's categories in their new order and each
+     * gets its position as sort_order. Returns the updated list.
+     */
+    async reorder(ownerId, ids) {
+        if (!this.supabase || !ownerId) throw new Error('ownerId required');
+        const order = Array.isArray(ids) ? ids.map((id) => String(id || '').trim()) : [];
+        if (!order.length || new Set(order).size !== order.length) {
+            throw categoryError('CATEGORY_INVALID', 'Send each category id once, in the new order.');
+        }
+        const known = new Set((await this.list(ownerId)).map((c) => c.id));
+        if (order.some((id) => !known.has(id))) {
+            throw categoryError('CATEGORY_INVALID', 'One or more categories were not found.');
+        }
+        for (const [index, id] of order.entries()) {
+            const { error } = await this.supabase
+                .from(this.table)
+                .update({ sort_order: index })
+                .eq('id', id)
+                .eq('owner_id', ownerId);
+            if (error) throw error;
+        }
+        return this.list(ownerId);
     }
 
-    async delete(id, ownerId) {
+    /**
+     * What deleting a category would touch: { products, subcategories } counts. Null if not found.
+     */
+    async usage(id, ownerId) {
+        if (!this.supabase || !id || !ownerId) return null;
+        const category = await this.get(id, ownerId);
+        if (!category) return null;
+        const [{ count: products, error: productsErr }, { count: subcategories, error: childrenErr }] = await Promise.all([
+            this.supabase
+                .from(this.productsTable)
+                .select('id', { count: 'exact', head: true })
+                .eq('owner_id', ownerId)
+                .eq('category_id', id),
+            this.supabase
+                .from(this.table)
+                .select('id', { count: 'exact', head: true })
+                .eq('owner_id', ownerId)
+                .eq('parent_id', id)
+        ]);
+        if (productsErr) throw productsErr;
+        if (childrenErr) throw childrenErr;
+        return { products: products || 0, subcategories: subcategories || 0 };
+    }
+
+    /**
+     * Delete a category, first moving its products to `reassignTo` (another of the owner's categories)
+     * or leaving them uncategorised when it is null. Both happen in one transaction through the
+     * delete_category database function. Subcategories move to the top level.
+     * Returns { moved } (products moved), or null if the category was not found.
+     */
+    async delete(id, ownerId, { reassignTo = null } = {}) {
         if (!this.supabase || !id || !ownerId) throw new Error('id and ownerId required');
+        const target = reassignTo ? String(reassignTo).trim() : null;
+        if (target && target === id) {
+            throw categoryError('CATEGORY_INVALID', 'Choose a different category to move the products into.');
+        }
+        if (target && !(await this.get(target, ownerId))) {
+            throw categoryError('CATEGORY_INVALID', 'The category to move the products into was not found.');
+        }
+
+        const { data, error } = await this.supabase.rpc('delete_category', {
+            p_owner_id: ownerId,
+            p_category_id: id,
+            p_reassign_to: target
+        });
+        if (!error) return { moved: Number(data) || 0 };
+        // no_data_found: raised by the function when the category is not the owner's.
+        if (error.code === 'P0002') return null;
+        if (error.code !== 'PGRST202' && error.code !== '42883') throw error;
+        return this._deleteInSteps(id, ownerId, target);
+    }
+
+    /**
+     * For databases without delete_category yet: move the products, then delete. A failure between
+     * the two leaves the products moved and the category in place, never products silently uncategorised.
+     */
+    async _deleteInSteps(id, ownerId, target) {
+        if (!(await this.get(id, ownerId))) return null;
+        const { data: moved, error: moveErr } = await this.supabase
+            .from(this.productsTable)
+            .update({ category_id: target })
+            .eq('owner_id', ownerId)
+            .eq('category_id', id)
+            .select('id');
+        if (moveErr) throw moveErr;
         const { error } = await this.supabase
             .from(this.table)
             .delete()
             .eq('id', id)
             .eq('owner_id', ownerId);
         if (error) throw error;
+        return { moved: (moved || []).length };
+    }
+
+    /**
+     * Slug columns for renaming category `id` to `name`: the new slug, with the old one added to
+     * previous_slugs. Empty when the slug stays the same.
+     */
+    async _renamedSlug(id, ownerId, name) {
+        let { data, error } = await this.supabase
+            .from(this.table)
+            .select('slug, previous_slugs')
+            .eq('id', id)
+            .eq('owner_id', ownerId)
+            .maybeSingle();
+        let hasAliases = true;
+        if (error && error.code === '42703') {
+            hasAliases = false;
+            ({ data, error } = await this.supabase
+                .from(this.table)
+                .select('slug')
+                .eq('id', id)
+                .eq('owner_id', ownerId)
+                .maybeSingle());
+        }
+        if (error) throw error;
+        if (!data) return {};
+        const base = this.slugify(name);
+        if (data.slug === base) return {};
+        const slug = await this._availableSlug(ownerId, base, id);
+        if (slug === data.slug) return {};
+        const updates = { slug };
+        if (hasAliases) {
+            const previous = Array.isArray(data.previous_slugs) ? data.previous_slugs : [];
+            updates.previous_slugs = [...new Set([...previous, data.slug])].filter((old) => old && old !== slug);
+        }
+        return updates;
+    }
+
+    /**
+     * First free slug for an owner: base, then base-2, base-3, ...
+     * excludeId skips the category being renamed so it can keep its own slug.
+     */
+    async _availableSlug(ownerId, base, excludeId = null) {
+        const root = base || 'uncategorized';
+        let query = this.supabase
+            .from(this.table)
+            .select('id, slug')
+            .eq('owner_id', ownerId)
+            .like('slug', `${root}%`);
+        if (excludeId) query = query.neq('id', excludeId);
+        const { data, error } = await query;
+        if (error) throw error;
+        const taken = new Set((data || []).map((row) => row.slug));
+        if (!taken.has(root)) return root;
+        for (let n = 2; ; n++) {
+            const candidate = `${root.slice(0, MAX_SLUG_LENGTH - String(n).length - 1)}-${n}`;
+            if (!taken.has(candidate)) return candidate;
+        }
+    }
+
+    _description(value) {
+        return String(value || '').trim().slice(0, MAX_DESCRIPTION_LENGTH) || null;
+    }
+
+    async _nextSortOrder(ownerId) {
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .select('sort_order')
+            .eq('owner_id', ownerId)
+            .order('sort_order', { ascending: false })
+            .limit(1);
+        if (error) throw error;
+        const last = data && data[0] ? Number(data[0].sort_order) : -1;
+        return Number.isFinite(last) ? last + 1 : 0;
+    }
+
+    /**
+     * Throws CATEGORY_INVALID unless parentId can hold category `id` (null for a new category):
+     * the parent must be the owner's own top-level category, and `id` must not have subcategories itself.
+     */
+    async _checkParent(ownerId, id, parentId) {
+        if (id && parentId === id) {
+            throw categoryError('CATEGORY_INVALID', 'A category cannot be its own parent.');
+        }
+        const parent = await this.get(parentId, ownerId);
+        if (!parent) throw categoryError('CATEGORY_INVALID', 'Parent category not found.');
+        if (parent.parentId) {
+            throw categoryError('CATEGORY_INVALID', 'Subcategories cannot have subcategories of their own.');
+        }
+        if (!id) return;
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .select('id')
+            .eq('owner_id', ownerId)
+            .eq('parent_id', id)
+            .limit(1);
+        if (error) throw error;
+        if (data && data.length) {
+            throw categoryError('CATEGORY_INVALID', 'This category has subcategories, so it cannot be moved under another one.');
+        }
     }
 }
 
-module.exports = { CategoryService };
+module.exports = { CategoryService, categoryTree, categoryIdsWithChildren };
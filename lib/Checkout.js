@@ -0,0 +1,116 @@
+/**
+ * Starts a multi-store checkout: one order and one provider transaction per selling store.
+ * Every order is created before any provider is called, so only provider calls can fail part-way.
+ */
+
+const ABANDON_NOTE = 'Checkout could not be started for every store';
+
+function newOrderReference() {
+    return 'ord_' + Date.now() + '_' + Math.random().toString(36).slice(2, 9);
+}
+
+/**
+ * Settle the orders of a checkout that could not start for every store.
+ * Orders with no provider transaction are cancelled. Orders whose transaction was started (or may
+ * have been, when its initialize call failed) are marked failed instead: the buyer can still pay
+ * that transaction, and failed -> paid lets the payment settle.
+ */
+async function abandonCheckout(stores, orderService) {
+    for (const result of stores) {
+        if (!result.reference) continue;
+        const status = result.status === 'not_started' ? 'cancelled' : 'failed';
+        try {
+            await orderService.transition(result.reference, status, { note: ABANDON_NOTE });
+            if (status === 'cancelled') result.status = 'cancelled';
+        } catch (err) {
+            console.error('Could not close checkout order', result.reference, err.message);
+        }
+    }
+}
+
+/**
+ * plans: [{ group, store, provider, subaccount }], one per store from groupLinesByOwner.
+ * initializeOptions(plan, reference) supplies the per-store metadata, split and callbackUrl.
+ * Resolves { ok, checkouts, stores, failedStore, error }; stores reports each store's reference and
+ * status (not_started, started, failed or cancelled) either way.
+ */
+async function startCheckouts(plans, {
+    orderService,
+    email,
+    buyerId = null,
+    currency,
+    initializeOptions = () => ({}),
+    newReference = newOrderReference
+}) {
+    const stores = plans.map(({ store }) => ({
+        storeId: store?.id || null,
+        storeName: store?.name || '',
+        reference: null,
+        status: 'not_started'
+    }));
+    const fail = async (planIndex, err) => {
+        stores[planIndex].status = 'failed';
+        stores[planIndex].error = err.message;
+        await abandonCheckout(stores, orderService);
+        return { ok: false, checkouts: [], stores, failedStore: plans[planIndex].store || null, error: err };
+    };
+
+    for (const [planIndex, { group, store, provider }] of plans.entries()) {
+        const reference = newReference();
+        try {
+            await orderService.create(
+                reference,
+                email,
+                group.totalKobo,
+                group.lines.map(({ index, ...line }) => line),
+                {
+                    ownerId: group.ownerId,
+                    storeId: store?.id || null,
+                    buyerId,
+                    provider: provider.name,
+                    currency
+                }
+            );
+        } catch (err) {
+            return fail(planIndex, err);
+        }
+        stores[planIndex].reference = reference;
+    }
+
+    const checkouts = [];
+    for (const [planIndex, plan] of plans.entries()) {
+        const { group, store, provider, subaccount } = plan;
+        const { reference } = stores[planIndex];
+        let started;
+        try {
+            started = await provider.initialize({
+                email,
+                amountMinor: group.totalKobo,
+                currency,
+                reference,
+                ...initializeOptions(plan, reference)
+            });
+        } catch (err) {
+            return fail(planIndex, err);
+        }
+        stores[planIndex].status = 'started';
+        checkouts.push({
+            reference,
+            provider: provider.name,
+            authorizationUrl: started.authorizationUrl,
+            accessCode: started.accessCode,
+            amountKobo: group.totalKobo,
+            storeId: store?.id || null,
+            storeName: store?.name || '',
+            storeSlug: store?.slug || '',
+            splitPayment: !!subaccount,
+            lineIndexes: group.lines.map((line) => line.index)
+        });
+    }
+    return { ok: true, checkouts, stores, failedStore: null, error: null };
+}
+
+module.exports = {
+    startCheckouts,
+    abandonCheckout
+};
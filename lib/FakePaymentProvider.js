@@ -0,0 +1,127 @@
+/**
+ * In-memory payment provider for local development and tests. No network calls:
+ * transactions live in a Map and are completed through complete() or the /payment/fake page.
+ */
+const crypto = require('crypto');
+const { PaymentProvider, PAYMENT_EVENT_TYPES } = require('./PaymentProvider');
+
+class FakePaymentProvider extends PaymentProvider {
+    constructor({ secret = 'fake_webhook_secret', basePath = '/payment/fake' } = {}) {
+        super('fake');
+        this.secret = secret;
+        this.basePath = basePath;
+        this.transactions = new Map();
+        this.refunds = [];
+        this._sequence = 0;
+    }
+
+    async initialize({ email, amountMinor, currency = 'NGN', reference, metadata, split, callbackUrl }) {
+        this.transactions.set(reference, {
+            reference,
+            email,
+            amountMinor: Math.round(Number(amountMinor)),
+            currency: String(currency || 'NGN').toUpperCase(),
+            metadata: metadata || {},
+            split: split || null,
+            callbackUrl: callbackUrl || '',
+            status: 'pending',
+            paidAt: null,
+            transactionId: 'fake_' + (++this._sequence),
+            refundedMinor: 0
+        });
+        return {
+            reference,
+            authorizationUrl: `${this.basePath}/${encodeURIComponent(reference)}`,
+            accessCode: ''
+        };
+    }
+
+    /**
+     * Settle a pending transaction as success or failed. Returns the normalized charge, or null if unknown.
+     */
+    complete(reference, outcome = 'success') {
+        const tx = this.transactions.get(reference);
+        if (!tx) return null;
+        if (tx.status === 'pending') {
+            tx.status = outcome === 'success' ? 'success' : 'failed';
+            tx.paidAt = tx.status === 'success' ? new Date().toISOString() : null;
+        }
+        return this._mapCharge(tx);
+    }
+
+    async verify(reference) {
+        const tx = this.transactions.get(reference);
+        if (!tx) throw new Error('Transaction not found');
+        return this._mapCharge(tx);
+    }
+
+    sign(rawBody) {
+        return crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex');
+    }
+
+    /**
+     * Signed webhook delivery for a stored transaction, as { rawBody, headers, body }.
+     * type is one of PAYMENT_EVENT_TYPES.
+     */
+    buildWebhook(type, reference, amountMinor) {
+        const tx = this.transactions.get(reference);
+        const body = {
+            event: type,
+            data: {
+                id: 'evt_' + (++this._sequence),
+                reference,
+                amount: amountMinor != null ? amountMinor : (tx?.amountMinor || 0),
+                charge: tx ? this._mapCharge(tx) : null
+            }
+        };
+        const rawBody = Buffer.from(JSON.stringify(body));
+        return { rawBody, headers: { 'x-fake-signature': this.sign(rawBody) }, body };
+    }
+
+    parseWebhook(rawBody, headers, body) {
+        const given = String(headers?.['x-fake-signature'] || '');
+        const expected = rawBody ? this.sign(rawBody) : '';
+        if (!given || given.length !== expected.length) return { valid: false };
+        if (!crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) return { valid: false };
+        const event = String(body?.event || '');
+        const data = body?.data || {};
+        const type = PAYMENT_EVENT_TYPES.includes(event) ? event : null;
+        return {
+            valid: true,
+            event,
+            eventKey: data.id ? `fake:${data.id}` : '',
+            type,
+            reference: String(data.reference || ''),
+            charge: type === 'refund.processed' ? null : (data.charge || null),
+            amountMinor: Number(data.amount) || 0
+        };
+    }
+
+    async refund(reference, amountMinor) {
+        const tx = this.transactions.get(reference);
+        if (!tx || tx.status !== 'success') throw new Error('Only successful transactions can be refunded');
+        const remaining = tx.amountMinor - tx.refundedMinor;
+        const amount = Number(amountMinor) > 0 ? Math.round(Number(amountMinor)) : remaining;
+        if (amount > remaining) throw new Error('Refund exceeds the amount left on this transaction');
+        tx.refundedMinor += amount;
+        this.refunds.push({ reference, amountMinor: amount });
+        return { status: 'processed', amountMinor: amount };
+    }
+
+    supportsSplit() {
+        return true;
+    }
+
+    _mapCharge(tx) {
+        return {
+            reference: tx.reference,
+            status: tx.status,
+            amountMinor: tx.amountMinor,
+            currency: tx.currency,
+            paidAt: tx.paidAt,
+            transactionId: tx.transactionId
+        };
+    }
+}
+
+module.exports = { FakePaymentProvider };
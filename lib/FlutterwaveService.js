@@ -0,0 +1,134 @@
+/**
+ * Flutterwave API service (OOP). Implements PaymentProvider with the v3 Standard checkout.
+ * Flutterwave amounts are in major units; this class converts to and from minor units.
+ */
+const crypto = require('crypto');
+const { PaymentProvider } = require('./PaymentProvider');
+
+class FlutterwaveService extends PaymentProvider {
+    /**
+     * secretHash is the value set under Settings > Webhooks; Flutterwave echoes it in the verif-hash header.
+     */
+    constructor(secretKey, { secretHash = '' } = {}) {
+        super('flutterwave');
+        this.secretKey = secretKey;
+        this.secretHash = secretHash;
+        this.baseUrl = 'https://api.flutterwave.com/v3';
+    }
+
+    async _request(method, path, body) {
+        const options = {
+            method,
+            headers: {
+                Authorization: 'Bearer ' + this.secretKey,
+                'Content-Type': 'application/json'
+            }
+        };
+        if (body && method === 'POST') options.body = JSON.stringify(body);
+        const res = await fetch(this.baseUrl + path, options);
+        const data = await res.json();
+        if (data.status !== 'success') throw new Error(data.message || 'Flutterwave request failed');
+        return data;
+    }
+
+    /**
+     * Standard checkout: the shopper is redirected to the hosted page and back to callbackUrl.
+     * split.subaccount is a Flutterwave subaccount id when the seller settles directly.
+     */
+    async initialize({ email, amountMinor, currency = 'NGN', reference, metadata, split, callbackUrl }) {
+        const body = {
+            tx_ref: reference,
+            amount: Math.round(Number(amountMinor)) / 100,
+            currency: String(currency || 'NGN').toUpperCase(),
+            redirect_url: callbackUrl,
+            customer: { email },
+            meta: metadata || {}
+        };
+        if (split?.subaccount) {
+            const entry = { id: split.subaccount };
+            if (Number(split.transactionCharge) > 0) {
+                entry.transaction_charge_type = 'flat';
+                entry.transaction_charge = Math.round(Number(split.transactionCharge)) / 100;
+            }
+            body.subaccounts = [entry];
+        }
+        const data = await this._request('POST', '/payments', body);
+        return {
+            reference,
+            authorizationUrl: data.data.link,
+            accessCode: ''
+        };
+    }
+
+    async verify(reference) {
+        const query = new URLSearchParams({ tx_ref: reference });
+        const data = await this._request('GET', '/transactions/verify_by_reference?' + query.toString());
+        return this._mapCharge(data.data);
+    }
+
+    /**
+     * The verif-hash header is a shared secret, not a signature over the body, so the payload is
+     * not trusted: charge and amountMinor are left null. Callers verify the reference before settling
+     * a charge, and settle refunds only against what the app itself reserved.
+     */
+    parseWebhook(rawBody, headers, body) {
+        const given = String(headers?.['verif-hash'] || '');
+        if (!this.secretHash || !given || given.length !== this.secretHash.length) return { valid: false };
+        if (!crypto.timingSafeEqual(Buffer.from(given), Buffer.from(this.secretHash))) return { valid: false };
+
+        const event = String(body?.event || '');
+        const data = body?.data || {};
+        let type = null;
+        if (event === 'charge.completed') {
+            type = data.status === 'successful' ? 'payment.success' : (data.status === 'failed' ? 'payment.failed' : null);
+        } else if (event === 'refund.completed') {
+            type = 'refund.processed';
+        }
+        const reference = String(data.tx_ref || data.TransactionRef || '');
+        const keyPart = data.id != null ? String(data.id) : reference;
+        return {
+            valid: true,
+            event,
+            eventKey: keyPart ? `flutterwave:${event}:${keyPart}` : '',
+            type,
+            reference,
+            charge: null,
+            amountMinor: null
+        };
+    }
+
+    /**
+     * Refunds go against the Flutterwave transaction id, so the reference is looked up first.
+     */
+    async refund(reference, amountMinor) {
+        const charge = await this.verify(reference);
+        if (!charge.transactionId) throw new Error('Flutterwave transaction not found');
+        const body = {};
+        if (Number(amountMinor) > 0) body.amount = Math.round(Number(amountMinor)) / 100;
+        const data = await this._request('POST', '/transactions/' + encodeURIComponent(charge.transactionId) + '/refund', body);
+        return {
+            status: String(data.data?.status || 'pending'),
+            amountMinor: Math.round((Number(data.data?.amount_refunded) || Number(body.amount) || charge.amountMinor / 100) * 100)
+        };
+    }
+
+    supportsSplit() {
+        return true;
+    }
+
+    _mapCharge(tx) {
+        let status = 'pending';
+        if (tx?.status === 'successful') status = 'success';
+        else if (tx?.status === 'failed') status = 'failed';
+        return {
+            reference: String(tx?.tx_ref || ''),
+            status,
+            amountMinor: Math.round((Number(tx?.amount) || 0) * 100),
+            currency: String(tx?.currency || 'NGN').toUpperCase(),
+            paidAt: status === 'success' ? (tx?.created_at || null) : null,
+            transactionId: tx?.id != null ? String(tx.id) : ''
+        };
+    }
+}
+
+module.exports = { FlutterwaveService };
@@ -0,0 +1,177 @@
+/**
+ * In-memory job queue for bulk upload ingestion.
+ * One job per batch, processed one at a time; within a job each product is handed to `processProduct`
+ * in order, and a product that fails does not stop the rest. Every change is emitted to subscribers
+ * as a 'file', 'product' or 'job' event so the server can stream progress.
+ * Job status: pending | processing | completed | failed (failed only when no product made it).
+ */
+const { EventEmitter } = require('events');
+
+const JOB_STATUS = {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+const PRODUCT_STATUS = {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+const FILE_STATUS = {
+    PENDING: 'pending',
+    UPLOADING: 'uploading',
+    UPLOADED: 'uploaded',
+    // Already in the catalog and left out by the owner's choice.
+    SKIPPED: 'skipped',
+    FAILED: 'failed'
+};
+
+// Finished jobs stay readable this long so a reconnecting dashboard still gets the results.
+const INGEST_JOB_RETAIN_MS = 60 * 60 * 1000;
+
+class IngestJobQueue {
+    /**
+     * processProduct(input, index, { reportFile }) uploads and saves product `index` of a job and returns
+     * its result; reportFile(fileIndex, status, error) marks progress on one of its files.
+     * onJobEnd(job, input) runs once a job has finished, e.g. to delete temp files.
+     */
+    constructor({ processProduct, onJobEnd = null, retainMs = INGEST_JOB_RETAIN_MS }) {
+        this.processProduct = processProduct;
+        this.onJobEnd = onJobEnd;
+        this.retainMs = retainMs;
+        this.jobs = new Map();
+        // Request data the handlers need (files, services); kept apart so jobs stay safe to send.
+        this.inputs = new Map();
+        this.queue = [];
+        this.processing = false;
+        this.events = new EventEmitter();
+        this.events.setMaxListeners(0);
+    }
+
+    /**
+     * Add a job. `products` is [{ title, fileNames }] in batch order. Returns jobId.
+     */
+    add(ownerId, products, input = {}) {
+        const jobId = `ing_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+        this.jobs.set(jobId, {
+            id: jobId,
+            ownerId,
+            status: JOB_STATUS.PENDING,
+            error: null,
+            createdAt: new Date().toISOString(),
+            finishedAt: null,
+            summary: { total: products.length, done: 0, failed: 0 },
+            products: products.map((product, index) => ({
+                index,
+                title: product.title || '',
+                status: PRODUCT_STATUS.PENDING,
+                error: null,
+                result: null,
+                files: (product.fileNames || []).map((name) => ({ name, status: FILE_STATUS.PENDING, error: null }))
+            }))
+        });
+        this.inputs.set(jobId, input);
+        this.queue.push(jobId);
+        // Start on the next tick so the caller can subscribe before the first event.
+        setImmediate(() => this._processNext());
+        return jobId;
+    }
+
+    /**
+     * Get job status.
+     */
+    get(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    isFinished(job) {
+        return !!job && (job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED);
+    }
+
+    /**
+     * Call listener(type, payload) for each event of one job. Returns an unsubscribe function.
+     */
+    subscribe(jobId, listener) {
+        this.events.on(jobId, listener);
+        return () => this.events.off(jobId, listener);
+    }
+
+    _emit(job, type, payload) {
+        this.events.emit(job.id, type, payload);
+    }
+
+    async _processNext() {
+        if (this.processing || this.queue.length === 0) return;
+        const jobId = this.queue.shift();
+        const job = this.jobs.get(jobId);
+        if (!job || job.status !== JOB_STATUS.PENDING) {
+            return this._processNext();
+        }
+
+        this.processing = true;
+        job.status = JOB_STATUS.PROCESSING;
+        this._emit(job, 'job', job);
+        const input = this.inputs.get(jobId);
+
+        try {
+            for (const product of job.products) {
+                await this._processProduct(job, product, input);
+            }
+            const firstError = job.products.find((product) => product.error)?.error || 'No products were uploaded.';
+            job.status = job.summary.done ? JOB_STATUS.COMPLETED : JOB_STATUS.FAILED;
+            job.error = job.summary.done ? null : firstError;
+        } catch (err) {
+            job.status = JOB_STATUS.FAILED;
+            job.error = err.message || String(err);
+        } finally {
+            job.finishedAt = new Date().toISOString();
+            this.inputs.delete(jobId);
+            if (this.onJobEnd) {
+                try {
+                    await this.onJobEnd(job, input);
+                } catch (endErr) {
+                    console.error('[ingest] job cleanup failed', jobId, endErr.message);
+                }
+            }
+            this._emit(job, 'job', job);
+            this.events.removeAllListeners(jobId);
+            setTimeout(() => this.jobs.delete(jobId), this.retainMs).unref();
+            this.processing = false;
+            this._processNext();
+        }
+    }
+
+    async _processProduct(job, product, input) {
+        product.status = PRODUCT_STATUS.PROCESSING;
+        this._emit(job, 'product', { product: product.index, status: product.status, result: null, error: null });
+        const reportFile = (fileIndex, status, error = null) => {
+            const file = product.files[fileIndex];
+            if (!file) return;
+            file.status = status;
+            file.error = error || null;
+            this._emit(job, 'file', { product: product.index, file: fileIndex, name: file.name, status, error: file.error });
+        };
+
+        try {
+            product.result = await this.processProduct(input, product.index, { reportFile });
+            product.status = PRODUCT_STATUS.DONE;
+            job.summary.done += 1;
+        } catch (err) {
+            product.status = PRODUCT_STATUS.FAILED;
+            product.error = err.message || String(err);
+            job.summary.failed += 1;
+        }
+        this._emit(job, 'product', {
+            product: product.index,
+            status: product.status,
+            result: product.result,
+            error: product.error
+        });
+    }
+}
+
+module.exports = { IngestJobQueue, JOB_STATUS, PRODUCT_STATUS, FILE_STATUS };
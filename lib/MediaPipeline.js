@@ -115,6 +115,42 @@ function buildImagePreviewUrl(cloudinary, { publicId, bgColor = 'white', ogSquar
     });
 }
 
+// Collage layouts on the 1200x1200 OG canvas: [width, height, x, y] per tile, for 1 to 4 images.
+const CATEGORY_OG_TILES = {
+    1: [[1200, 1200, 0, 0]],
+    2: [[600, 1200, 0, 0], [600, 1200, 600, 0]],
+    3: [[600, 1200, 0, 0], [600, 600, 600, 0], [600, 600, 600, 600]],
+    4: [[600, 600, 0, 0], [600, 600, 600, 0], [600, 600, 0, 600], [600, 600, 600, 600]]
+};
+
+/**
+ * OG image for a category page: a collage of up to four image publicIds (cover first), with the store logo.
+ * Returns '' when there is nothing to show.
+ */
+function buildCategoryOgPreviewUrl(cloudinary, { publicIds = [], logoPublicId = '' } = {}) {
+    const ids = [...new Set((publicIds || []).map((id) => String(id || '').trim()).filter(Boolean))].slice(0, 4);
+    if (!ids.length) return '';
+    const [first, ...rest] = CATEGORY_OG_TILES[ids.length];
+    const transformations = [{ width: first[0], height: first[1], crop: 'fill', gravity: 'auto' }];
+    if (rest.length) {
+        // Pad the first tile out to the full canvas, then lay the others over it.
+        transformations.push({ width: 1200, height: 1200, crop: 'lpad', gravity: 'north_west', background: 'white' });
+    }
+    rest.forEach(([width, height, x, y], index) => {
+        transformations.push({ overlay: toCloudinaryOverlayPublicId(ids[index + 1]) });
+        transformations.push({ width, height, crop: 'fill', gravity: 'auto' });
+        transformations.push({ flags: 'layer_apply', gravity: 'north_west', x, y });
+    });
+    transformations.push(...buildLogoOverlaySteps(logoPublicId));
+    transformations.push({ quality: 'auto:good' });
+
+    return cloudinary.url(ids[0], {
+        resource_type: 'image',
+        format: 'jpg',
+        transformation: transformations
+    });
+}
+
 function buildProductLink({
     protocol,
     host,
@@ -146,5 +182,6 @@ module.exports = {
     buildVideoAnimatedPreviewUrl,
     buildVideoOgPreviewUrl,
     buildImagePreviewUrl,
+    buildCategoryOgPreviewUrl,
     buildProductLink
 };
@@ -1,38 +1,458 @@
 /**
  * Order service (OOP). Creates and updates orders in Supabase.
  */
+const ORDER_STATUSES = ['pending', 'paid', 'processing', 'shipped', 'delivered', 'failed', 'cancelled', 'refunded'];
+
+// Allowed next statuses. Fulfilment runs pending -> paid -> processing -> shipped -> delivered;
+// failed, cancelled and refunded are side branches.
+const ORDER_TRANSITIONS = {
+    pending: ['paid', 'failed', 'cancelled'],
+    failed: ['paid', 'cancelled'],
+    paid: ['processing', 'cancelled', 'refunded'],
+    processing: ['shipped', 'cancelled', 'refunded'],
+    shipped: ['delivered', 'refunded'],
+    delivered: ['refunded'],
+    cancelled: ['refunded'],
+    refunded: []
+};
+
+// Statuses a store owner may set by hand; the rest come from payment events.
+const OWNER_SETTABLE_STATUSES = ['processing', 'shipped', 'delivered', 'cancelled'];
+
+const STATUS_TIMESTAMP_COLUMNS = {
+    paid: 'paid_at',
+    processing: 'processing_at',
+    shipped: 'shipped_at',
+    delivered: 'delivered_at',
+    failed: 'failed_at',
+    cancelled: 'cancelled_at',
+    refunded: 'refunded_at'
+};
+
+const ORDER_LIST_COLUMNS = 'id, reference, email, amount_kobo, refunded_kobo, currency, provider, items, status, store_id, owner_id, paid_at, processing_at, shipped_at, delivered_at, cancelled_at, refunded_at, created_at, updated_at';
+
+function canTransition(from, to) {
+    return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+function invalidTransitionError(from, to) {
+    const err = new Error(`Cannot move an order from ${from} to ${to}.`);
+    err.code = 'ORDER_INVALID_TRANSITION';
+    err.from = from;
+    err.to = to;
+    return err;
+}
+
+function refundError(code, message, extra = {}) {
+    const err = new Error(message);
+    err.code = code;
+    Object.assign(err, extra);
+    return err;
+}
+
+// Statuses that imply the payment was captured, for rows written before paid_at existed.
+const CAPTURED_STATUSES = ['paid', 'processing', 'shipped', 'delivered'];
+
+/**
+ * Kobo the provider actually captured for an order: the full amount once paid, else nothing.
+ */
+function capturedKobo(row) {
+    if (!row || !(row.paid_at || CAPTURED_STATUSES.includes(row.status))) return 0;
+    return Number(row.amount_kobo) || 0;
+}
+
+function refundableKobo(row) {
+    return Math.max(0, capturedKobo(row) - (Number(row?.refunded_kobo) || 0));
+}
+
+function isMissingTableError(error) {
+    const code = String(error?.code || '');
+    return code === '42P01' || code === 'PGRST205';
+}
+
 class OrderService {
     constructor(supabaseClient) {
         this.supabase = supabaseClient;
         this.table = 'orders';
+        this.paymentEventsTable = 'payment_events';
+        this.eventsTable = 'order_events';
     }
 
-    async create(reference, email, amountKobo, items) {
+    /**
+     * Insert a pending order. ownerId/storeId tie it to the selling store; buyerId is the signed-in shopper.
+     */
+    async create(reference, email, amountKobo, items, { ownerId = null, storeId = null, buyerId = null, provider = '', currency = '' } = {}) {
         if (!this.supabase) throw new Error('Supabase not configured');
-        const { data, error } = await this.supabase
+        const payload = {
+            reference,
+            email,
+            amount_kobo: amountKobo,
+            items,
+            status: 'pending'
+        };
+        if (ownerId) payload.owner_id = ownerId;
+        if (storeId) payload.store_id = storeId;
+        if (buyerId) payload.buyer_id = buyerId;
+        if (provider) payload.provider = provider;
+        if (currency) payload.currency = currency;
+        let { data, error } = await this.supabase
             .from(this.table)
-            .insert({
-                reference,
-                email,
-                amount_kobo: amountKobo,
-                items,
-                status: 'pending'
-            })
+            .insert(payload)
             .select('id, reference, status')
             .single();
+        if (error && error.code === '42703') {
+            delete payload.owner_id;
+            delete payload.store_id;
+            delete payload.buyer_id;
+            delete payload.provider;
+            delete payload.currency;
+            ({ data, error } = await this.supabase
+                .from(this.table)
+                .insert(payload)
+                .select('id, reference, status')
+                .single());
+        }
         if (error) throw error;
         return data;
     }
 
+    toPublic(row) {
+        if (!row) return null;
+        return {
+            id: row.id,
+            reference: row.reference,
+            email: row.email,
+            amountKobo: Number(row.amount_kobo) || 0,
+            refundedKobo: Number(row.refunded_kobo) || 0,
+            refundableKobo: canTransition(row.status, 'refunded') ? refundableKobo(row) : 0,
+            currency: row.currency || 'NGN',
+            provider: row.provider || 'paystack',
+            items: Array.isArray(row.items) ? row.items : [],
+            status: row.status,
+            storeId: row.store_id || null,
+            ownerId: row.owner_id || null,
+            paidAt: row.paid_at || null,
+            processingAt: row.processing_at || null,
+            shippedAt: row.shipped_at || null,
+            deliveredAt: row.delivered_at || null,
+            cancelledAt: row.cancelled_at || null,
+            refundedAt: row.refunded_at || null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            nextStatuses: (ORDER_TRANSITIONS[row.status] || []).filter((status) => OWNER_SETTABLE_STATUSES.includes(status))
+        };
+    }
+
+    /**
+     * Orders placed with one store owner, newest first.
+     * statuses filters to any of the given statuses; page is 1-based.
+     */
+    async listForOwner(ownerId, { statuses = [], page = 1, pageSize = 20 } = {}) {
+        if (!this.supabase || !ownerId) return { orders: [], total: 0, page, pageSize };
+        const from = (page - 1) * pageSize;
+        let query = this.supabase
+            .from(this.table)
+            .select(ORDER_LIST_COLUMNS, { count: 'exact' })
+            .eq('owner_id', ownerId)
+            .order('created_at', { ascending: false })
+            .range(from, from + pageSize - 1);
+        const wanted = statuses.filter((status) => ORDER_STATUSES.includes(status));
+        if (wanted.length) query = query.in('status', wanted);
+        const { data, error, count } = await query;
+        if (error) throw error;
+        return {
+            orders: (data || []).map((row) => this.toPublic(row)),
+            total: Number(count) || 0,
+            page,
+            pageSize
+        };
+    }
+
     async updateStatus(reference, status) {
+        return this.transition(reference, status);
+    }
+
+    /**
+     * Move an order to `status` only if it is currently in one of `fromStatuses`.
+     * Returns the updated row, or null when the order was already elsewhere (so repeats are no-ops).
+     */
+    async transitionStatus(reference, fromStatuses, status, extra = {}) {
         if (!this.supabase) throw new Error('Supabase not configured');
         const { data, error } = await this.supabase
             .from(this.table)
-            .update({ status, updated_at: new Date().toISOString() })
+            .update({ ...extra, status, updated_at: new Date().toISOString() })
             .eq('reference', reference)
+            .in('status', fromStatuses)
             .select()
-            .single();
+            .maybeSingle();
         if (error) throw error;
+        return data || null;
+    }
+
+    /**
+     * Apply one lifecycle step and write it to the audit trail.
+     * Returns the updated row, null if the order does not exist (or is not ownerId's),
+     * and throws code ORDER_INVALID_TRANSITION for a jump the rules do not allow.
+     */
+    async transition(reference, status, { actor = 'system', actorId = null, note = '', ownerId = null, at = null, extra = {} } = {}) {
+        if (!this.supabase) throw new Error('Supabase not configured');
+        if (!ORDER_STATUSES.includes(status)) throw invalidTransitionError('unknown', status);
+        const order = ownerId
+            ? await this.findForOwner(reference, ownerId)
+            : await this.findByReference(reference);
+        if (!order) return null;
+        if (!canTransition(order.status, status)) throw invalidTransitionError(order.status, status);
+
+        const timestampColumn = STATUS_TIMESTAMP_COLUMNS[status];
+        const updates = { ...extra };
+        if (timestampColumn) updates[timestampColumn] = at || new Date().toISOString();
+        const updated = await this.transitionStatus(reference, [order.status], status, updates);
+        if (!updated) {
+            // Another request moved the order first.
+            const latest = await this.findByReference(reference);
+            throw invalidTransitionError(latest?.status || order.status, status);
+        }
+        await this.recordEvent({
+            orderId: updated.id,
+            reference,
+            fromStatus: order.status,
+            toStatus: status,
+            actor,
+            actorId,
+            note
+        });
+        return updated;
+    }
+
+    /**
+     * Payment-driven transitions. Repeats and out-of-order deliveries return null instead of throwing.
+     */
+    async _applyPaymentStatus(reference, status, options) {
+        try {
+            return await this.transition(reference, status, { actor: 'system', ...options });
+        } catch (err) {
+            if (err.code === 'ORDER_INVALID_TRANSITION') return null;
+            throw err;
+        }
+    }
+
+    async markPaid(reference, { paidAt } = {}) {
+        return this._applyPaymentStatus(reference, 'paid', { at: paidAt || null, note: 'Payment confirmed' });
+    }
+
+    async markFailed(reference) {
+        return this._applyPaymentStatus(reference, 'failed', { note: 'Payment failed' });
+    }
+
+    async markRefunded(reference) {
+        return this._applyPaymentStatus(reference, 'refunded', { note: 'Refund processed' });
+    }
+
+    /**
+     * Refund confirmed by a provider webhook. Dashboard refunds are already counted in refunded_kobo,
+     * so this only closes the order once everything captured is refunded. amountKobo is the provider's
+     * signed refund amount (covering full refunds issued from the provider's own dashboard), or null
+     * when the provider cannot vouch for it. Partial confirmations return null.
+     */
+    async settleRefund(reference, amountKobo) {
+        const order = await this.findByReference(reference);
+        const captured = capturedKobo(order);
+        if (!captured) return null;
+        const refunded = Math.max(Number(order.refunded_kobo) || 0, Number(amountKobo) || 0);
+        if (refunded < captured) return null;
+        return this._applyPaymentStatus(reference, 'refunded', {
+            note: 'Refund processed',
+            extra: { refunded_kobo: captured }
+        });
+    }
+
+    /**
+     * Refund part or all of a paid order; amountKobo null refunds whatever is left.
+     * issueRefund(amountKobo) makes the provider call. The amount is reserved on the row first so
+     * concurrent refunds cannot exceed what was captured, and released if the provider call fails.
+     * Reaching the captured amount moves the order to refunded.
+     * Returns { order, amountKobo, refundedKobo, full, providerResult }, or null if the order is not found.
+     */
+    async refund(reference, amountKobo, { ownerId = null, actorId = null, note = '', issueRefund = null } = {}) {
+        if (!this.supabase) throw new Error('Supabase not configured');
+        const order = ownerId
+            ? await this.findForOwner(reference, ownerId)
+            : await this.findByReference(reference);
+        if (!order) return null;
+        const remaining = canTransition(order.status, 'refunded') ? refundableKobo(order) : 0;
+        if (!remaining) {
+            throw refundError('ORDER_NOT_REFUNDABLE', `A ${order.status} order has nothing left to refund.`);
+        }
+        const amount = amountKobo == null ? remaining : Math.round(Number(amountKobo));
+        if (!Number.isFinite(amount) || amount <= 0) {
+            throw refundError('ORDER_REFUND_INVALID', 'Refund amount must be more than zero.');
+        }
+        if (amount > remaining) {
+            throw refundError('ORDER_REFUND_EXCEEDS', 'Refund is larger than the amount left to refund on this order.', {
+                remainingKobo: remaining
+            });
+        }
+
+        const previous = Number(order.refunded_kobo) || 0;
+        const refundedKobo = previous + amount;
+        if (!await this._swapRefundedKobo(order.id, previous, refundedKobo)) {
+            throw refundError('ORDER_REFUND_CONFLICT', 'Another refund on this order was just made. Reload and try again.');
+        }
+        let providerResult = null;
+        try {
+            providerResult = issueRefund ? await issueRefund(amount) : null;
+        } catch (err) {
+            await this._swapRefundedKobo(order.id, refundedKobo, previous);
+            throw err;
+        }
+
+        const full = refundedKobo >= capturedKobo(order);
+        const summary = `${full ? 'Refunded' : 'Partially refunded'} ${order.currency || 'NGN'} ${(amount / 100).toFixed(2)}`;
+        const eventNote = note ? `${summary}: ${note}` : summary;
+        if (full) {
+            await this._closeRefund(order, reference, { actorId, note: eventNote });
+        } else {
+            await this.recordEvent({
+                orderId: order.id,
+                reference,
+                fromStatus: order.status,
+                toStatus: order.status,
+                actor: 'owner',
+                actorId,
+                note: eventNote
+            });
+        }
+        return {
+            order: await this.findByReference(reference),
+            amountKobo: amount,
+            refundedKobo,
+            full,
+            providerResult
+        };
+    }
+
+    /**
+     * Move a fully refunded order to refunded. The provider has already moved the money, so a status
+     * change in between (a webhook, another owner action) must not fail the refund: retry from the new
+     * status, or record the refund as an event when the order can no longer move (e.g. already refunded).
+     */
+    async _closeRefund(order, reference, { actorId, note }) {
+        const options = { actor: 'owner', actorId, note };
+        try {
+            await this.transition(reference, 'refunded', options);
+            return;
+        } catch (err) {
+            if (err.code !== 'ORDER_INVALID_TRANSITION') throw err;
+        }
+        const latest = await this.findByReference(reference);
+        if (latest && canTransition(latest.status, 'refunded') && await this._applyPaymentStatus(reference, 'refunded', options)) {
+            return;
+        }
+        const status = latest?.status || order.status;
+        await this.recordEvent({ orderId: order.id, reference, fromStatus: status, toStatus: status, actor: 'owner', actorId, note });
+    }
+
+    /**
+     * Compare-and-set on refunded_kobo. False when another refund changed it first.
+     */
+    async _swapRefundedKobo(orderId, fromKobo, toKobo) {
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .update({ refunded_kobo: toKobo, updated_at: new Date().toISOString() })
+            .eq('id', orderId)
+            .eq('refunded_kobo', fromKobo)
+            .select('id')
+            .maybeSingle();
+        if (error) throw error;
+        return !!data;
+    }
+
+    async recordEvent({ orderId, reference, fromStatus, toStatus, actor, actorId, note }) {
+        if (!this.supabase || !orderId) return;
+        const { error } = await this.supabase
+            .from(this.eventsTable)
+            .insert({
+                order_id: orderId,
+                reference,
+                from_status: fromStatus || null,
+                to_status: toStatus,
+                actor: actor || 'system',
+                actor_id: actorId || null,
+                note: String(note || '').slice(0, 500)
+            });
+        if (error && !isMissingTableError(error)) throw error;
+    }
+
+    /**
+     * Audit trail for one order, oldest first.
+     */
+    async listEvents(orderId) {
+        if (!this.supabase || !orderId) return [];
+        const { data, error } = await this.supabase
+            .from(this.eventsTable)
+            .select('from_status, to_status, actor, actor_id, note, created_at')
+            .eq('order_id', orderId)
+            .order('created_at', { ascending: true });
+        if (error) {
+            if (isMissingTableError(error)) return [];
+            throw error;
+        }
+        return (data || []).map((row) => ({
+            fromStatus: row.from_status || null,
+            toStatus: row.to_status,
+            actor: row.actor,
+            actorId: row.actor_id || null,
+            note: row.note || '',
+            createdAt: row.created_at
+        }));
+    }
+
+    /**
+     * True if a payment webhook event with this key was already handled.
+     */
+    async hasPaymentEvent(eventKey) {
+        if (!this.supabase || !eventKey) return false;
+        const { data, error } = await this.supabase
+            .from(this.paymentEventsTable)
+            .select('id')
+            .eq('event_key', eventKey)
+            .maybeSingle();
+        if (error) {
+            if (isMissingTableError(error)) return false;
+            throw error;
+        }
+        return !!data;
+    }
+
+    /**
+     * Remember a handled webhook event. Returns false if another delivery recorded it first.
+     */
+    async recordPaymentEvent({ eventKey, event, reference, payload, provider = 'paystack' }) {
+        if (!this.supabase || !eventKey) return true;
+        const { error } = await this.supabase
+            .from(this.paymentEventsTable)
+            .insert({
+                provider,
+                event_key: eventKey,
+                event,
+                reference: reference || null,
+                payload: payload || {}
+            });
+        if (!error) return true;
+        if (error.code === '23505') return false;
+        if (isMissingTableError(error)) return true;
+        throw error;
+    }
+
+    async findForOwner(reference, ownerId) {
+        if (!this.supabase || !reference || !ownerId) return null;
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .select('*')
+            .eq('reference', reference)
+            .eq('owner_id', ownerId)
+            .maybeSingle();
+        if (error || !data) return null;
         return data;
     }
 
@@ -48,4 +468,10 @@ class OrderService {
     }
 }
 
-module.exports = { OrderService };
+module.exports = {
+    OrderService,
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    OWNER_SETTABLE_STATUSES,
+    canTransition
+};
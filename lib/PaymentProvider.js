@@ -0,0 +1,91 @@
+/**
+ * Payment provider interface (OOP). Checkout talks to providers only through these methods,
+ * so Paystack, Flutterwave and the offline fake are interchangeable per store.
+ *
+ * Amounts are always in minor units (kobo for NGN). Charges come back normalized as
+ * { reference, status, amountMinor, currency, paidAt, transactionId } where status is
+ * one of CHARGE_STATUSES.
+ */
+const CHARGE_STATUSES = ['pending', 'success', 'failed', 'abandoned'];
+
+// Webhook events are reduced to these types; anything else is acknowledged and ignored.
+const PAYMENT_EVENT_TYPES = ['payment.success', 'payment.failed', 'refund.processed'];
+
+class PaymentProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Start a payment. split: { subaccount, transactionCharge } when the seller settles directly.
+     * Returns { reference, authorizationUrl, accessCode }.
+     * params: { email, amountMinor, currency, reference, metadata, split, callbackUrl }
+     */
+    async initialize(params) {
+        throw new Error(`${this.name} does not implement initialize`);
+    }
+
+    /** Normalized charge for a reference. */
+    async verify(reference) {
+        throw new Error(`${this.name} does not implement verify`);
+    }
+
+    /**
+     * Authenticate and normalize a webhook delivery.
+     * Returns { valid, eventKey, type, reference, charge, amountMinor } where type is one of
+     * PAYMENT_EVENT_TYPES or null. charge and amountMinor are set only when the payload can be
+     * trusted as-is (signed over the body); otherwise they are null.
+     */
+    parseWebhook(rawBody, headers, body) {
+        throw new Error(`${this.name} does not implement parseWebhook`);
+    }
+
+    /** Refund a charge in full, or partly when amountMinor is given. Returns { status, amountMinor }. */
+    async refund(reference, amountMinor) {
+        throw new Error(`${this.name} does not implement refund`);
+    }
+
+    /** Whether this provider can route money to a seller subaccount. */
+    supportsSplit() {
+        return false;
+    }
+}
+
+/**
+ * Configured providers by name, with a platform default for stores that have not picked one.
+ */
+class PaymentProviderRegistry {
+    constructor(defaultName = 'paystack') {
+        this.providers = new Map();
+        this.defaultName = defaultName;
+    }
+
+    register(provider) {
+        this.providers.set(provider.name, provider);
+        return this;
+    }
+
+    get(name) {
+        return this.providers.get(String(name || '').toLowerCase()) || null;
+    }
+
+    has(name) {
+        return !!this.get(name);
+    }
+
+    names() {
+        return [...this.providers.keys()];
+    }
+
+    /** The configured default, or the first registered provider when the default is not set up. */
+    getDefault() {
+        return this.get(this.defaultName) || this.providers.values().next().value || null;
+    }
+
+    /** Provider for a store: its own choice when that provider is configured, else the default. */
+    forStore(store) {
+        return this.get(store?.paymentProvider) || this.getDefault();
+    }
+}
+
+module.exports = { PaymentProvider, PaymentProviderRegistry, CHARGE_STATUSES, PAYMENT_EVENT_TYPES };
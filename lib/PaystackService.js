@@ -1,8 +1,18 @@
 /**
- * Paystack API service (OOP).
+ * Paystack API service (OOP). Implements PaymentProvider.
  */
-class PaystackService {
+const crypto = require('crypto');
+const { PaymentProvider, CHARGE_STATUSES } = require('./PaymentProvider');
+
+const PAYSTACK_EVENT_TYPES = {
+    'charge.success': 'payment.success',
+    'charge.failed': 'payment.failed',
+    'refund.processed': 'refund.processed'
+};
+
+class PaystackService extends PaymentProvider {
     constructor(secretKey) {
+        super('paystack');
         this.secretKey = secretKey;
         this.baseUrl = 'https://api.paystack.co';
     }
@@ -25,14 +35,26 @@ class PaystackService {
         return data;
     }
 
-    async initializeTransaction(email, amountKobo, reference, metadata) {
+    /**
+     * Start a transaction. options.subaccount routes the payment to a seller's subaccount
+     * (Paystack settles the split); options.transactionCharge is the platform's flat cut in kobo.
+     */
+    async initializeTransaction(email, amountKobo, reference, metadata, options = {}) {
         const body = {
             email,
             amount: Math.round(Number(amountKobo)),
-            currency: 'NGN',
+            currency: String(options.currency || 'NGN').toUpperCase(),
             metadata: metadata || {}
         };
         if (reference) body.reference = reference;
+        if (options.callbackUrl) body.callback_url = options.callbackUrl;
+        if (options.subaccount) {
+            body.subaccount = options.subaccount;
+            if (Number(options.transactionCharge) > 0) {
+                body.transaction_charge = Math.round(Number(options.transactionCharge));
+            }
+            if (options.bearer) body.bearer = options.bearer;
+        }
         const data = await this._request('POST', '/transaction/initialize', body);
         return {
             reference: data.data.reference,
@@ -45,6 +67,143 @@ class PaystackService {
         const data = await this._request('GET', '/transaction/verify/' + encodeURIComponent(reference));
         return data.data;
     }
+
+    async initialize({ email, amountMinor, currency, reference, metadata, split, callbackUrl }) {
+        return this.initializeTransaction(email, amountMinor, reference, metadata, {
+            currency,
+            callbackUrl,
+            subaccount: split?.subaccount || '',
+            transactionCharge: split?.transactionCharge || 0,
+            bearer: 'subaccount'
+        });
+    }
+
+    async verify(reference) {
+        return this._mapCharge(await this.verifyTransaction(reference));
+    }
+
+    /**
+     * Paystack signs every delivery, so the payload itself is trusted once the signature checks out.
+     */
+    parseWebhook(rawBody, headers, body) {
+        const signature = headers?.['x-paystack-signature'];
+        if (!this.verifyWebhookSignature(rawBody, signature)) return { valid: false };
+        const event = String(body?.event || '');
+        const data = body?.data || {};
+        const type = PAYSTACK_EVENT_TYPES[event] || null;
+        const id = data.id != null ? String(data.id) : '';
+        const reference = type === 'refund.processed'
+            ? String(data.transaction_reference || data.transaction?.reference || '')
+            : String(data.reference || '');
+        const keyPart = id || String(data.reference || data.transaction_reference || '');
+        return {
+            valid: true,
+            event,
+            eventKey: keyPart ? `${event}:${keyPart}` : '',
+            type,
+            reference,
+            charge: type === 'payment.success' || type === 'payment.failed' ? this._mapCharge(data) : null,
+            amountMinor: Number(data.amount) || 0
+        };
+    }
+
+    /**
+     * Refund a transaction. amountKobo omitted refunds the full amount.
+     */
+    async refund(reference, amountKobo) {
+        const body = { transaction: reference };
+        if (Number(amountKobo) > 0) body.amount = Math.round(Number(amountKobo));
+        const data = await this._request('POST', '/refund', body);
+        return {
+            status: String(data.data?.status || 'pending'),
+            amountMinor: Number(data.data?.amount) || Number(body.amount) || 0
+        };
+    }
+
+    supportsSplit() {
+        return true;
+    }
+
+    _mapCharge(tx) {
+        return {
+            reference: String(tx?.reference || ''),
+            status: CHARGE_STATUSES.includes(tx?.status) ? tx.status : 'pending',
+            amountMinor: Number(tx?.amount) || 0,
+            currency: String(tx?.currency || 'NGN').toUpperCase(),
+            paidAt: tx?.paid_at || tx?.paidAt || null,
+            transactionId: tx?.id != null ? String(tx.id) : ''
+        };
+    }
+
+    /**
+     * Banks that can receive settlements. Returns [{ name, code }].
+     */
+    async listBanks(country = 'nigeria') {
+        const query = new URLSearchParams({ country, currency: 'NGN', perPage: '100' });
+        const data = await this._request('GET', '/bank?' + query.toString());
+        return (data.data || [])
+            .filter((bank) => bank && bank.code && bank.active !== false)
+            .map((bank) => ({ name: bank.name, code: String(bank.code) }));
+    }
+
+    /**
+     * Look up the account holder's name. Throws if the number does not exist at that bank.
+     */
+    async resolveAccountNumber(accountNumber, bankCode) {
+        const query = new URLSearchParams({ account_number: accountNumber, bank_code: bankCode });
+        const data = await this._request('GET', '/bank/resolve?' + query.toString());
+        return {
+            accountNumber: data.data.account_number,
+            accountName: data.data.account_name
+        };
+    }
+
+    /**
+     * Create a settlement subaccount for a seller. percentageCharge is the platform's share.
+     */
+    async createSubaccount({ businessName, bankCode, accountNumber, percentageCharge = 0 }) {
+        const data = await this._request('POST', '/subaccount', {
+            business_name: businessName,
+            settlement_bank: bankCode,
+            account_number: accountNumber,
+            percentage_charge: Number(percentageCharge) || 0
+        });
+        return this._mapSubaccount(data.data);
+    }
+
+    async updateSubaccount(subaccountCode, { businessName, bankCode, accountNumber, percentageCharge }) {
+        const body = {};
+        if (businessName) body.business_name = businessName;
+        if (bankCode) body.settlement_bank = bankCode;
+        if (accountNumber) body.account_number = accountNumber;
+        if (percentageCharge != null) body.percentage_charge = Number(percentageCharge) || 0;
+        const data = await this._request('PUT', '/subaccount/' + encodeURIComponent(subaccountCode), body);
+        return this._mapSubaccount(data.data);
+    }
+
+    _mapSubaccount(row) {
+        return {
+            subaccountCode: row.subaccount_code,
+            businessName: row.business_name || '',
+            bankName: row.settlement_bank || '',
+            accountNumber: row.account_number || '',
+            accountName: row.account_name || ''
+        };
+    }
+
+    /**
+     * Check the x-paystack-signature header: HMAC-SHA512 of the raw request body keyed by the secret key.
+     */
+    verifyWebhookSignature(rawBody, signature) {
+        if (!this.secretKey || !rawBody || !signature) return false;
+        const expected = crypto
+            .createHmac('sha512', this.secretKey)
+            .update(rawBody)
+            .digest('hex');
+        const given = String(signature).trim().toLowerCase();
+        if (given.length !== expected.length) return false;
+        return crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+    }
 }
 
 module.exports = { PaystackService };
@@ -0,0 +1,165 @@
+/**
+ * Price parsing shared by uploads and checkout.
+ * Checkout totals are always computed here from stored product prices, never from client amounts.
+ */
+const { normalizeBadgeLabel } = require('./MediaPipeline');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const MAX_LINE_QUANTITY = 99;
+
+function parseMoneyNumber(input) {
+    if (input == null) return null;
+    const raw = String(input).trim();
+    if (!raw) return null;
+    const cleaned = raw
+        .replace(/[, ]+/g, '')
+        .replace(/[^\d.-]/g, '');
+    if (!cleaned || cleaned === '-' || cleaned === '.' || cleaned === '-.') return null;
+    const n = Number(cleaned);
+    if (!Number.isFinite(n) || n <= 0) return null;
+    return n;
+}
+
+/**
+ * Kobo value of a stored price label (e.g. "₦5,000" -> 500000). Null when the label has no price.
+ */
+function priceLabelToKobo(label) {
+    const n = parseMoneyNumber(label);
+    if (n == null) return null;
+    return Math.round(n * 100);
+}
+
+/**
+ * Cart lines may carry a product link instead of an id (e.g. items added straight from upload results).
+ */
+function productRefFromLink(link) {
+    try {
+        const parsed = new URL(String(link || ''), 'http://localhost');
+        const parts = parsed.pathname.split('/').filter(Boolean);
+        return parts[0] === 'p' && parts.length > 1 ? decodeURIComponent(parts.slice(1).join('/')) : '';
+    } catch {
+        return '';
+    }
+}
+
+function normalizeLineQuantity(input) {
+    const n = Math.floor(Number(input));
+    if (!Number.isFinite(n) || n < 1) return 1;
+    return Math.min(MAX_LINE_QUANTITY, n);
+}
+
+/**
+ * Resolve cart lines against stored products.
+ * Each line may reference a product by row id (productId / id) or by public_id,
+ * plus variantId when the product has variants.
+ * Returns { lines, errors, totalKobo }; any entry in errors means checkout must be refused.
+ */
+async function resolveCartLines(items, productService) {
+    const lines = [];
+    const errors = [];
+    const cache = new Map();
+    // Quantity already accepted per "<productId>:<variantId>", so split lines cannot beat the stock check.
+    const taken = new Map();
+    const list = Array.isArray(items) ? items : [];
+
+    for (let index = 0; index < list.length; index++) {
+        const item = list[index] || {};
+        let ref = String(item.productId || item.id || '').trim();
+        if (/^https?:\/\//i.test(ref) || ref.startsWith('/p/')) ref = productRefFromLink(ref);
+        // Variant lines are keyed "<product>::<variant>" in the browser cart.
+        if (ref.includes('::')) ref = ref.split('::')[0];
+        if (!ref) {
+            errors.push({ index, id: '', error: 'Cart item is missing a product.' });
+            continue;
+        }
+        if (!cache.has(ref)) {
+            const product = UUID_RE.test(ref)
+                ? await productService.getById(ref)
+                : await productService.getByPublicId(ref);
+            cache.set(ref, product);
+        }
+        const product = cache.get(ref);
+        if (!product) {
+            errors.push({ index, id: ref, error: 'This product is no longer available.' });
+            continue;
+        }
+        if (normalizeBadgeLabel(product.badgeLabel) === 'SOLD OUT') {
+            errors.push({ index, id: ref, error: 'This product is sold out.' });
+            continue;
+        }
+        // Products with variants are bought per variant: its price override and stock apply.
+        const variants = Array.isArray(product.variants) ? product.variants : [];
+        let variant = null;
+        if (variants.length) {
+            const variantId = String(item.variantId || '').trim();
+            variant = variants.find((v) => v.id === variantId) || null;
+            if (!variant) {
+                errors.push({
+                    index,
+                    id: ref,
+                    error: variantId ? 'That option is no longer available.' : 'Choose an option for this product.'
+                });
+                continue;
+            }
+        }
+        const price = variant?.price || product.price;
+        const unitKobo = priceLabelToKobo(price);
+        if (unitKobo == null) {
+            errors.push({ index, id: ref, error: 'This product has no fixed price. Contact the seller.' });
+            continue;
+        }
+        const quantity = normalizeLineQuantity(item.quantity);
+        const stockCount = variant ? variant.stockCount : product.stockCount;
+        const stockKey = `${product.id}:${variant?.id || ''}`;
+        const alreadyTaken = taken.get(stockKey) || 0;
+        if (stockCount != null && alreadyTaken + quantity > stockCount) {
+            errors.push({
+                index,
+                id: ref,
+                error: stockCount > 0 ? `Only ${stockCount} left in stock.` : 'This product is sold out.'
+            });
+            continue;
+        }
+        taken.set(stockKey, alreadyTaken + quantity);
+        lines.push({
+            index,
+            productId: product.id,
+            variantId: variant?.id || '',
+            variantLabel: variant?.label || '',
+            publicId: product.publicId || '',
+            ownerId: product.ownerId || null,
+            price,
+            unitKobo,
+            quantity,
+            amountKobo: unitKobo * quantity,
+            link: product.link || '',
+            previewUrl: product.previewUrl || ''
+        });
+    }
+
+    const totalKobo = lines.reduce((sum, line) => sum + line.amountKobo, 0);
+    return { lines, errors, totalKobo };
+}
+
+/**
+ * Split resolved lines into one group per selling owner, in first-seen order.
+ * Lines with no owner (legacy products) form their own group with ownerId null.
+ */
+function groupLinesByOwner(lines) {
+    const groups = new Map();
+    (lines || []).forEach((line) => {
+        const key = line.ownerId || null;
+        if (!groups.has(key)) groups.set(key, { ownerId: key, lines: [], totalKobo: 0 });
+        const group = groups.get(key);
+        group.lines.push(line);
+        group.totalKobo += line.amountKobo;
+    });
+    return [...groups.values()];
+}
+
+module.exports = {
+    parseMoneyNumber,
+    priceLabelToKobo,
+    resolveCartLines,
+    groupLinesByOwner
+};
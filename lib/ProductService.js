@@ -1,11 +1,218 @@
 /**
  * Product service (OOP). Saves and lists products in Supabase.
  */
+const { normalizeBadgeLabel } = require('./MediaPipeline');
+const { normalizeVariantInput, variantLabel, totalVariantStock } = require('./Variants');
+
+const PRODUCT_COLUMNS = 'id, public_id, title, description, slug, price, link, preview_url, badge_label, size, color, qty, stock_count, owner_id, category_id, created_at';
+const PRODUCT_COLUMNS_LEGACY = 'id, public_id, price, link, preview_url, badge_label, category_id, created_at';
+const LIST_COLUMNS = 'id, title, description, slug, price, link, preview_url, badge_label, size, color, qty, stock_count, category_id, created_at';
+const MAX_TITLE_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_SLUG_LENGTH = 80;
+const MAX_PAGE_SIZE = 60;
+const MAX_PRODUCT_MEDIA = 30;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+const SOLD_OUT_BADGE = 'SOLD OUT';
+const MAX_STOCK_RETRIES = 5;
+
+/**
+ * Stock count from free-text qty ("12", " 3 "), or null when it is not a plain whole number.
+ */
+function parseStockCount(input) {
+    if (input == null || input === '') return null;
+    const raw = String(input).trim();
+    if (!/^\d{1,9}$/.test(raw)) return null;
+    return Number(raw);
+}
+
+/**
+ * URL slug for a product title ("Red Ankara Dress" -> "red-ankara-dress"). Empty when nothing usable is left.
+ */
+function slugifyProductTitle(title) {
+    return String(title || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, MAX_SLUG_LENGTH)
+        .replace(/-+$/g, '');
+}
+
+function cleanTitle(input) {
+    return String(input ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+}
+
+function cleanDescription(input) {
+    return String(input ?? '').replace(/\r\n/g, '\n').trim().slice(0, MAX_DESCRIPTION_LENGTH);
+}
+
+/**
+ * Badge after a stock change: SOLD OUT at zero, cleared again on restock. Other badges are left alone.
+ * stockCount null means stock is not tracked.
+ */
+function badgeForStock(currentBadge, stockCount) {
+    const badge = normalizeBadgeLabel(currentBadge);
+    if (stockCount === 0) return SOLD_OUT_BADGE;
+    if (badge === SOLD_OUT_BADGE && stockCount != null) return '';
+    return badge;
+}
+
+function isMissingRelationError(error) {
+    const code = String(error?.code || '');
+    return code === '42P01' || code === '42703' || code === 'PGRST205';
+}
+
+/**
+ * PostgREST or() expression matching search text in any of columns, or '' for no search.
+ * or() filters are comma separated, so characters that would break the expression are stripped.
+ */
+function searchOrFilter(search, columns) {
+    const term = cleanSearchTerm(search);
+    if (!term) return '';
+    return columns.map((col) => `${col}.ilike.%${term}%`).join(',');
+}
+
+// PostgREST reads % , ( ) * \ and " as filter syntax inside .or(), so they become spaces.
+function cleanSearchTerm(search) {
+    return String(search || '').replace(/[%,()*\\"]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 60);
+}
+
+/**
+ * Opaque cursor for the row a storefront page ended on: base64url of [created_at, id].
+ */
+function encodeListCursor(item) {
+    if (!item?.id || !item?.createdAt) return null;
+    return Buffer.from(JSON.stringify([item.createdAt, item.id])).toString('base64url');
+}
+
+/**
+ * { createdAt, id } from a cursor, or null when it is malformed. Both values end up inside an
+ * or() expression, so only timestamps and uuids are accepted.
+ */
+function decodeListCursor(cursor) {
+    try {
+        const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!TIMESTAMP_RE.test(String(createdAt)) || !UUID_RE.test(String(id))) return null;
+        return { createdAt, id };
+    } catch {
+        return null;
+    }
+}
+
+function mapListRow(row) {
+    return {
+        id: row.id,
+        title: row.title || '',
+        description: row.description || '',
+        slug: row.slug || '',
+        price: row.price,
+        link: row.link,
+        previewUrl: row.preview_url,
+        badgeLabel: row.badge_label || '',
+        size: row.size != null ? String(row.size) : '',
+        color: row.color != null ? String(row.color) : '',
+        qty: row.qty != null ? String(row.qty) : '',
+        stockCount: row.stock_count != null ? Number(row.stock_count) : null,
+        categoryId: row.category_id || null,
+        createdAt: row.created_at || null,
+        mediaItems: [],
+        mediaUrls: row.preview_url ? [row.preview_url] : [],
+        mediaCount: 1,
+        variantCount: 0
+    };
+}
+
+function mapVariantRow(row) {
+    const options = row.options && typeof row.options === 'object' ? row.options : {};
+    return {
+        id: row.id,
+        options,
+        label: variantLabel(options),
+        price: row.price || '',
+        stockCount: row.stock_count != null ? Number(row.stock_count) : null
+    };
+}
+
+/**
+ * Stored product links carry price and badge in the query (see buildProductLink); keep them in step with edits.
+ */
+function withLinkParams(link, params) {
+    if (!link) return link;
+    try {
+        const url = new URL(link);
+        Object.keys(params).forEach((key) => {
+            if (params[key]) url.searchParams.set(key, params[key]);
+            else url.searchParams.delete(key);
+        });
+        return url.toString();
+    } catch {
+        return link;
+    }
+}
+
+/**
+ * Product link pointed at a new cover: /p/<publicId> with mt to match. rm (background removal)
+ * only applies to images.
+ */
+function withLinkCover(link, publicId, mediaType) {
+    if (!link) return link;
+    try {
+        const url = new URL(link);
+        url.pathname = `/p/${publicId}`;
+        url.searchParams.set('mt', mediaType === 'video' ? 'video' : 'image');
+        if (mediaType === 'video') url.searchParams.delete('rm');
+        return url.toString();
+    } catch {
+        return link;
+    }
+}
+
+// content_hash is only sent when known, so uploads without one work on un-migrated tables.
+function mediaHashColumn(item) {
+    const hash = String(item?.contentHash || '').trim().toLowerCase();
+    return /^[0-9a-f]{64}$/.test(hash) ? { content_hash: hash } : {};
+}
+
+function productError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function validStockCount(stockCount) {
+    const next = stockCount == null ? null : Math.floor(Number(stockCount));
+    if (next != null && (!Number.isFinite(next) || next < 0)) {
+        throw productError('STOCK_INVALID', 'Stock must be a whole number of zero or more.');
+    }
+    return next;
+}
+
+function adjustBy(delta, clampAtZero) {
+    const change = Math.trunc(Number(delta));
+    if (!Number.isFinite(change)) throw productError('STOCK_INVALID', 'Stock change must be a whole number.');
+    return (current) => {
+        if (current == null) {
+            throw productError('STOCK_NOT_TRACKED', 'Set a stock count before adjusting it.');
+        }
+        const next = current + change;
+        if (next < 0 && !clampAtZero) {
+            throw productError('STOCK_INSUFFICIENT', `Only ${current} left in stock.`);
+        }
+        return Math.max(0, next);
+    };
+}
+
 class ProductService {
     constructor(supabaseClient) {
         this.supabase = supabaseClient;
         this.table = 'products';
         this.mediaTable = 'product_media';
+        this.variantsTable = 'product_variants';
+        this.categoriesTable = 'categories';
+        this.deletedTable = 'deleted_products';
     }
 
     /**
@@ -14,6 +221,8 @@ class ProductService {
      */
     async create({
         publicId,
+        title = '',
+        description = '',
         price,
         link,
         previewUrl,
@@ -22,9 +231,11 @@ class ProductService {
         size = '',
         color = '',
         qty = '',
+        stockCount = null,
         ownerId = null,
         categoryId = null,
-        mediaItems = []
+        mediaItems = [],
+        variants = []
     }) {
         if (!this.supabase) throw new Error('Supabase not configured');
         const payload = {
@@ -40,17 +251,42 @@ class ProductService {
         };
         if (ownerId) payload.owner_id = ownerId;
         if (categoryId) payload.category_id = categoryId;
+        const safeTitle = cleanTitle(title);
+        if (safeTitle) payload.title = safeTitle;
+        const safeDescription = cleanDescription(description);
+        if (safeDescription) payload.description = safeDescription;
+        if (safeTitle && ownerId) payload.slug = await this._availableSlug(ownerId, slugifyProductTitle(safeTitle));
+        const normalizedVariants = normalizeVariantInput(variants);
+        // With variants, product stock is the variants' total so the sold-out badge covers them all.
+        const effectiveStock = normalizedVariants.length ? totalVariantStock(normalizedVariants) : stockCount;
+        if (effectiveStock != null) {
+            payload.stock_count = Math.max(0, Math.floor(Number(effectiveStock)) || 0);
+            payload.badge_label = badgeForStock(payload.badge_label, payload.stock_count);
+        }
 
         let query = this.supabase
             .from(this.table)
             .insert(payload)
-            .select('id, public_id, price, link, preview_url, badge_label, size, color, qty, owner_id, category_id, created_at')
+            .select(PRODUCT_COLUMNS)
             .single();
 
         let { data, error } = await query;
+        // Two uploads raced for the same slug: keep the product and give it a suffixed slug.
+        if (error && error.code === '23505' && payload.slug) {
+            payload.slug = `${payload.slug.slice(0, MAX_SLUG_LENGTH - 7)}-${Date.now().toString(36).slice(-6)}`;
+            ({ data, error } = await this.supabase
+                .from(this.table)
+                .insert(payload)
+                .select(PRODUCT_COLUMNS)
+                .single());
+        }
         if (error && error.code === '42703') {
             delete payload.owner_id;
             delete payload.category_id;
+            delete payload.stock_count;
+            delete payload.title;
+            delete payload.description;
+            delete payload.slug;
             ({ data, error } = await this.supabase
                 .from(this.table)
                 .insert(payload)
@@ -59,30 +295,71 @@ class ProductService {
         }
         if (error) throw error;
 
+        try {
+            await this._insertCreatedChildren(data.id, { ownerId, mediaItems, variants: normalizedVariants });
+        } catch (childErr) {
+            // All or nothing: a product without its media or options rows is removed again.
+            const { error: undoErr } = await this.supabase.from(this.table).delete().eq('id', data.id);
+            if (undoErr) console.error('Could not remove half-created product', data.id, undoErr.message);
+            throw childErr;
+        }
+        return data;
+    }
+
+    async _insertCreatedChildren(productId, { ownerId, mediaItems, variants }) {
         // Optional media attachments table. Keep product create resilient if schema isn't migrated yet.
         const normalizedMedia = Array.isArray(mediaItems)
             ? mediaItems
                 .map((m, idx) => ({
-                    product_id: data.id,
+                    product_id: productId,
                     owner_id: ownerId || null,
                     public_id: String(m?.publicId || '').trim(),
                     media_type: String(m?.mediaType || 'image').toLowerCase() === 'video' ? 'video' : 'image',
                     preview_url: String(m?.previewUrl || '').trim(),
                     source_url: String(m?.sourceUrl || '').trim(),
-                    sort_order: Number.isFinite(Number(m?.sortOrder)) ? Number(m.sortOrder) : idx
+                    sort_order: Number.isFinite(Number(m?.sortOrder)) ? Number(m.sortOrder) : idx,
+                    ...mediaHashColumn(m)
                 }))
                 .filter((m) => !!m.public_id)
             : [];
         if (normalizedMedia.length > 0) {
-            const { error: mediaErr } = await this.supabase
-                .from(this.mediaTable)
-                .insert(normalizedMedia);
+            const { error: mediaErr } = await this._insertMediaRows(normalizedMedia);
             if (mediaErr && mediaErr.code !== '42P01' && mediaErr.code !== '42703' && mediaErr.code !== 'PGRST205') {
                 throw mediaErr;
             }
         }
 
-        return data;
+        if (variants.length) {
+            const { error: variantErr } = await this.supabase
+                .from(this.variantsTable)
+                .insert(variants.map((v) => ({
+                    product_id: productId,
+                    owner_id: ownerId || null,
+                    options: v.options,
+                    option_key: v.optionKey,
+                    price: v.price || null,
+                    stock_count: v.stockCount,
+                    sort_order: v.sortOrder
+                })));
+            if (variantErr && !isMissingRelationError(variantErr)) throw variantErr;
+        }
+    }
+
+    /**
+     * Variants of one product in display order. Empty when the product has none (or the table is missing).
+     */
+    async listVariants(productId) {
+        if (!this.supabase || !productId) return [];
+        const { data, error } = await this.supabase
+            .from(this.variantsTable)
+            .select('id, options, price, stock_count, sort_order')
+            .eq('product_id', productId)
+            .order('sort_order', { ascending: true });
+        if (error) {
+            if (isMissingRelationError(error)) return [];
+            throw error;
+        }
+        return (data || []).map(mapVariantRow);
     }
 
     /**
@@ -95,7 +372,7 @@ class ProductService {
 
         let { data, error } = await this.supabase
             .from(this.table)
-            .select('id, price, link, preview_url, badge_label, size, color, qty, owner_id, category_id, created_at')
+            .select(PRODUCT_COLUMNS)
             .eq('public_id', safePublicId)
             .order('created_at', { ascending: false })
             .limit(1)
@@ -103,7 +380,7 @@ class ProductService {
         if (error && error.code === '42703') {
             ({ data, error } = await this.supabase
                 .from(this.table)
-                .select('id, price, link, preview_url, badge_label, category_id, created_at')
+                .select(PRODUCT_COLUMNS_LEGACY)
                 .eq('public_id', safePublicId)
                 .order('created_at', { ascending: false })
                 .limit(1)
@@ -121,7 +398,7 @@ class ProductService {
             if (!mediaErr && mediaRow?.product_id) {
                 ({ data, error } = await this.supabase
                     .from(this.table)
-                    .select('id, price, link, preview_url, badge_label, size, color, qty, owner_id, category_id, created_at')
+                    .select(PRODUCT_COLUMNS)
                     .eq('id', mediaRow.product_id)
                     .maybeSingle());
             } else if (mediaErr && mediaErr.code !== '42P01' && mediaErr.code !== '42703' && mediaErr.code !== 'PGRST205') {
@@ -129,8 +406,88 @@ class ProductService {
             }
         }
 
+        // Links shared before the cover changed (or before that media was removed).
+        if (!data && !error) {
+            const { data: aliased, error: aliasErr } = await this.supabase
+                .from(this.table)
+                .select(PRODUCT_COLUMNS)
+                .contains('previous_public_ids', [safePublicId])
+                .limit(1)
+                .maybeSingle();
+            if (!aliasErr && aliased) data = aliased;
+        }
+
+        if (error || !data) return null;
+        return this._withMedia(data);
+    }
+
+    /**
+     * Get one product by its row id. Returns null if not found.
+     */
+    async getById(id) {
+        if (!this.supabase || !id) return null;
+        let { data, error } = await this.supabase
+            .from(this.table)
+            .select(PRODUCT_COLUMNS)
+            .eq('id', id)
+            .maybeSingle();
+        if (error && error.code === '42703') {
+            ({ data, error } = await this.supabase
+                .from(this.table)
+                .select(PRODUCT_COLUMNS_LEGACY)
+                .eq('id', id)
+                .maybeSingle());
+        }
         if (error || !data) return null;
+        return this._withMedia(data);
+    }
+
+    /**
+     * Get a store's product by its slug (the readable /s/:storeSlug/:productSlug link). Returns null if not found.
+     */
+    async getBySlug(ownerId, slug) {
+        if (!this.supabase || !ownerId) return null;
+        const safeSlug = slugifyProductTitle(slug);
+        if (!safeSlug) return null;
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .select(PRODUCT_COLUMNS)
+            .eq('owner_id', ownerId)
+            .eq('slug', safeSlug)
+            .maybeSingle();
+        if (error || !data) return null;
+        return this._withMedia(data);
+    }
+
+    /**
+     * First free slug for an owner: base, then base-2, base-3, ...
+     * excludeId skips the product being edited so it keeps its own slug.
+     */
+    async _availableSlug(ownerId, base, excludeId = null) {
+        const root = base || 'product';
+        let query = this.supabase
+            .from(this.table)
+            .select('id, slug')
+            .eq('owner_id', ownerId)
+            .like('slug', `${root}%`);
+        if (excludeId) query = query.neq('id', excludeId);
+        const { data, error } = await query;
+        if (error) {
+            if (isMissingRelationError(error)) return root;
+            throw error;
+        }
+        const taken = new Set((data || []).map((row) => row.slug));
+        if (!taken.has(root)) return root;
+        for (let n = 2; ; n++) {
+            const candidate = `${root.slice(0, MAX_SLUG_LENGTH - String(n).length - 1)}-${n}`;
+            if (!taken.has(candidate)) return candidate;
+        }
+    }
 
+    /**
+     * Attach ordered media to a product row and map it to the public shape.
+     */
+    async _withMedia(data) {
         let mediaItems = [];
         const { data: mediaRows, error: mediaErr } = await this.supabase
             .from(this.mediaTable)
@@ -150,11 +507,22 @@ class ProductService {
             return null;
         }
 
+        let variants = [];
+        try {
+            variants = await this.listVariants(data.id);
+        } catch (variantErr) {
+            return null;
+        }
+
         const primaryPreview = mediaItems.length && mediaItems[0].previewUrl
             ? mediaItems[0].previewUrl
             : data.preview_url;
         return {
             id: data.id,
+            publicId: data.public_id || '',
+            title: data.title || '',
+            description: data.description || '',
+            slug: data.slug || '',
             price: data.price,
             link: data.link,
             previewUrl: primaryPreview,
@@ -162,11 +530,13 @@ class ProductService {
             size: data.size != null ? String(data.size) : '',
             color: data.color != null ? String(data.color) : '',
             qty: data.qty != null ? String(data.qty) : '',
+            stockCount: data.stock_count != null ? Number(data.stock_count) : null,
             ownerId: data.owner_id || null,
             categoryId: data.category_id || null,
             mediaItems,
             mediaUrls: mediaItems.map((m) => m.previewUrl).filter(Boolean),
-            mediaCount: mediaItems.length || 1
+            mediaCount: mediaItems.length || 1,
+            variants
         };
     }
 
@@ -176,10 +546,9 @@ class ProductService {
      */
     async list(ownerId = null, categoryId = null) {
         if (!this.supabase) return [];
-        const baseCols = 'id, price, link, preview_url, badge_label, size, color, qty, category_id, created_at';
         let query = this.supabase
             .from(this.table)
-            .select(baseCols)
+            .select(LIST_COLUMNS)
             .order('created_at', { ascending: false });
         if (ownerId) query = query.eq('owner_id', ownerId);
         if (categoryId) query = query.eq('category_id', categoryId);
@@ -194,21 +563,111 @@ class ProductService {
             ({ data, error } = await query);
         }
         if (error) throw error;
-        const items = (data || []).map(row => ({
-            id: row.id,
-            price: row.price,
-            link: row.link,
-            previewUrl: row.preview_url,
-            badgeLabel: row.badge_label || '',
-            size: row.size != null ? String(row.size) : '',
-            color: row.color != null ? String(row.color) : '',
-            qty: row.qty != null ? String(row.qty) : '',
-            categoryId: row.category_id || null,
-            mediaItems: [],
-            mediaUrls: row.preview_url ? [row.preview_url] : [],
-            mediaCount: 1
-        }));
+        return this._withListMedia((data || []).map(mapListRow));
+    }
+
+    /**
+     * One storefront page, newest first, for infinite scroll. Keyset-paged on (created_at, id) so
+     * pages do not shift while the owner uploads. search matches title, price or category name;
+     * categoryId may be a list, e.g. a category and its subcategories.
+     * Returns { products, nextCursor }; nextCursor is null on the last page.
+     */
+    async listPage(ownerId, { categoryId = null, search = '', cursor = '', limit = 24 } = {}) {
+        if (!this.supabase || !ownerId) return { products: [], nextCursor: null };
+        const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(limit)) || 24));
+        const after = cursor ? decodeListCursor(cursor) : null;
+        if (cursor && !after) throw productError('CURSOR_INVALID', 'Invalid page cursor.');
+        const categoryIds = await this._categoryIdsMatching(ownerId, search);
+
+        const run = (columns, searchColumns) => {
+            let query = this.supabase
+                .from(this.table)
+                .select(columns)
+                .eq('owner_id', ownerId)
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+                .limit(pageSize + 1);
+            if (Array.isArray(categoryId)) query = query.in('category_id', categoryId);
+            else if (categoryId) query = query.eq('category_id', categoryId);
+            if (after) {
+                const at = `"${after.createdAt}"`;
+                query = query.or(`created_at.lt.${at},and(created_at.eq.${at},id.lt.${after.id})`);
+            }
+            const filters = [searchOrFilter(search, searchColumns)];
+            if (categoryIds.length) filters.push(`category_id.in.(${categoryIds.join(',')})`);
+            const searchFilter = filters.filter(Boolean).join(',');
+            if (searchFilter) query = query.or(searchFilter);
+            return query;
+        };
+        let { data, error } = await run(LIST_COLUMNS, ['title', 'price']);
+        if (error && error.code === '42703') {
+            ({ data, error } = await run('id, price, link, preview_url, badge_label, category_id, created_at', ['price']));
+        }
+        if (error) throw error;
+
+        const rows = data || [];
+        const items = rows.slice(0, pageSize).map(mapListRow);
+        return {
+            products: await this._withListMedia(items),
+            nextCursor: rows.length > pageSize ? encodeListCursor(items[items.length - 1]) : null
+        };
+    }
 
+    /**
+     * Ids of the owner's categories whose name contains the search text, so category names are searchable.
+     */
+    async _categoryIdsMatching(ownerId, search) {
+        const term = cleanSearchTerm(search);
+        if (!term) return [];
+        const { data, error } = await this.supabase
+            .from(this.categoriesTable)
+            .select('id')
+            .eq('owner_id', ownerId)
+            .ilike('name', `%${term}%`);
+        if (error) {
+            if (isMissingRelationError(error)) return [];
+            throw error;
+        }
+        return (data || []).map((row) => row.id).filter((id) => UUID_RE.test(String(id)));
+    }
+
+    /**
+     * One page of an owner's catalog for the dashboard, newest first.
+     * Filters: categoryId ('none' for uncategorised), badge, stock ('in' | 'out' | 'untracked')
+     * and search (title, price, size or colour text). Returns { products, total, page, pageSize }.
+     */
+    async listForOwner(ownerId, { categoryId = '', badge = '', stock = '', search = '', page = 1, pageSize = 24 } = {}) {
+        if (!this.supabase || !ownerId) return { products: [], total: 0, page, pageSize };
+        const from = (page - 1) * pageSize;
+        let query = this.supabase
+            .from(this.table)
+            .select(LIST_COLUMNS, { count: 'exact' })
+            .eq('owner_id', ownerId)
+            .order('created_at', { ascending: false })
+            .range(from, from + pageSize - 1);
+        if (categoryId === 'none') query = query.is('category_id', null);
+        else if (categoryId) query = query.eq('category_id', categoryId);
+        const badgeLabel = normalizeBadgeLabel(badge);
+        if (badgeLabel) query = query.eq('badge_label', badgeLabel);
+        if (stock === 'in') query = query.gt('stock_count', 0);
+        else if (stock === 'out') query = query.eq('stock_count', 0);
+        else if (stock === 'untracked') query = query.is('stock_count', null);
+        const searchFilter = searchOrFilter(search, ['title', 'price', 'size', 'color']);
+        if (searchFilter) query = query.or(searchFilter);
+        const { data, error, count } = await query;
+        if (error) throw error;
+        return {
+            products: await this._withListMedia((data || []).map(mapListRow)),
+            total: Number(count) || 0,
+            page,
+            pageSize
+        };
+    }
+
+    /**
+     * Attach media and variant counts to mapped list rows with one query per table.
+     */
+    async _withListMedia(items) {
         if (!items.length) return items;
         const productIds = items.map((item) => item.id).filter(Boolean);
         if (!productIds.length) return items;
@@ -247,8 +706,528 @@ class ProductService {
             });
         }
 
+        // Products with variants need an option picked on the product page before they can go in a cart.
+        const { data: variantRows, error: variantErr } = await this.supabase
+            .from(this.variantsTable)
+            .select('product_id')
+            .in('product_id', productIds);
+        if (variantErr && !isMissingRelationError(variantErr)) throw variantErr;
+        if (!variantErr && Array.isArray(variantRows) && variantRows.length) {
+            const counts = new Map();
+            variantRows.forEach((row) => counts.set(row.product_id, (counts.get(row.product_id) || 0) + 1));
+            items.forEach((item) => { item.variantCount = counts.get(item.id) || 0; });
+        }
+
         return items;
     }
+
+    /**
+     * Set a product's stock count (null stops tracking). ownerId scopes the change to that owner.
+     * Returns { id, stockCount, badgeLabel }, or null if the product is not found.
+     */
+    async setStock(productId, stockCount, { ownerId = null } = {}) {
+        const next = validStockCount(stockCount);
+        return this._updateStock(this._productStockTarget(productId, ownerId), () => next);
+    }
+
+    /**
+     * Edit an owner's product. changes may hold title, description, price, badgeLabel, size, color, qty
+     * and categoryId (null clears the category); other keys are ignored. Returns the updated product or null.
+     * A product keeps its slug once it has one so readable links already shared keep working.
+     */
+    async update(productId, changes, { ownerId = null } = {}) {
+        if (!this.supabase) throw new Error('Supabase not configured');
+        const input = changes && typeof changes === 'object' ? changes : {};
+        const patch = {};
+        if (input.price !== undefined) {
+            const price = String(input.price || '').trim();
+            if (!price) throw productError('PRODUCT_INVALID', 'Price cannot be empty.');
+            patch.price = price;
+        }
+        if (input.title !== undefined) patch.title = cleanTitle(input.title);
+        if (input.description !== undefined) patch.description = cleanDescription(input.description);
+        if (input.badgeLabel !== undefined) patch.badge_label = normalizeBadgeLabel(input.badgeLabel);
+        ['size', 'color', 'qty'].forEach((key) => {
+            if (input[key] !== undefined) patch[key] = String(input[key] ?? '').trim();
+        });
+        if (input.categoryId !== undefined) patch.category_id = input.categoryId || null;
+        if (!Object.keys(patch).length) throw productError('PRODUCT_INVALID', 'Nothing to update.');
+
+        let lookup = this.supabase
+            .from(this.table)
+            .select('id, owner_id, slug, link, price, badge_label, stock_count')
+            .eq('id', productId);
+        if (ownerId) lookup = lookup.eq('owner_id', ownerId);
+        const { data: current, error: readErr } = await lookup.maybeSingle();
+        if (readErr) throw readErr;
+        if (!current) return null;
+
+        if (patch.title && !current.slug && current.owner_id) {
+            patch.slug = await this._availableSlug(current.owner_id, slugifyProductTitle(patch.title), current.id);
+        }
+
+        // A tracked sell-out keeps its badge until the product is restocked.
+        if (patch.badge_label !== undefined && current.stock_count != null) {
+            patch.badge_label = badgeForStock(patch.badge_label, Number(current.stock_count));
+        }
+        if (patch.price !== undefined || patch.badge_label !== undefined) {
+            patch.link = withLinkParams(current.link, {
+                price: patch.price ?? current.price,
+                badge: patch.badge_label ?? normalizeBadgeLabel(current.badge_label)
+            });
+        }
+
+        let update = this.supabase
+            .from(this.table)
+            .update(patch)
+            .eq('id', productId);
+        if (ownerId) update = update.eq('owner_id', ownerId);
+        const { data, error } = await update.select('id').maybeSingle();
+        if (error) throw error;
+        if (!data) return null;
+        return this.getById(productId);
+    }
+
+    /**
+     * Delete an owner's product with its media and variant rows. destroyAsset({ publicId, mediaType })
+     * is called for each Cloudinary asset no other product still uses; failures are collected, not thrown,
+     * because the product is already gone. The product's public ids are remembered in deleted_products so
+     * its shared links can say it was removed. Returns { id, publicId, assets, failedAssets } or null.
+     */
+    async delete(productId, { ownerId = null, destroyAsset = null } = {}) {
+        if (!this.supabase) throw new Error('Supabase not configured');
+        let lookup = this.supabase
+            .from(this.table)
+            .select('id, public_id, link')
+            .eq('id', productId);
+        if (ownerId) lookup = lookup.eq('owner_id', ownerId);
+        const { data: product, error: readErr } = await lookup.maybeSingle();
+        if (readErr) throw readErr;
+        if (!product) return null;
+
+        const { data: mediaRows, error: mediaErr } = await this.supabase
+            .from(this.mediaTable)
+            .select('public_id, media_type')
+            .eq('product_id', product.id);
+        if (mediaErr && !isMissingRelationError(mediaErr)) throw mediaErr;
+        const assets = new Map();
+        (mediaRows || []).forEach((m) => {
+            if (m.public_id) assets.set(m.public_id, m.media_type === 'video' ? 'video' : 'image');
+        });
+        // Products saved before product_media only say on their link whether the upload was a video.
+        if (product.public_id && !assets.has(product.public_id)) {
+            assets.set(product.public_id, /[?&]mt=video(&|$)/.test(product.link || '') ? 'video' : 'image');
+        }
+
+        // product_media and product_variants rows go with the product (on delete cascade).
+        let removal = this.supabase
+            .from(this.table)
+            .delete()
+            .eq('id', product.id);
+        if (ownerId) removal = removal.eq('owner_id', ownerId);
+        const { data: removed, error: deleteErr } = await removal.select('id').maybeSingle();
+        if (deleteErr) throw deleteErr;
+        if (!removed) return null;
+        const productPublicIds = [...assets.keys()];
+
+        if (assets.size) {
+            const { data: shared, error: sharedErr } = await this.supabase
+                .from(this.mediaTable)
+                .select('public_id')
+                .in('public_id', [...assets.keys()]);
+            if (sharedErr && !isMissingRelationError(sharedErr)) throw sharedErr;
+            (shared || []).forEach((m) => assets.delete(m.public_id));
+        }
+        await this._rememberDeleted(productPublicIds, ownerId);
+
+        const assetList = [...assets].map(([publicId, mediaType]) => ({ publicId, mediaType }));
+        const failedAssets = [];
+        if (typeof destroyAsset === 'function') {
+            for (const asset of assetList) {
+                try {
+                    await destroyAsset(asset);
+                } catch (err) {
+                    failedAssets.push(asset.publicId);
+                }
+            }
+        }
+        return { id: product.id, publicId: product.public_id || '', assets: assetList, failedAssets };
+    }
+
+    /**
+     * Best effort: the product is already gone, so a failed write (or missing table) is ignored and
+     * its links keep their query-driven preview.
+     */
+    async _rememberDeleted(publicIds, ownerId) {
+        if (!publicIds.length) return;
+        const deletedAt = new Date().toISOString();
+        await this.supabase
+            .from(this.deletedTable)
+            .upsert(
+                publicIds.map((publicId) => ({ public_id: publicId, owner_id: ownerId, deleted_at: deletedAt })),
+                { onConflict: 'public_id' }
+            );
+    }
+
+    /**
+     * Product behind a shared /p/ link. deleted is true only when publicId belonged to a product that
+     * was deleted; an id that was never stored (links made before products were saved) is not deleted.
+     */
+    async findForLink(publicId) {
+        const product = await this.getByPublicId(publicId);
+        if (product) return { product, deleted: false };
+        return { product: null, deleted: await this.isDeleted(publicId) };
+    }
+
+    /**
+     * Whether publicId belonged to a product that has since been deleted.
+     */
+    async isDeleted(publicId) {
+        const safePublicId = String(publicId || '').trim();
+        if (!this.supabase || !safePublicId) return false;
+        const { data, error } = await this.supabase
+            .from(this.deletedTable)
+            .select('public_id')
+            .eq('public_id', safePublicId)
+            .maybeSingle();
+        if (error) {
+            if (isMissingRelationError(error)) return false;
+            throw error;
+        }
+        return !!data;
+    }
+
+    /**
+     * Put an owner's product media in the given order. publicIds must list every item exactly once;
+     * the first becomes the cover. Returns the updated product, or null if it is not the owner's.
+     */
+    async reorderMedia(productId, publicIds, { ownerId = null } = {}) {
+        const current = await this._productMedia(productId, ownerId);
+        if (!current) return null;
+        const order = Array.isArray(publicIds) ? publicIds.map((id) => String(id || '').trim()) : [];
+        const known = new Set(current.media.map((m) => m.public_id));
+        if (order.length !== known.size || new Set(order).size !== order.length || order.some((id) => !known.has(id))) {
+            throw productError('PRODUCT_INVALID', 'The new order must list each media item once.');
+        }
+        const byId = new Map(current.media.map((m) => [m.public_id, m]));
+        await this._saveMediaOrder(current.product, order.map((id) => byId.get(id)));
+        return this.getById(current.product.id);
+    }
+
+    /**
+     * Make one media item the cover by moving it to the front; the others keep their order.
+     */
+    async setCover(productId, publicId, { ownerId = null } = {}) {
+        const current = await this._productMedia(productId, ownerId);
+        if (!current) return null;
+        const cover = current.media.find((m) => m.public_id === publicId);
+        if (!cover) throw productError('PRODUCT_INVALID', 'That media item is not on this product.');
+        await this._saveMediaOrder(current.product, [cover, ...current.media.filter((m) => m !== cover)]);
+        return this.getById(current.product.id);
+    }
+
+    /**
+     * Append uploaded media ({ publicId, mediaType, previewUrl, sourceUrl }) after the existing items.
+     */
+    async addMedia(productId, mediaItems, { ownerId = null } = {}) {
+        const current = await this._productMedia(productId, ownerId);
+        if (!current) return null;
+        const existing = new Set(current.media.map((m) => m.public_id));
+        const added = (Array.isArray(mediaItems) ? mediaItems : [])
+            .map((m) => ({
+                product_id: current.product.id,
+                owner_id: current.product.owner_id || null,
+                public_id: String(m?.publicId || '').trim(),
+                media_type: String(m?.mediaType || 'image').toLowerCase() === 'video' ? 'video' : 'image',
+                preview_url: String(m?.previewUrl || '').trim(),
+                source_url: String(m?.sourceUrl || '').trim(),
+                ...mediaHashColumn(m)
+            }))
+            .filter((m) => m.public_id && !existing.has(m.public_id));
+        if (!added.length) throw productError('PRODUCT_INVALID', 'No new media to add.');
+        if (current.media.length + added.length > MAX_PRODUCT_MEDIA) {
+            throw productError('PRODUCT_INVALID', `A product can have at most ${MAX_PRODUCT_MEDIA} photos and videos.`);
+        }
+        added.forEach((m, idx) => { m.sort_order = current.media.length + idx; });
+        const { error } = await this._insertMediaRows(added);
+        if (error) throw error;
+        await this._saveMediaOrder(current.product, [...current.media, ...added]);
+        return this.getById(current.product.id);
+    }
+
+    async _insertMediaRows(rows) {
+        let { error } = await this.supabase.from(this.mediaTable).insert(rows);
+        // Tables created before content_hash still take the rows, just without duplicate detection.
+        if (error && error.code === '42703' && rows.some((row) => 'content_hash' in row)) {
+            ({ error } = await this.supabase
+                .from(this.mediaTable)
+                .insert(rows.map(({ content_hash: omitted, ...row }) => row)));
+        }
+        return { error };
+    }
+
+    /**
+     * The owner's media whose file content matches one of these hashes, as a Map of
+     * hash -> { productId, publicId, title, link, previewUrl } (first match per hash).
+     * Empty when the content_hash column is not migrated yet.
+     */
+    async findMediaByHashes(ownerId, hashes) {
+        const matches = new Map();
+        const unique = [...new Set((Array.isArray(hashes) ? hashes : []).filter(Boolean))];
+        if (!this.supabase || !ownerId || !unique.length) return matches;
+        const { data: rows, error } = await this.supabase
+            .from(this.mediaTable)
+            .select('product_id, public_id, content_hash')
+            .eq('owner_id', ownerId)
+            .in('content_hash', unique);
+        if (error) {
+            if (isMissingRelationError(error)) return matches;
+            throw error;
+        }
+        if (!rows || !rows.length) return matches;
+
+        const { data: products, error: productErr } = await this.supabase
+            .from(this.table)
+            .select('id, title, link, preview_url')
+            .eq('owner_id', ownerId)
+            .in('id', [...new Set(rows.map((row) => row.product_id))]);
+        if (productErr) {
+            if (isMissingRelationError(productErr)) return matches;
+            throw productErr;
+        }
+        const productsById = new Map((products || []).map((product) => [product.id, product]));
+        rows.forEach((row) => {
+            const product = productsById.get(row.product_id);
+            if (!product || matches.has(row.content_hash)) return;
+            matches.set(row.content_hash, {
+                productId: product.id,
+                publicId: row.public_id,
+                title: product.title || '',
+                link: product.link || '',
+                previewUrl: product.preview_url || ''
+            });
+        });
+        return matches;
+    }
+
+    /**
+     * Remove one media item and destroy its asset when no other product uses it. The last item
+     * cannot be removed. Returns { product, failedAssets }, or null if it is not the owner's product.
+     */
+    async removeMedia(productId, publicId, { ownerId = null, destroyAsset = null } = {}) {
+        const current = await this._productMedia(productId, ownerId);
+        if (!current) return null;
+        const target = current.media.find((m) => m.public_id === publicId);
+        if (!target) throw productError('PRODUCT_INVALID', 'That media item is not on this product.');
+        if (current.media.length === 1) throw productError('PRODUCT_INVALID', 'A product needs at least one photo or video.');
+
+        const { error } = await this.supabase
+            .from(this.mediaTable)
+            .delete()
+            .eq('product_id', current.product.id)
+            .eq('public_id', target.public_id);
+        if (error) throw error;
+        await this._saveMediaOrder(current.product, current.media.filter((m) => m !== target));
+
+        const failedAssets = [];
+        const { data: shared, error: sharedErr } = await this.supabase
+            .from(this.mediaTable)
+            .select('public_id')
+            .eq('public_id', target.public_id)
+            .limit(1);
+        if (sharedErr) throw sharedErr;
+        if (!(shared || []).length && typeof destroyAsset === 'function') {
+            try {
+                await destroyAsset({ publicId: target.public_id, mediaType: target.media_type === 'video' ? 'video' : 'image' });
+            } catch (err) {
+                failedAssets.push(target.public_id);
+            }
+        }
+        return { product: await this.getById(current.product.id), failedAssets };
+    }
+
+    /**
+     * Product row and its media in display order. Products saved before product_media existed get
+     * their cover written as the first media row so it can be reordered like the rest.
+     */
+    async _productMedia(productId, ownerId) {
+        if (!this.supabase) throw new Error('Supabase not configured');
+        let lookup = this.supabase
+            .from(this.table)
+            .select('id, owner_id, public_id, link, preview_url, previous_public_ids')
+            .eq('id', productId);
+        if (ownerId) lookup = lookup.eq('owner_id', ownerId);
+        const { data: product, error: readErr } = await lookup.maybeSingle();
+        if (readErr) throw readErr;
+        if (!product) return null;
+
+        const { data: rows, error: mediaErr } = await this.supabase
+            .from(this.mediaTable)
+            .select('public_id, media_type, preview_url, source_url, sort_order')
+            .eq('product_id', product.id)
+            .order('sort_order', { ascending: true })
+            .order('created_at', { ascending: true });
+        if (mediaErr) throw mediaErr;
+        const media = rows || [];
+        if (!media.length && product.public_id) {
+            const cover = {
+                product_id: product.id,
+                owner_id: product.owner_id || null,
+                public_id: product.public_id,
+                media_type: /[?&]mt=video(&|$)/.test(product.link || '') ? 'video' : 'image',
+                preview_url: product.preview_url || '',
+                source_url: '',
+                sort_order: 0
+            };
+            const { error: backfillErr } = await this.supabase.from(this.mediaTable).insert(cover);
+            if (backfillErr) throw backfillErr;
+            media.push(cover);
+        }
+        return { product, media };
+    }
+
+    /**
+     * Write sort_order for media in the given order and point the product at the first item:
+     * public_id, preview_url and the /p/ link follow the cover, and the old public_id is kept in
+     * previous_public_ids so links already shared still open the product.
+     */
+    async _saveMediaOrder(product, ordered) {
+        for (let idx = 0; idx < ordered.length; idx++) {
+            const m = ordered[idx];
+            if (Number(m.sort_order) === idx) continue;
+            const { error } = await this.supabase
+                .from(this.mediaTable)
+                .update({ sort_order: idx })
+                .eq('product_id', product.id)
+                .eq('public_id', m.public_id);
+            if (error) throw error;
+            m.sort_order = idx;
+        }
+
+        const cover = ordered[0];
+        if (!cover) return;
+        const patch = {};
+        if (cover.public_id !== product.public_id) {
+            patch.public_id = cover.public_id;
+            patch.link = withLinkCover(product.link, cover.public_id, cover.media_type);
+            patch.previous_public_ids = [...new Set([...(product.previous_public_ids || []), product.public_id])]
+                .filter((id) => id && id !== cover.public_id);
+        }
+        if (cover.preview_url && cover.preview_url !== product.preview_url) patch.preview_url = cover.preview_url;
+        if (!Object.keys(patch).length) return;
+        const { error } = await this.supabase
+            .from(this.table)
+            .update(patch)
+            .eq('id', product.id);
+        if (error) throw error;
+        Object.assign(product, patch);
+    }
+
+    /**
+     * Add delta to a tracked stock count. Removing more than is in stock throws STOCK_INSUFFICIENT
+     * unless clampAtZero is set (used when a paid order must go through regardless).
+     */
+    async adjustStock(productId, delta, { ownerId = null, clampAtZero = false } = {}) {
+        return this._updateStock(this._productStockTarget(productId, ownerId), adjustBy(delta, clampAtZero));
+    }
+
+    /**
+     * Variant counterparts of setStock/adjustStock. The product's own count is kept at the
+     * variants' total so its SOLD OUT badge follows them. Returns { id, stockCount } or null.
+     */
+    async setVariantStock(productId, variantId, stockCount, { ownerId = null } = {}) {
+        const next = validStockCount(stockCount);
+        const row = await this._updateStock(this._variantStockTarget(productId, variantId, ownerId), () => next);
+        if (row) await this._syncStockFromVariants(productId);
+        return row;
+    }
+
+    async adjustVariantStock(productId, variantId, delta, { ownerId = null, clampAtZero = false } = {}) {
+        const row = await this._updateStock(this._variantStockTarget(productId, variantId, ownerId), adjustBy(delta, clampAtZero));
+        if (row) await this._syncStockFromVariants(productId);
+        return row;
+    }
+
+    /**
+     * Take paid order lines out of stock, per variant where the line has one.
+     * Lines for untracked or missing products are skipped.
+     */
+    async decrementForOrderItems(items) {
+        const totals = new Map();
+        (Array.isArray(items) ? items : []).forEach((item) => {
+            const productId = String(item?.productId || '').trim();
+            if (!productId) return;
+            const variantId = String(item?.variantId || '').trim();
+            const key = `${productId}:${variantId}`;
+            const entry = totals.get(key) || { productId, variantId, quantity: 0 };
+            entry.quantity += Math.floor(Number(item.quantity)) || 1;
+            totals.set(key, entry);
+        });
+        const results = [];
+        for (const { productId, variantId, quantity } of totals.values()) {
+            try {
+                const row = variantId
+                    ? await this.adjustVariantStock(productId, variantId, -quantity, { clampAtZero: true })
+                    : await this.adjustStock(productId, -quantity, { clampAtZero: true });
+                if (row) results.push(row);
+            } catch (err) {
+                if (err.code !== 'STOCK_NOT_TRACKED') throw err;
+            }
+        }
+        return results;
+    }
+
+    _productStockTarget(productId, ownerId) {
+        return { table: this.table, id: productId, filters: ownerId ? [['owner_id', ownerId]] : [], withBadge: true };
+    }
+
+    _variantStockTarget(productId, variantId, ownerId) {
+        const filters = [['product_id', productId]];
+        if (ownerId) filters.push(['owner_id', ownerId]);
+        return { table: this.variantsTable, id: variantId, filters, withBadge: false };
+    }
+
+    async _syncStockFromVariants(productId) {
+        const total = totalVariantStock(await this.listVariants(productId));
+        return this._updateStock(this._productStockTarget(productId, null), () => total);
+    }
+
+    /**
+     * Compare-and-set on stock_count so concurrent orders and owner edits cannot lose updates.
+     * nextFor(current) returns the new count; on products the badge follows it.
+     */
+    async _updateStock({ table, id, filters, withBadge }, nextFor) {
+        if (!this.supabase) throw new Error('Supabase not configured');
+        const columns = withBadge ? 'id, stock_count, badge_label' : 'id, stock_count';
+        for (let attempt = 0; attempt < MAX_STOCK_RETRIES; attempt++) {
+            let lookup = this.supabase
+                .from(table)
+                .select(columns)
+                .eq('id', id);
+            filters.forEach(([column, value]) => { lookup = lookup.eq(column, value); });
+            const { data: current, error: readErr } = await lookup.maybeSingle();
+            if (readErr) throw readErr;
+            if (!current) return null;
+
+            const before = current.stock_count != null ? Number(current.stock_count) : null;
+            const next = nextFor(before);
+            const changes = { stock_count: next };
+            if (withBadge) changes.badge_label = badgeForStock(current.badge_label, next);
+            let update = this.supabase
+                .from(table)
+                .update(changes)
+                .eq('id', id);
+            update = before == null ? update.is('stock_count', null) : update.eq('stock_count', before);
+            const { data, error } = await update.select(columns).maybeSingle();
+            if (error) throw error;
+            if (data) {
+                const row = { id: data.id, stockCount: data.stock_count != null ? Number(data.stock_count) : null };
+                if (withBadge) row.badgeLabel = data.badge_label || '';
+                return row;
+            }
+        }
+        throw productError('STOCK_CONFLICT', 'Stock changed while saving. Try again.');
+    }
 }
 
-module.exports = { ProductService };
+module.exports = { ProductService, parseStockCount, badgeForStock, slugifyProductTitle };
@@ -0,0 +1,264 @@
+/**
+ * Disk staging for resumable media uploads.
+ * A client opens an upload with the file's total size, then sends bytes in chunks at the offset the
+ * server reports. The bytes on disk are the offset, so a chunk cut off mid-way still counts and the
+ * client resumes from wherever the server got to. Staged files belong to one owner and are swept
+ * once untouched for STAGED_UPLOAD_TTL_MS. Bytes are hashed as they arrive, so a finished upload
+ * already knows its contentHash.
+ */
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const STAGED_UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_STAGED_UPLOAD_BYTES = 350 * 1024 * 1024;
+const UPLOAD_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+function uploadError(code, message, extra = {}) {
+    const err = new Error(message);
+    err.code = code;
+    Object.assign(err, extra);
+    return err;
+}
+
+/**
+ * Hex SHA-256 of a file's bytes; the same photo sent twice hashes the same.
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * multer storage engine that writes each file to `dir` (like multer's `dest`) and hashes it on the way,
+ * adding contentHash to the file object without reading it back.
+ */
+class HashingDiskStorage {
+    constructor({ dir }) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    _handleFile(req, file, cb) {
+        const filename = crypto.randomBytes(16).toString('hex');
+        const filePath = path.join(this.dir, filename);
+        const hash = crypto.createHash('sha256');
+        const out = fs.createWriteStream(filePath);
+        let size = 0;
+        file.stream.on('data', (chunk) => {
+            hash.update(chunk);
+            size += chunk.length;
+        });
+        out.on('error', cb);
+        out.on('finish', () => cb(null, {
+            destination: this.dir,
+            filename,
+            path: filePath,
+            size,
+            contentHash: hash.digest('hex')
+        }));
+        file.stream.pipe(out);
+    }
+
+    _removeFile(req, file, cb) {
+        fs.unlink(file.path, cb);
+    }
+}
+
+class UploadStaging {
+    constructor({ dir, maxBytes = MAX_STAGED_UPLOAD_BYTES, ttlMs = STAGED_UPLOAD_TTL_MS } = {}) {
+        this.dir = dir || path.join(process.cwd(), 'uploads', 'staged');
+        this.maxBytes = maxBytes;
+        this.ttlMs = ttlMs;
+        // Upload ids with a chunk being written right now.
+        this.active = new Set();
+        // Running SHA-256 per unfinished upload, with the offset it has hashed up to.
+        this.hashes = new Map();
+    }
+
+    _metaPath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    _partPath(id) {
+        return path.join(this.dir, `${id}.part`);
+    }
+
+    async _load(ownerId, id) {
+        if (!UPLOAD_ID_RE.test(String(id || ''))) throw uploadError('UPLOAD_NOT_FOUND', 'Upload not found.');
+        let meta = null;
+        let stat = null;
+        try {
+            meta = JSON.parse(await fs.promises.readFile(this._metaPath(id), 'utf8'));
+            stat = await fs.promises.stat(this._partPath(id));
+        } catch {
+            throw uploadError('UPLOAD_NOT_FOUND', 'Upload not found.');
+        }
+        if (!meta || meta.ownerId !== ownerId) throw uploadError('UPLOAD_NOT_FOUND', 'Upload not found.');
+        return { meta, offset: stat.size };
+    }
+
+    _status(meta, offset) {
+        return {
+            id: meta.id,
+            filename: meta.filename,
+            mimeType: meta.mimeType,
+            size: meta.size,
+            offset,
+            complete: offset >= meta.size
+        };
+    }
+
+    /**
+     * Open an upload. Returns its status with offset 0.
+     */
+    async create(ownerId, { filename, size, mimeType } = {}) {
+        const total = Number(size);
+        if (!Number.isInteger(total) || total <= 0) {
+            throw uploadError('UPLOAD_INVALID', 'File size is missing.');
+        }
+        if (total > this.maxBytes) {
+            throw uploadError('UPLOAD_TOO_LARGE', 'This file is too large to upload.');
+        }
+        const type = String(mimeType || '').trim().toLowerCase();
+        if (type && !type.startsWith('image/') && !type.startsWith('video/')) {
+            throw uploadError('UPLOAD_INVALID', 'Only photos and videos can be uploaded.');
+        }
+        const meta = {
+            id: crypto.randomUUID(),
+            ownerId,
+            filename: path.basename(String(filename || '').trim()).slice(0, 200) || 'upload',
+            mimeType: type,
+            size: total,
+            createdAt: new Date().toISOString()
+        };
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(this._partPath(meta.id), '');
+        await fs.promises.writeFile(this._metaPath(meta.id), JSON.stringify(meta));
+        return this._status(meta, 0);
+    }
+
+    async get(ownerId, id) {
+        const { meta, offset } = await this._load(ownerId, id);
+        return this._status(meta, offset);
+    }
+
+    /**
+     * Append a chunk read from `source` (e.g. the request stream) at `offset`.
+     * Rejects with UPLOAD_OFFSET_MISMATCH (carrying the current offset) when the client is out of step.
+     * Bytes received before the source fails stay on disk; the next get() reports them.
+     */
+    async append(ownerId, id, offset, source) {
+        // A source that fails before reading starts must not go unhandled; the loop below rethrows it.
+        source.on('error', () => {});
+        const { meta, offset: current } = await this._load(ownerId, id);
+        if (this.active.has(id)) {
+            throw uploadError('UPLOAD_BUSY', 'Another chunk for this file is still being received.');
+        }
+        if (Number(offset) !== current) {
+            throw uploadError('UPLOAD_OFFSET_MISMATCH', 'Upload offset does not match.', { offset: current });
+        }
+
+        this.active.add(id);
+        // No running hash past offset 0 means the server restarted mid-upload; the file is hashed once complete.
+        let hashing = this.hashes.get(id);
+        if (!hashing || hashing.offset !== current) {
+            hashing = current === 0 ? { hash: crypto.createHash('sha256'), offset: 0 } : null;
+        }
+        let written = current;
+        const handle = await fs.promises.open(this._partPath(id), 'a');
+        try {
+            for await (const chunk of source) {
+                if (written + chunk.length > meta.size) {
+                    throw uploadError('UPLOAD_TOO_LARGE', 'Chunk runs past the end of the file.');
+                }
+                // Awaiting each write keeps everything received so far on disk if the source fails.
+                await handle.write(chunk);
+                written += chunk.length;
+                if (hashing) {
+                    hashing.hash.update(chunk);
+                    hashing.offset = written;
+                }
+            }
+        } finally {
+            await handle.close();
+            if (hashing) this.hashes.set(id, hashing);
+            this.active.delete(id);
+        }
+        if (written >= meta.size) {
+            this.hashes.delete(id);
+            meta.contentHash = hashing ? hashing.hash.digest('hex') : await hashFile(this._partPath(id));
+            await fs.promises.writeFile(this._metaPath(id), JSON.stringify(meta));
+        }
+        return this.get(ownerId, id);
+    }
+
+    /**
+     * A complete upload in the shape multer gives route handlers: { path, originalname, mimetype, size }.
+     */
+    async file(ownerId, id) {
+        const { meta, offset } = await this._load(ownerId, id);
+        if (offset < meta.size) {
+            throw uploadError('UPLOAD_INCOMPLETE', `"${meta.filename}" has not finished uploading.`);
+        }
+        return {
+            uploadId: meta.id,
+            path: this._partPath(id),
+            originalname: meta.filename,
+            mimetype: meta.mimeType,
+            size: meta.size,
+            contentHash: meta.contentHash || ''
+        };
+    }
+
+    async remove(ownerId, id) {
+        await this._load(ownerId, id);
+        await this._unlink(id);
+    }
+
+    async _unlink(id) {
+        this.hashes.delete(id);
+        await Promise.all([this._partPath(id), this._metaPath(id)].map((file) => fs.promises.rm(file, { force: true })));
+    }
+
+    /**
+     * Delete uploads whose bytes have not changed for ttlMs. Returns how many were removed.
+     */
+    async sweep(now = Date.now()) {
+        let names = [];
+        try {
+            names = await fs.promises.readdir(this.dir);
+        } catch {
+            return 0;
+        }
+        let removed = 0;
+        for (const name of names) {
+            if (!name.endsWith('.json')) continue;
+            const id = name.slice(0, -5);
+            if (this.active.has(id)) continue;
+            let touchedAt = 0;
+            try {
+                touchedAt = (await fs.promises.stat(this._partPath(id))).mtimeMs;
+            } catch {
+                // Metadata without bytes: always stale.
+            }
+            if (now - touchedAt < this.ttlMs) continue;
+            await this._unlink(id);
+            removed += 1;
+        }
+        return removed;
+    }
+}
+
+module.exports = {
+    UploadStaging,
+    HashingDiskStorage,
+    hashFile,
+    STAGED_UPLOAD_TTL_MS,
+    MAX_STAGED_UPLOAD_BYTES
+};
@@ -0,0 +1,99 @@
+/**
+ * Product variant helpers shared by uploads, product pages and checkout.
+ * A variant is one combination of option values (e.g. { color: 'Red', size: 'XL' })
+ * with an optional price override and its own stock count.
+ */
+const MAX_VARIANTS = 100;
+const MAX_OPTIONS = 3;
+const OPTION_NAME_RE = /^[a-z][a-z0-9_]{0,19}$/;
+// Display order for labels: "Red / XL" reads colour first.
+const OPTION_ORDER = ['color', 'size'];
+
+function compareOptionNames(a, b) {
+    const ai = OPTION_ORDER.indexOf(a);
+    const bi = OPTION_ORDER.indexOf(b);
+    if (ai !== -1 || bi !== -1) return (ai === -1 ? OPTION_ORDER.length : ai) - (bi === -1 ? OPTION_ORDER.length : bi);
+    return a.localeCompare(b);
+}
+
+/**
+ * Clean option values: lower-case names, trimmed values, empties dropped, at most MAX_OPTIONS.
+ */
+function normalizeVariantOptions(options) {
+    const out = {};
+    if (!options || typeof options !== 'object') return out;
+    Object.keys(options)
+        .map((name) => [String(name).trim().toLowerCase().replace(/^colour$/, 'color'), options[name]])
+        .filter(([name, value]) => OPTION_NAME_RE.test(name) && String(value ?? '').trim())
+        .sort(([a], [b]) => compareOptionNames(a, b))
+        .slice(0, MAX_OPTIONS)
+        .forEach(([name, value]) => {
+            out[name] = String(value).trim().slice(0, 60);
+        });
+    return out;
+}
+
+/**
+ * Case-insensitive identity for a combination, e.g. "color=red|size=xl". Unique per product.
+ */
+function variantOptionKey(options) {
+    const normalized = normalizeVariantOptions(options);
+    return Object.keys(normalized)
+        .sort()
+        .map((name) => `${name}=${normalized[name].toLowerCase()}`)
+        .join('|');
+}
+
+function variantLabel(options) {
+    const normalized = normalizeVariantOptions(options);
+    return Object.keys(normalized).map((name) => normalized[name]).join(' / ');
+}
+
+/**
+ * Validate variants from an upload or edit payload. Accepts { options, price, stock } or the flat
+ * { size, color, price, stock } shape the upload draft sends. Duplicate combinations keep the first.
+ * Returns [{ options, optionKey, label, price, stockCount, sortOrder }].
+ */
+function normalizeVariantInput(list) {
+    if (!Array.isArray(list)) return [];
+    const seen = new Set();
+    const variants = [];
+    list.forEach((entry) => {
+        if (!entry || typeof entry !== 'object' || variants.length >= MAX_VARIANTS) return;
+        const rawOptions = entry.options && typeof entry.options === 'object'
+            ? entry.options
+            : { size: entry.size, color: entry.color ?? entry.colour };
+        const options = normalizeVariantOptions(rawOptions);
+        const optionKey = variantOptionKey(options);
+        if (!optionKey || seen.has(optionKey)) return;
+        seen.add(optionKey);
+        const rawStock = entry.stockCount ?? entry.stock;
+        const stock = rawStock == null || String(rawStock).trim() === '' ? null : Math.floor(Number(rawStock));
+        variants.push({
+            options,
+            optionKey,
+            label: variantLabel(options),
+            price: String(entry.price ?? '').trim(),
+            stockCount: Number.isFinite(stock) && stock >= 0 ? stock : null,
+            sortOrder: variants.length
+        });
+    });
+    return variants;
+}
+
+/**
+ * Product-level stock for a product with variants: the sum when every variant is tracked, else null.
+ */
+function totalVariantStock(variants) {
+    if (!Array.isArray(variants) || !variants.length) return null;
+    if (variants.some((v) => v.stockCount == null)) return null;
+    return variants.reduce((sum, v) => sum + Number(v.stockCount), 0);
+}
+
+module.exports = {
+    normalizeVariantOptions,
+    variantOptionKey,
+    variantLabel,
+    normalizeVariantInput,
+    totalVariantStock
+};
@@ -1,11 +1,24 @@
 /**
- * In-memory job queue for category video generation.
- * Processes one job at a time. Job status: pending | processing | completed | failed
+ * Job queue for category video generation.
+ * Renders up to `concurrency` jobs at once, taking the next job from each owner in turn so one owner's
+ * backlog cannot hold up everyone else; an owner may have at most maxJobsPerOwner jobs queued or rendering.
+ * Job status: pending | processing | completed | failed
+ * With a `store` (see VideoJobStore) every change is saved, so recover() can pick up jobs a restart
+ * interrupted and finished jobs stay readable until expire() removes them, and their videos, after ttlMs.
+ * Finished jobs leave memory after retainMs either way.
  */
 const path = require('path');
 const fs = require('fs');
 const { generateSlideshowVideo, uploadToCloudinary } = require('./VideoGenerator');
 
+// An interrupted render is retried on startup this many times before the job is failed.
+const MAX_VIDEO_JOB_ATTEMPTS = 3;
+const VIDEO_JOB_RETAIN_MS = 60 * 60 * 1000;
+const VIDEO_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// One FFmpeg render at a time unless the host opts in to more (VIDEO_RENDER_CONCURRENCY).
+const VIDEO_JOB_CONCURRENCY = 1;
+const MAX_VIDEO_JOBS_PER_OWNER = 3;
+
 const JOB_STATUS = {
     PENDING: 'pending',
     PROCESSING: 'processing',
@@ -13,15 +26,40 @@ const JOB_STATUS = {
     FAILED: 'failed'
 };
 
+function videoJobError(code, message, extra = {}) {
+    const err = new Error(message);
+    err.code = code;
+    Object.assign(err, extra);
+    return err;
+}
+
 class VideoJobQueue {
-    constructor({ cloudinary, productService, categoryService, outputDir }) {
+    constructor({
+        cloudinary,
+        productService,
+        categoryService,
+        outputDir,
+        store = null,
+        retainMs = VIDEO_JOB_RETAIN_MS,
+        ttlMs = VIDEO_JOB_TTL_MS,
+        concurrency = VIDEO_JOB_CONCURRENCY,
+        maxJobsPerOwner = MAX_VIDEO_JOBS_PER_OWNER
+    }) {
         this.cloudinary = cloudinary;
         this.productService = productService;
         this.categoryService = categoryService;
         this.outputDir = outputDir || path.join(process.cwd(), 'uploads', 'videos');
+        this.store = store;
+        this.retainMs = retainMs;
+        this.ttlMs = ttlMs;
+        this.concurrency = Math.max(1, Math.floor(Number(concurrency)) || 1);
+        this.maxJobsPerOwner = Math.max(1, Math.floor(Number(maxJobsPerOwner)) || 1);
         this.jobs = new Map();
-        this.queue = [];
-        this.processing = false;
+        // Pending job ids per owner; Map order is the round-robin order, the owner served last goes to the back.
+        this.ownerQueues = new Map();
+        this.running = new Set();
+        // Last pending save per job, so saves of one job land in order.
+        this.saves = new Map();
     }
 
     _ensureOutputDir() {
@@ -31,11 +69,21 @@ class VideoJobQueue {
     }
 
     /**
-     * Add a job. Returns jobId.
+     * Add a job. Returns jobId. Throws VIDEO_QUEUE_FULL when the owner already has maxJobsPerOwner
+     * jobs queued or rendering.
      */
     add(ownerId, categoryId, options = {}) {
+        const active = this.activeCount(ownerId);
+        if (active >= this.maxJobsPerOwner) {
+            throw videoJobError(
+                'VIDEO_QUEUE_FULL',
+                `You already have ${active} videos queued or rendering. Wait for one to finish and try again.`,
+                { limit: this.maxJobsPerOwner }
+            );
+        }
         const jobId = `vid_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
-        this.jobs.set(jobId, {
+        const now = new Date().toISOString();
+        const job = {
             id: jobId,
             ownerId,
             categoryId,
@@ -44,14 +92,71 @@ class VideoJobQueue {
             videoUrl: null,
             publicId: null,
             error: null,
-            createdAt: new Date().toISOString(),
+            attempts: 0,
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null,
             ...options
-        });
-        this.queue.push(jobId);
+        };
+        this.jobs.set(jobId, job);
+        this._save(job);
+        this._enqueue(job);
         this._processNext();
         return jobId;
     }
 
+    /**
+     * How many of an owner's jobs are queued or rendering.
+     */
+    activeCount(ownerId) {
+        let count = 0;
+        for (const job of this.jobs.values()) {
+            if (job.ownerId === ownerId && (job.status === JOB_STATUS.PENDING || job.status === JOB_STATUS.PROCESSING)) {
+                count += 1;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * 1-based place of a pending job in the order jobs will start, or null when it is not waiting.
+     */
+    position(jobId) {
+        const index = this._startOrder().indexOf(jobId);
+        return index === -1 ? null : index + 1;
+    }
+
+    _enqueue(job) {
+        const pending = this.ownerQueues.get(job.ownerId) || [];
+        pending.push(job.id);
+        this.ownerQueues.set(job.ownerId, pending);
+    }
+
+    /**
+     * Pending job ids in the order they will start: one per owner per round, owners in queue order.
+     */
+    _startOrder() {
+        const queues = [...this.ownerQueues.values()].map((ids) => ids.slice());
+        const order = [];
+        while (queues.some((ids) => ids.length)) {
+            queues.forEach((ids) => {
+                if (ids.length) order.push(ids.shift());
+            });
+        }
+        return order;
+    }
+
+    _dequeue() {
+        for (const [ownerId, pending] of this.ownerQueues) {
+            this.ownerQueues.delete(ownerId);
+            const jobId = pending.shift();
+            if (pending.length) this.ownerQueues.set(ownerId, pending);
+            const job = this.jobs.get(jobId);
+            if (job && job.status === JOB_STATUS.PENDING) return job;
+        }
+        return null;
+    }
+
     /**
      * Get job status.
      */
@@ -60,21 +165,139 @@ class VideoJobQueue {
     }
 
     /**
-     * Process next job in queue.
+     * Like get(), but also finds jobs no longer in memory (finished a while ago, or before a restart).
      */
-    async _processNext() {
-        if (this.processing || this.queue.length === 0) return;
-        const jobId = this.queue.shift();
-        const job = this.jobs.get(jobId);
-        if (!job || job.status !== JOB_STATUS.PENDING) {
-            return this._processNext();
+    async find(jobId) {
+        const job = this.get(jobId);
+        if (job || !this.store) return job;
+        return this.store.get(jobId);
+    }
+
+    /**
+     * An owner's jobs, newest first.
+     */
+    async listForOwner(ownerId, { limit = 20 } = {}) {
+        const live = [...this.jobs.values()].filter((job) => job.ownerId === ownerId);
+        const stored = this.store ? await this.store.listByOwner(ownerId, { limit }) : [];
+        // Memory is ahead of the store while a job runs.
+        const byId = new Map(stored.map((job) => [job.id, job]));
+        live.forEach((job) => byId.set(job.id, job));
+        return [...byId.values()]
+            .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')))
+            .slice(0, limit);
+    }
+
+    /**
+     * Re-queue jobs a restart interrupted, oldest first. A job that was mid-render starts over;
+     * one interrupted MAX_VIDEO_JOB_ATTEMPTS times is failed instead. Returns how many were queued.
+     */
+    async recover() {
+        if (!this.store) return 0;
+        const unfinished = await this.store.listUnfinished();
+        let queued = 0;
+        for (const stored of unfinished) {
+            if (this.jobs.has(stored.id)) continue;
+            const job = { ...stored };
+            if (job.status === JOB_STATUS.PROCESSING && (Number(job.attempts) || 0) >= MAX_VIDEO_JOB_ATTEMPTS) {
+                this.jobs.set(job.id, job);
+                this._finish(job, JOB_STATUS.FAILED, 'The video could not be finished. Please try again.');
+                continue;
+            }
+            job.status = JOB_STATUS.PENDING;
+            job.progress = 0;
+            this.jobs.set(job.id, job);
+            this._touch(job);
+            this._enqueue(job);
+            queued += 1;
         }
+        this._processNext();
+        return queued;
+    }
 
-        this.processing = true;
-        job.status = JOB_STATUS.PROCESSING;
-        job.progress = 10;
+    /**
+     * Delete stored jobs that finished more than ttlMs ago, with their rendered videos, since nothing
+     * links to those once the job is gone. A job whose video could not be removed stays for the next run.
+     * Returns how many were removed.
+     */
+    async expire(now = Date.now()) {
+        if (!this.store) return 0;
+        const expired = await this.store.listFinishedBefore(new Date(now - this.ttlMs).toISOString());
+        let removed = 0;
+        for (const job of expired) {
+            try {
+                await this._removeVideo(job);
+                await this.store.delete(job.id);
+                removed += 1;
+            } catch (err) {
+                console.error('[video] could not expire job', job.id, err.message);
+            }
+        }
+        return removed;
+    }
+
+    async _removeVideo(job) {
+        if (job.publicId) {
+            if (!this.cloudinary) throw new Error('Cloudinary is not configured to delete ' + job.publicId);
+            const result = await this.cloudinary.uploader.destroy(job.publicId, { resource_type: 'video', invalidate: true });
+            if (result?.result !== 'ok' && result?.result !== 'not found') {
+                throw new Error('Cloudinary destroy failed: ' + (result?.result || 'unknown'));
+            }
+            return;
+        }
+        // Without Cloudinary the video is served from outputDir as <jobId>.mp4.
+        await fs.promises.rm(path.join(this.outputDir, `${job.id}.mp4`), { force: true });
+    }
+
+    _save(job) {
+        if (!this.store) return Promise.resolve();
+        const snapshot = { ...job };
+        const previous = this.saves.get(job.id) || Promise.resolve();
+        const saved = previous
+            .then(() => this.store.save(snapshot))
+            .catch((err) => console.error('[video] could not save job', job.id, err.message));
+        this.saves.set(job.id, saved);
+        saved.then(() => {
+            if (this.saves.get(job.id) === saved) this.saves.delete(job.id);
+        });
+        return saved;
+    }
+
+    _touch(job, changes = {}) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        return this._save(job);
+    }
+
+    _finish(job, status, error = null) {
+        this._touch(job, { status, error, finishedAt: new Date().toISOString() });
+        setTimeout(() => {
+            if (this.jobs.get(job.id) === job) this.jobs.delete(job.id);
+        }, this.retainMs).unref();
+    }
+
+    /**
+     * Start queued jobs while there are free workers.
+     */
+    _processNext() {
+        while (this.running.size < this.concurrency) {
+            const job = this._dequeue();
+            if (!job) return;
+            this.running.add(job.id);
+            this._process(job);
+        }
+    }
+
+    async _process(job) {
+        const jobId = job.id;
+        // Counted before the render so a crash mid-way still counts on recovery.
+        this._touch(job, { status: JOB_STATUS.PROCESSING, progress: 10, attempts: (Number(job.attempts) || 0) + 1 });
 
         try {
+            // The category may have been deleted while the job waited (or across a restart); without
+            // this check a null categoryId would render the owner's whole catalog.
+            const categories = job.categoryId ? await this.categoryService.list(job.ownerId) : [];
+            if (!(categories || []).some((category) => category.id === job.categoryId)) {
+                throw new Error('This category was deleted. Choose another category and generate again.');
+            }
             const products = await this.productService.list(job.ownerId, job.categoryId);
             if (!products || products.length === 0) {
                 throw new Error('No products in this category');
@@ -91,7 +314,7 @@ class VideoJobQueue {
                 throw new Error('No product images found');
             }
 
-            job.progress = 20;
+            this._touch(job, { progress: 20 });
             this._ensureOutputDir();
             const outputPath = path.join(this.outputDir, `${jobId}.mp4`);
 
@@ -104,7 +327,7 @@ class VideoJobQueue {
                 outputPath
             });
 
-            job.progress = 80;
+            this._touch(job, { progress: 80 });
 
             if (this.cloudinary) {
                 const { url, publicId } = await uploadToCloudinary(outputPath, this.cloudinary);
@@ -120,15 +343,14 @@ class VideoJobQueue {
             }
 
             job.progress = 100;
-            job.status = JOB_STATUS.COMPLETED;
+            this._finish(job, JOB_STATUS.COMPLETED);
         } catch (err) {
-            job.status = JOB_STATUS.FAILED;
-            job.error = err.message || String(err);
+            this._finish(job, JOB_STATUS.FAILED, err.message || String(err));
         } finally {
-            this.processing = false;
+            this.running.delete(jobId);
             this._processNext();
         }
     }
 }
 
-module.exports = { VideoJobQueue, JOB_STATUS };
+module.exports = { VideoJobQueue, JOB_STATUS, MAX_VIDEO_JOB_ATTEMPTS, MAX_VIDEO_JOBS_PER_OWNER };
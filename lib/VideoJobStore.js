@@ -0,0 +1,203 @@
+/**
+ * Where VideoJobQueue keeps its jobs so they survive a restart.
+ * SupabaseVideoJobStore writes the video_jobs table (needs the service key: jobs are written outside
+ * any owner's request); FileVideoJobStore keeps one JSON file per job for setups without it.
+ * Both store the queue's job objects as-is: known fields as columns, render options under `options`.
+ */
+const path = require('path');
+const fs = require('fs');
+
+const VIDEO_JOB_ID_RE = /^vid_\d+_[a-z0-9]+$/;
+const UNFINISHED_STATUSES = ['pending', 'processing'];
+const FINISHED_STATUSES = ['completed', 'failed'];
+const JOB_FIELDS = [
+    'id', 'ownerId', 'categoryId', 'status', 'progress', 'videoUrl', 'publicId', 'error',
+    'attempts', 'createdAt', 'updatedAt', 'finishedAt'
+];
+
+function splitJob(job) {
+    const fields = {};
+    const options = {};
+    for (const [key, value] of Object.entries(job)) {
+        if (JOB_FIELDS.includes(key)) fields[key] = value;
+        else options[key] = value;
+    }
+    return { fields, options };
+}
+
+function byNewest(a, b) {
+    return String(b.createdAt || '').localeCompare(String(a.createdAt || ''));
+}
+
+class SupabaseVideoJobStore {
+    constructor(supabaseClient) {
+        this.supabase = supabaseClient;
+        this.table = 'video_jobs';
+    }
+
+    _toRow(job) {
+        const { fields, options } = splitJob(job);
+        return {
+            id: fields.id,
+            owner_id: fields.ownerId,
+            category_id: fields.categoryId || null,
+            status: fields.status,
+            progress: Number(fields.progress) || 0,
+            video_url: fields.videoUrl || null,
+            public_id: fields.publicId || null,
+            error: fields.error || null,
+            attempts: Number(fields.attempts) || 0,
+            options,
+            created_at: fields.createdAt,
+            updated_at: fields.updatedAt || fields.createdAt,
+            finished_at: fields.finishedAt || null
+        };
+    }
+
+    _fromRow(row) {
+        return {
+            ...(row.options && typeof row.options === 'object' ? row.options : {}),
+            id: row.id,
+            ownerId: row.owner_id,
+            categoryId: row.category_id || null,
+            status: row.status,
+            progress: Number(row.progress) || 0,
+            videoUrl: row.video_url || null,
+            publicId: row.public_id || null,
+            error: row.error || null,
+            attempts: Number(row.attempts) || 0,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at || row.created_at,
+            finishedAt: row.finished_at || null
+        };
+    }
+
+    async save(job) {
+        const { error } = await this.supabase
+            .from(this.table)
+            .upsert(this._toRow(job), { onConflict: 'id' });
+        if (error) throw error;
+    }
+
+    async get(jobId) {
+        if (!VIDEO_JOB_ID_RE.test(String(jobId || ''))) return null;
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .select('*')
+            .eq('id', jobId)
+            .maybeSingle();
+        if (error) throw error;
+        return data ? this._fromRow(data) : null;
+    }
+
+    /**
+     * Jobs still waiting or rendering, oldest first, for recovery after a restart.
+     */
+    async listUnfinished() {
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .select('*')
+            .in('status', UNFINISHED_STATUSES)
+            .order('created_at', { ascending: true });
+        if (error) throw error;
+        return (data || []).map((row) => this._fromRow(row));
+    }
+
+    async listByOwner(ownerId, { limit = 20 } = {}) {
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .select('*')
+            .eq('owner_id', ownerId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        if (error) throw error;
+        return (data || []).map((row) => this._fromRow(row));
+    }
+
+    /**
+     * Finished jobs that finished before `cutoff` (ISO time), so their videos can go before the rows do.
+     */
+    async listFinishedBefore(cutoff) {
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .select('*')
+            .in('status', FINISHED_STATUSES)
+            .lt('finished_at', cutoff);
+        if (error) throw error;
+        return (data || []).map((row) => this._fromRow(row));
+    }
+
+    async delete(jobId) {
+        const { error } = await this.supabase
+            .from(this.table)
+            .delete()
+            .eq('id', jobId);
+        if (error) throw error;
+    }
+}
+
+class FileVideoJobStore {
+    constructor({ dir }) {
+        this.dir = dir;
+    }
+
+    _path(jobId) {
+        return path.join(this.dir, `${jobId}.json`);
+    }
+
+    async _readAll() {
+        let names = [];
+        try {
+            names = await fs.promises.readdir(this.dir);
+        } catch {
+            return [];
+        }
+        const jobs = [];
+        for (const name of names) {
+            if (!name.endsWith('.json')) continue;
+            const job = await this.get(name.slice(0, -5));
+            if (job) jobs.push(job);
+        }
+        return jobs;
+    }
+
+    async save(job) {
+        if (!VIDEO_JOB_ID_RE.test(String(job.id || ''))) throw new Error('Invalid video job id');
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        // Write then rename so a crash mid-write never leaves half a job behind.
+        const tmpPath = `${this._path(job.id)}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(job));
+        await fs.promises.rename(tmpPath, this._path(job.id));
+    }
+
+    async get(jobId) {
+        if (!VIDEO_JOB_ID_RE.test(String(jobId || ''))) return null;
+        try {
+            return JSON.parse(await fs.promises.readFile(this._path(jobId), 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    async listUnfinished() {
+        const jobs = await this._readAll();
+        return jobs.filter((job) => UNFINISHED_STATUSES.includes(job.status)).sort((a, b) => byNewest(b, a));
+    }
+
+    async listByOwner(ownerId, { limit = 20 } = {}) {
+        const jobs = await this._readAll();
+        return jobs.filter((job) => job.ownerId === ownerId).sort(byNewest).slice(0, limit);
+    }
+
+    async listFinishedBefore(cutoff) {
+        const jobs = await this._readAll();
+        return jobs.filter((job) => FINISHED_STATUSES.includes(job.status) && job.finishedAt && job.finishedAt < cutoff);
+    }
+
+    async delete(jobId) {
+        if (!VIDEO_JOB_ID_RE.test(String(jobId || ''))) return;
+        await fs.promises.rm(this._path(jobId), { force: true });
+    }
+}
+
+module.exports = { SupabaseVideoJobStore, FileVideoJobStore };
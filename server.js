@@ -10,23 +10,35 @@ const https = require('https');
 
 const { createClient } = require('@supabase/supabase-js');
 const { PaystackService } = require('./lib/PaystackService');
-const { OrderService } = require('./lib/OrderService');
-const { ProductService } = require('./lib/ProductService');
-const { CategoryService } = require('./lib/CategoryService');
+const { FlutterwaveService } = require('./lib/FlutterwaveService');
+const { FakePaymentProvider } = require('./lib/FakePaymentProvider');
+const { PaymentProviderRegistry } = require('./lib/PaymentProvider');
+const { OrderService, OWNER_SETTABLE_STATUSES } = require('./lib/OrderService');
+const { ProductService, parseStockCount } = require('./lib/ProductService');
+const { CategoryService, categoryTree, categoryIdsWithChildren } = require('./lib/CategoryService');
 const { VideoJobQueue } = require('./lib/VideoJobQueue');
+const { SupabaseVideoJobStore, FileVideoJobStore } = require('./lib/VideoJobStore');
 const { buildLogoVariants, sanitizeBusinessName } = require('./lib/LogoGenerator');
+const { parseMoneyNumber, resolveCartLines, groupLinesByOwner } = require('./lib/Pricing');
+const { startCheckouts } = require('./lib/Checkout');
+const { normalizeVariantInput } = require('./lib/Variants');
+const { catalogRows, toCsv, toXlsx, readCatalogSheet, sheetRecords, planImport } = require('./lib/CatalogSheet');
+const { UploadStaging, HashingDiskStorage, hashFile } = require('./lib/UploadStaging');
+const { IngestJobQueue } = require('./lib/IngestJobQueue');
 const {
     normalizeBadgeLabel,
     buildImageTransformations,
     buildProductLink,
     buildVideoAnimatedPreviewUrl,
     buildVideoOgPreviewUrl,
-    buildImagePreviewUrl
+    buildImagePreviewUrl,
+    buildCategoryOgPreviewUrl
 } = require('./lib/MediaPipeline');
 
 const app = express();
+// Files are hashed while they are written (contentHash) so duplicate checks need no second read.
 const upload = multer({
-    dest: 'uploads/',
+    storage: new HashingDiskStorage({ dir: 'uploads/' }),
     limits: {
         files: 80,
         fieldSize: 5 * 1024 * 1024,
@@ -46,17 +58,52 @@ if (supabase) {
 const paystackSecret = process.env.PAYSTACK_SECRET_KEY || '';
 const paystackPublic = process.env.PAYSTACK_PUBLIC_KEY || '';
 const paystackService = paystackSecret ? new PaystackService(paystackSecret) : null;
-const orderService = supabase ? new OrderService(supabase) : null;
+// Platform share of each split payment, as a percent of the order total.
+const PLATFORM_FEE_PERCENT = Math.min(50, Math.max(0, Number(process.env.PAYSTACK_PLATFORM_FEE_PERCENT) || 0));
+const PAYMENT_CURRENCY = String(process.env.PAYMENT_CURRENCY || 'NGN').trim().toUpperCase() || 'NGN';
+const flutterwaveSecret = process.env.FLUTTERWAVE_SECRET_KEY || '';
+// Stores pick a provider; those that have not use PAYMENT_PROVIDER (or the first one configured).
+const paymentProviders = new PaymentProviderRegistry(String(process.env.PAYMENT_PROVIDER || 'paystack').toLowerCase());
+if (paystackService) paymentProviders.register(paystackService);
+if (flutterwaveSecret) {
+    paymentProviders.register(new FlutterwaveService(flutterwaveSecret, {
+        secretHash: process.env.FLUTTERWAVE_SECRET_HASH || ''
+    }));
+}
+// Offline checkout for development: PAYMENT_FAKE_PROVIDER=true, never in production.
+const fakePaymentProvider = process.env.PAYMENT_FAKE_PROVIDER === 'true' && process.env.NODE_ENV !== 'production'
+    ? new FakePaymentProvider()
+    : null;
+if (fakePaymentProvider) paymentProviders.register(fakePaymentProvider);
+// Orders are only written server-side; RLS gives anon/owner clients read access alone.
+const orderService = supabase && supabaseServiceKey ? new OrderService(supabase) : null;
+if (supabase && !supabaseServiceKey) {
+    console.log('[Orders] Checkout disabled: set SUPABASE_SERVICE_KEY to create and settle orders.');
+}
 const productService = supabase ? new ProductService(supabase) : null;
 const categoryService = supabase ? new CategoryService(supabase) : null;
+// Video jobs are saved to the video_jobs table with the service key, else to local files, so a restart
+// mid-render picks the job back up instead of losing it.
 const videoJobQueue = productService && categoryService
     ? new VideoJobQueue({
         cloudinary: (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY) ? cloudinary : null,
         productService: productService,
         categoryService: categoryService,
-        outputDir: path.join(__dirname, 'uploads', 'videos')
+        outputDir: path.join(__dirname, 'uploads', 'videos'),
+        // Each render runs its own FFmpeg process; size this to the machine's cores.
+        concurrency: Number(process.env.VIDEO_RENDER_CONCURRENCY) || undefined,
+        maxJobsPerOwner: Number(process.env.VIDEO_JOBS_PER_OWNER) || undefined,
+        store: supabaseServiceKey
+            ? new SupabaseVideoJobStore(supabase)
+            : new FileVideoJobStore({ dir: path.join(__dirname, 'video-jobs') })
     })
     : null;
+// Outside uploads/ so staged bytes are never served statically.
+const uploadStaging = new UploadStaging({ dir: path.join(__dirname, 'staged-uploads') });
+const ingestJobQueue = new IngestJobQueue({
+    processProduct: (input, index, progress) => ingestUploadProduct(input, index, progress),
+    onJobEnd: (job, input) => cleanupTempFiles(input?.tempFiles)
+});
 
 // 1. CLOUDINARY CONFIG
 cloudinary.config({ 
@@ -68,7 +115,10 @@ cloudinary.config({
 // 2. EXPRESS CONFIG
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
-app.use(express.json());
+app.use(express.json({
+    // Keep the exact bytes for webhook signature checks.
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -220,19 +270,6 @@ function normalizeTextValue(input) {
     return String(input).trim();
 }
 
-function parseMoneyNumber(input) {
-    if (input == null) return null;
-    const raw = String(input).trim();
-    if (!raw) return null;
-    const cleaned = raw
-        .replace(/[, ]+/g, '')
-        .replace(/[^\d.-]/g, '');
-    if (!cleaned || cleaned === '-' || cleaned === '.' || cleaned === '-.') return null;
-    const n = Number(cleaned);
-    if (!Number.isFinite(n) || n <= 0) return null;
-    return n;
-}
-
 function formatNairaValue(input) {
     const n = typeof input === 'number' ? input : parseMoneyNumber(input);
     if (!Number.isFinite(n) || n <= 0) return '';
@@ -819,6 +856,14 @@ function storePathFromSlug(storeSlug) {
     return `/s/${encodeURIComponent(storeSlug)}`;
 }
 
+function productPathFromSlugs(storeSlug, productSlug) {
+    return `${storePathFromSlug(storeSlug)}/${encodeURIComponent(productSlug)}`;
+}
+
+function categoryPathFromSlugs(storeSlug, categorySlug) {
+    return `${storePathFromSlug(storeSlug)}/c/${encodeURIComponent(categorySlug)}`;
+}
+
 function absoluteUrlFromPath(req, pathname) {
     const host = req.get('host');
     const protocol = req.headers['x-forwarded-proto'] || req.protocol;
@@ -1162,8 +1207,6 @@ function requireSignedIn(req, res, next) {
 
 app.use(loadAuth);
 
-let inventoryStatus = {};
-
 function normalizeSingleField(val) {
     if (val == null) return '';
     const one = Array.isArray(val) ? val[0] : val;
@@ -1203,6 +1246,58 @@ async function uploadMediaToCloudinary(file, uploadOptions) {
     return cloudinary.uploader.upload(file.path, uploadOptions);
 }
 
+/**
+ * Upload one product photo or video with the store's branding and build its preview URL.
+ * Throws an error whose message explains what the owner can do (e.g. HEIC or oversized video).
+ * Returns { publicId, mediaType, previewUrl, sourceUrl }.
+ */
+async function uploadProductMedia(file, { bgColor = 'white', shouldRemoveBg = false, badgeLabel = '', logoPublicId = '' } = {}) {
+    const mediaType = (file.mimetype || '').startsWith('video/') ? 'video' : 'image';
+    const uploadOptions = { resource_type: mediaType };
+    if (mediaType === 'image') {
+        uploadOptions.transformation = buildImageTransformations({
+            shouldRemoveBg,
+            bgColor,
+            badgeLabel,
+            logoPublicId
+        });
+    }
+
+    let uploadResult = null;
+    try {
+        uploadResult = await uploadMediaToCloudinary(file, uploadOptions);
+    } catch (uploadErr) {
+        const fileLabel = file?.originalname ? `"${file.originalname}"` : 'this file';
+        const fileSize = bytesToLabel(file?.size || 0);
+        console.error('[debug][upload] cloudinary upload failed', {
+            fileLabel,
+            mime: file?.mimetype,
+            size: file?.size,
+            message: uploadErr?.message || String(uploadErr)
+        });
+        if (looksLikeHeicImage(file)) {
+            throw new Error(`Upload failed for ${fileLabel}. HEIC/HEIF from iPhone may be unsupported on this account. In iPhone Camera settings, set Format to "Most Compatible" (JPG/H.264) and try again.`);
+        }
+        if (String(file?.mimetype || '').toLowerCase().startsWith('video/')) {
+            throw new Error(`Upload failed for ${fileLabel} (${fileSize}). If this iPhone video is large, trim it and try again.`);
+        }
+        throw new Error(`Upload failed for ${fileLabel} (${fileSize}). ${uploadErr.message || 'Unknown upload error.'}`);
+    }
+    const previewUrl = mediaType === 'video'
+        ? buildVideoAnimatedPreviewUrl(cloudinary, uploadResult.public_id)
+        : buildImagePreviewUrl(cloudinary, {
+            publicId: uploadResult.public_id,
+            bgColor
+        });
+    return {
+        publicId: uploadResult.public_id,
+        mediaType,
+        previewUrl,
+        sourceUrl: uploadResult.secure_url || uploadResult.url || '',
+        contentHash: file.contentHash || ''
+    };
+}
+
 function cleanupTempFiles(files) {
     const list = Array.isArray(files) ? files : [];
     list.forEach((file) => {
@@ -1539,6 +1634,21 @@ app.get('/logout', logoutAndRedirect);
 app.post('/logout', logoutAndRedirect);
 
 // 4b. CATEGORY API (owner only)
+// Categories nest one level (Shoes › Sneakers); sort_order is the storefront order, set by drag and drop.
+function sendCategoryError(res, e, action) {
+    if (e.code === 'CATEGORY_INVALID') return res.status(400).json({ error: e.message, code: e.code });
+    console.error(`Category ${action} error:`, e.message, e.code || '');
+    return res.status(500).json({ error: schemaHelpError(e, 'categories') });
+}
+
+// Best effort: a cover left behind in Cloudinary is only wasted space.
+function discardCategoryCover(publicId) {
+    if (!publicId) return;
+    destroyCloudinaryAsset({ publicId, mediaType: 'image' }).catch((destroyErr) => {
+        console.error('Cloudinary cleanup failed for', publicId, destroyErr.message);
+    });
+}
+
 app.get('/api/categories', requireOwner, async (req, res) => {
     if (!categoryService || !supabase) return res.status(503).json({ error: 'Categories not configured' });
     try {
@@ -1558,38 +1668,141 @@ app.post('/api/categories', requireOwner, express.json(), async (req, res) => {
     try {
         const client = getRequestSupabase(req) || supabase;
         const svc = new CategoryService(client);
-        const cat = await svc.create({ ownerId: req.user.id, name });
+        const cat = await svc.create({
+            ownerId: req.user.id,
+            name,
+            description: req.body?.description,
+            parentId: req.body?.parentId ? String(req.body.parentId).trim() : null
+        });
         return res.json(cat);
     } catch (e) {
-        return res.status(500).json({ error: e.message });
+        return sendCategoryError(res, e, 'create');
+    }
+});
+
+// Registered before /:id so "reorder" is not taken for a category id. Body: { ids } in the new order.
+app.patch('/api/categories/reorder', requireOwner, express.json(), async (req, res) => {
+    if (!categoryService || !supabase) return res.status(503).json({ error: 'Categories not configured' });
+    try {
+        const svc = new CategoryService(getRequestSupabase(req) || supabase);
+        const categories = await svc.reorder(req.user.id, req.body?.ids);
+        return res.json(categories);
+    } catch (e) {
+        return sendCategoryError(res, e, 'reorder');
     }
 });
 
 app.patch('/api/categories/:id', requireOwner, express.json(), async (req, res) => {
     if (!categoryService || !supabase) return res.status(503).json({ error: 'Categories not configured' });
     const id = req.params.id;
-    const name = String(req.body?.name || '').trim();
-    if (!name) return res.status(400).json({ error: 'Name required' });
+    const body = req.body || {};
+    const changes = {};
+    if (body.name !== undefined) {
+        changes.name = String(body.name || '').trim();
+        if (!changes.name) return res.status(400).json({ error: 'Name required' });
+    }
+    if (body.description !== undefined) changes.description = body.description;
+    if (body.parentId !== undefined) changes.parentId = body.parentId ? String(body.parentId).trim() : null;
+    if (!Object.keys(changes).length) return res.status(400).json({ error: 'Nothing to update' });
     try {
         const client = getRequestSupabase(req) || supabase;
         const svc = new CategoryService(client);
-        const cat = await svc.update(id, req.user.id, { name });
+        const cat = await svc.update(id, req.user.id, changes);
         if (!cat) return res.status(404).json({ error: 'Category not found' });
         return res.json(cat);
     } catch (e) {
-        return res.status(500).json({ error: e.message });
+        return sendCategoryError(res, e, 'update');
+    }
+});
+
+// Cover image shown above the category's products on the storefront. Replaces (and deletes) any previous one.
+app.post('/api/categories/:id/cover', requireOwner, upload.single('cover'), async (req, res) => {
+    const file = req.file || null;
+    let uploaded = null;
+    try {
+        if (!categoryService || !supabase) return res.status(503).json({ error: 'Categories not configured' });
+        if (!file) return res.status(400).json({ error: 'Choose an image for the cover.' });
+        if (!String(file.mimetype || '').toLowerCase().startsWith('image/')) {
+            return res.status(400).json({ error: 'The cover must be an image.' });
+        }
+        const svc = new CategoryService(getRequestSupabase(req) || supabase);
+        const current = await svc.get(req.params.id, req.user.id);
+        if (!current) return res.status(404).json({ error: 'Category not found' });
+
+        const result = await cloudinary.uploader.upload(file.path, {
+            resource_type: 'image',
+            tags: ['category-cover', `owner:${req.user.id}`]
+        });
+        uploaded = { publicId: result.public_id, mediaType: 'image' };
+        const cat = await svc.update(current.id, req.user.id, { cover: { publicId: result.public_id, url: result.secure_url } });
+        uploaded = null;
+        discardCategoryCover(current?.coverPublicId);
+        return res.json(cat);
+    } catch (e) {
+        if (uploaded) {
+            await destroyCloudinaryAsset(uploaded).catch((destroyErr) => {
+                console.error('Cloudinary cleanup failed for', uploaded.publicId, destroyErr.message);
+            });
+        }
+        return sendCategoryError(res, e, 'cover');
+    } finally {
+        cleanupTempFiles(file ? [file] : []);
+    }
+});
+
+app.delete('/api/categories/:id/cover', requireOwner, async (req, res) => {
+    if (!categoryService || !supabase) return res.status(503).json({ error: 'Categories not configured' });
+    try {
+        const svc = new CategoryService(getRequestSupabase(req) || supabase);
+        const current = await svc.get(req.params.id, req.user.id);
+        if (!current) return res.status(404).json({ error: 'Category not found' });
+        const cat = await svc.update(current.id, req.user.id, { cover: null });
+        discardCategoryCover(current?.coverPublicId);
+        return res.json(cat);
+    } catch (e) {
+        return sendCategoryError(res, e, 'cover');
+    }
+});
+
+// How many products and subcategories a delete would affect, so the dashboard can ask first.
+app.get('/api/categories/:id/usage', requireOwner, async (req, res) => {
+    if (!categoryService || !supabase) return res.status(503).json({ error: 'Categories not configured' });
+    try {
+        const svc = new CategoryService(getRequestSupabase(req) || supabase);
+        const usage = await svc.usage(req.params.id, req.user.id);
+        if (!usage) return res.status(404).json({ error: 'Category not found' });
+        return res.json(usage);
+    } catch (e) {
+        return sendCategoryError(res, e, 'usage');
     }
 });
 
+// ?reassignTo=<categoryId> moves the category's products there first; ?uncategorise=true confirms leaving
+// them without a category. A category that still has products is refused (409) until one is chosen.
 app.delete('/api/categories/:id', requireOwner, async (req, res) => {
     if (!categoryService || !supabase) return res.status(503).json({ error: 'Categories not configured' });
+    const reassignTo = normalizeTextValue(req.query.reassignTo) || null;
     try {
         const client = getRequestSupabase(req) || supabase;
         const svc = new CategoryService(client);
-        await svc.delete(req.params.id, req.user.id);
-        return res.json({ success: true });
+        const current = await svc.get(req.params.id, req.user.id);
+        if (!current) return res.status(404).json({ error: 'Category not found' });
+        if (!reassignTo && !isTruthyFlag(req.query.uncategorise)) {
+            const usage = await svc.usage(current.id, req.user.id);
+            if (usage && usage.products > 0) {
+                return res.status(409).json({
+                    error: `${usage.products} product${usage.products === 1 ? ' is' : 's are'} in "${current.name}". Choose a category to move them into, or confirm leaving them uncategorised.`,
+                    code: 'CATEGORY_IN_USE',
+                    ...usage
+                });
+            }
+        }
+        const result = await svc.delete(current.id, req.user.id, { reassignTo });
+        if (!result) return res.status(404).json({ error: 'Category not found' });
+        discardCategoryCover(current.coverPublicId);
+        return res.json({ success: true, moved: result.moved });
     } catch (e) {
-        return res.status(500).json({ error: e.message });
+        return sendCategoryError(res, e, 'delete');
     }
 });
 
@@ -1694,6 +1907,9 @@ app.post('/api/generate-category-video', requireOwner, express.json(), async (re
         userAgent: req.get('user-agent') || ''
     });
     try {
+        if (!(await ownerHasCategory(getRequestSupabase(req) || supabase, req.user.id, categoryId))) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
         const jobId = videoJobQueue.add(req.user.id, categoryId, {
             audioUrl,
             slideDuration,
@@ -1701,17 +1917,55 @@ app.post('/api/generate-category-video', requireOwner, express.json(), async (re
             transitionType
         });
         console.log('[debug][video-api] job queued', { ownerId: req.user?.id || null, categoryId, jobId });
-        return res.json({ jobId });
+        return res.json({ jobId, queuePosition: videoJobQueue.position(jobId) });
     } catch (e) {
+        if (e.code === 'VIDEO_QUEUE_FULL') {
+            return res.status(429).json({ error: e.message, code: e.code, limit: e.limit });
+        }
         console.error('[debug][video-api] queue failed', e && e.message ? e.message : e);
         return res.status(500).json({ error: e.message });
     }
 });
 
+function publicVideoJob(job) {
+    return {
+        id: job.id,
+        categoryId: job.categoryId || null,
+        status: job.status,
+        progress: job.progress,
+        videoUrl: job.videoUrl,
+        error: job.error,
+        // 1 = starts next; null once rendering or finished.
+        queuePosition: job.status === 'pending' ? videoJobQueue.position(job.id) : null,
+        createdAt: job.createdAt || null,
+        finishedAt: job.finishedAt || null
+    };
+}
+
+// The owner's recent video jobs, newest first.
+app.get('/api/generate-category-video', requireOwner, async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    if (!videoJobQueue) return res.status(503).json({ error: 'Video generation not configured' });
+    try {
+        const limit = clampNumber(req.query.limit, { fallback: 20, min: 1, max: 50 });
+        const jobs = await videoJobQueue.listForOwner(req.user.id, { limit });
+        return res.json({ jobs: jobs.map(publicVideoJob) });
+    } catch (e) {
+        console.error('[video-api] history failed', e.message);
+        return res.status(500).json({ error: schemaHelpError(e, 'video jobs') });
+    }
+});
+
 app.get('/api/generate-category-video/:jobId', requireOwner, async (req, res) => {
     res.set('Cache-Control', 'no-store');
     if (!videoJobQueue) return res.status(503).json({ error: 'Video generation not configured' });
-    const job = videoJobQueue.get(req.params.jobId);
+    let job = null;
+    try {
+        job = await videoJobQueue.find(req.params.jobId);
+    } catch (e) {
+        console.error('[video-api] job lookup failed', e.message);
+        return res.status(500).json({ error: 'Could not check this video. Try again.' });
+    }
     if (!job) {
         console.warn('[debug][video-api] job not found', {
             ownerId: req.user?.id || null,
@@ -1734,142 +1988,992 @@ app.get('/api/generate-category-video/:jobId', requireOwner, async (req, res) =>
             error: job.error || null
         });
     }
-    return res.json({
-        id: job.id,
-        status: job.status,
-        progress: job.progress,
-        videoUrl: job.videoUrl,
-        error: job.error
+    return res.json(publicVideoJob(job));
+});
+
+// 4d. PRODUCT EDITS AND STOCK (owner only). Paid orders take stock automatically; these set or correct it.
+async function destroyCloudinaryAsset({ publicId, mediaType }) {
+    const result = await cloudinary.uploader.destroy(publicId, {
+        resource_type: mediaType === 'video' ? 'video' : 'image',
+        invalidate: true
     });
+    if (result?.result !== 'ok' && result?.result !== 'not found') {
+        throw new Error('Cloudinary destroy failed: ' + (result?.result || 'unknown'));
+    }
+}
+
+const PRODUCT_BULK_ACTIONS = ['category', 'badge', 'delete'];
+const MAX_PRODUCT_BULK_IDS = 100;
+
+async function ownerHasCategory(requestSupabase, ownerId, categoryId) {
+    const cats = await new CategoryService(requestSupabase).list(ownerId);
+    return (cats || []).some((cat) => cat.id === categoryId);
+}
+
+app.get('/api/products', requireOwner, async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    if (!supabase) return res.status(503).json({ error: 'Products not configured' });
+    const page = Math.floor(clampNumber(req.query.page, { fallback: 1, min: 1, max: 10000 }));
+    const pageSize = Math.floor(clampNumber(req.query.pageSize, { fallback: 24, min: 1, max: 100 }));
+    try {
+        const svc = new ProductService(getRequestSupabase(req) || supabase);
+        const result = await svc.listForOwner(req.user.id, {
+            categoryId: normalizeTextValue(req.query.category),
+            badge: normalizeTextValue(req.query.badge),
+            stock: normalizeTextValue(req.query.stock).toLowerCase(),
+            search: normalizeTextValue(req.query.q),
+            page,
+            pageSize
+        });
+        return res.json(result);
+    } catch (e) {
+        console.error('Product list error:', e.message, e.code || '');
+        return res.status(500).json({ error: schemaHelpError(e, 'products') });
+    }
 });
 
-// 5. DASHBOARD ROUTE (owner only)
-app.get('/', requireOwner, async (req, res) => {
-    let store = null;
-    let storeError = null;
+// Bulk actions run per product so one missing or failing product does not block the rest.
+app.post('/api/products/bulk', requireOwner, express.json(), async (req, res) => {
+    if (!supabase) return res.status(503).json({ error: 'Products not configured' });
+    const action = normalizeTextValue(req.body?.action).toLowerCase();
+    const ids = [...new Set((Array.isArray(req.body?.ids) ? req.body.ids : []).map((id) => String(id || '').trim()).filter(Boolean))];
+    if (!PRODUCT_BULK_ACTIONS.includes(action)) return res.status(400).json({ error: 'Unknown bulk action' });
+    if (!ids.length) return res.status(400).json({ error: 'Select at least one product' });
+    if (ids.length > MAX_PRODUCT_BULK_IDS) {
+        return res.status(400).json({ error: `Select at most ${MAX_PRODUCT_BULK_IDS} products at a time` });
+    }
     const requestSupabase = getRequestSupabase(req) || supabase;
+    const svc = new ProductService(requestSupabase);
+    let changes = null;
     try {
-        store = await ensureOwnerStore(
-            req.user.id,
-            req.profile?.displayName || req.user.email || 'My Store',
-            requestSupabase
-        );
-        if (store?.slug) setStoreCookie(res, store.slug);
-        if (store && !store.logoPublicId) {
-            return res.redirect(logoOnboardingPath());
+        if (action === 'category') {
+            const categoryId = req.body?.categoryId ? String(req.body.categoryId).trim() : null;
+            if (categoryId && !(await ownerHasCategory(requestSupabase, req.user.id, categoryId))) {
+                return res.status(400).json({ error: 'Invalid category' });
+            }
+            changes = { categoryId };
+        } else if (action === 'badge') {
+            changes = { badgeLabel: normalizeTextValue(req.body?.badgeLabel) };
         }
     } catch (e) {
-        storeError = e.message || 'Store setup failed';
+        console.error('Product bulk category lookup error:', e.message);
+        return res.status(500).json({ error: schemaHelpError(e, 'categories') });
     }
-    const storePath = store?.slug ? storePathFromSlug(store.slug) : null;
-    const storeLink = storePath ? absoluteUrlFromPath(req, storePath) : null;
-    res.render('dashboard', {
-        inventory: inventoryStatus,
-        user: req.user,
-        role: req.role,
-        store,
-        storePath,
-        storeLink,
-        storeError
-    });
+
+    const results = [];
+    for (const id of ids) {
+        try {
+            if (action === 'delete') {
+                const removed = await svc.delete(id, { ownerId: req.user.id, destroyAsset: destroyCloudinaryAsset });
+                if (removed?.failedAssets.length) {
+                    console.error('Cloudinary cleanup failed for deleted product', removed.id, removed.failedAssets);
+                }
+                results.push(removed ? { id, ok: true } : { id, ok: false, error: 'Product not found' });
+            } else {
+                const product = await svc.update(id, changes, { ownerId: req.user.id });
+                results.push(product ? { id, ok: true, product } : { id, ok: false, error: 'Product not found' });
+            }
+        } catch (e) {
+            console.error('Product bulk ' + action + ' error:', id, e.message);
+            results.push({ id, ok: false, error: e.code === 'PRODUCT_INVALID' ? e.message : 'Could not update product' });
+        }
+    }
+    return res.json({ action, updated: results.filter((r) => r.ok).length, results });
 });
 
-// 6. BULK UPLOAD ROUTE (owner only)
-app.post('/upload-bulk', requireOwner, upload.array('files', 80), async (req, res) => {
+// Catalog spreadsheet export and import. Import with dryRun=true only validates and returns the plan;
+// media for new products is matched to the uploaded files by filename.
+const MAX_IMPORT_SHEET_BYTES = 5 * 1024 * 1024;
+
+app.get('/api/products/export', requireOwner, async (req, res) => {
+    if (!supabase) return res.status(503).json({ error: 'Products not configured' });
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (format !== 'csv' && format !== 'xlsx') return res.status(400).json({ error: 'Format must be csv or xlsx' });
     try {
-        const files = Array.isArray(req.files) ? req.files : [];
-        console.log('[debug][upload-bulk] request start', {
-            ownerId: req.user?.id || null,
-            files: files.length,
-            userAgent: req.get('user-agent') || '',
-            contentType: req.get('content-type') || ''
-        });
-        if (!files.length) {
-            console.warn('[debug][upload-bulk] rejected: no files');
-            return res.status(400).json({ success: false, error: 'Select at least one image or video.' });
+        const requestSupabase = getRequestSupabase(req) || supabase;
+        const [products, categories, store] = await Promise.all([
+            new ProductService(requestSupabase).list(req.user.id),
+            new CategoryService(requestSupabase).list(req.user.id),
+            findStoreByOwnerId(req.user.id, requestSupabase)
+        ]);
+        const rows = catalogRows(products, Object.fromEntries(categories.map((c) => [c.id, c.name])));
+        const filename = `${store?.slug || 'catalog'}-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'xlsx') {
+            res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            return res.send(await toXlsx(rows));
         }
+        res.type('text/csv; charset=utf-8');
+        return res.send(toCsv(rows));
+    } catch (e) {
+        console.error('Catalog export error:', e.message, e.code || '');
+        return res.status(500).json({ error: schemaHelpError(e, 'products') });
+    }
+});
 
-        const bgColor = req.body.bgColor || 'white';
-        const shouldRemoveBg = String(req.body.removeBg) === 'true';
-        const badgeLabel = normalizeBadgeLabel(req.body.badgeLabel);
-        const legacyPrices = Array.isArray(req.body.prices) ? req.body.prices : [req.body.prices];
-        const legacySize = normalizeSingleField(req.body.size);
-        const legacyColor = normalizeSingleField(req.body.color);
-        const legacyQty = normalizeSingleField(req.body.qty);
-        const rawCategoryId = req.body.categoryId;
-        const legacyCategoryId = Array.isArray(rawCategoryId)
-            ? (rawCategoryId[0] && String(rawCategoryId[0]).trim()) || ''
-            : (rawCategoryId && String(rawCategoryId).trim()) || '';
+/**
+ * Create or update one planned import row. New media is uploaded with the store's default look
+ * and removed again from Cloudinary if the product cannot be saved.
+ */
+async function applyImportRow(req, svc, row, { filesByName, ownerStore }) {
+    const ownerId = req.user.id;
+    const uploaded = [];
+    try {
+        for (const name of row.mediaFiles || []) {
+            uploaded.push(await uploadProductMedia(filesByName.get(name), { logoPublicId: ownerStore?.logoPublicId || '' }));
+        }
+        if (row.action === 'create') {
+            const primary = uploaded[0];
+            const link = buildProductLink({
+                protocol: req.headers['x-forwarded-proto'] || req.protocol,
+                host: req.get('host'),
+                publicId: primary.publicId,
+                price: row.changes.price,
+                bgColor: 'white',
+                removeBg: false,
+                badgeLabel: '',
+                mediaType: primary.mediaType,
+                storeSlug: ownerStore?.slug || ''
+            });
+            const saved = await svc.create({
+                publicId: primary.publicId,
+                title: row.changes.title || '',
+                description: row.changes.description || '',
+                price: row.changes.price,
+                link,
+                previewUrl: primary.previewUrl,
+                size: row.changes.size || '',
+                color: row.changes.color || '',
+                qty: row.changes.qty || '',
+                stockCount: row.stockCount ?? null,
+                ownerId,
+                categoryId: row.changes.categoryId || null,
+                mediaItems: uploaded.map((asset, idx) => ({ ...asset, sortOrder: idx }))
+            });
+            return { productId: saved.id, link };
+        }
+        if (Object.keys(row.changes).length) await svc.update(row.productId, row.changes, { ownerId });
+        if (row.stockCount !== undefined) await svc.setStock(row.productId, row.stockCount, { ownerId });
+        if (uploaded.length) await svc.addMedia(row.productId, uploaded, { ownerId });
+        return { productId: row.productId };
+    } catch (err) {
+        // Media is attached last, so anything uploaded for a failed row is unused.
+        await Promise.all(uploaded.map((asset) => destroyCloudinaryAsset(asset).catch(() => {})));
+        throw err;
+    }
+}
 
-        let productSpecs = [];
-        const rawProductsPayload = normalizeSingleField(req.body.productsPayload);
-        if (rawProductsPayload) {
-            let parsed = null;
+app.post('/api/products/import', requireOwner, upload.fields([{ name: 'sheet', maxCount: 1 }, { name: 'files', maxCount: 79 }]), async (req, res) => {
+    const sheetFile = req.files?.sheet?.[0] || null;
+    const mediaFiles = Array.isArray(req.files?.files) ? req.files.files : [];
+    try {
+        if (!supabase) return res.status(503).json({ error: 'Products not configured' });
+        if (!sheetFile) return res.status(400).json({ error: 'Choose a .csv or .xlsx file to import.' });
+        if (sheetFile.size > MAX_IMPORT_SHEET_BYTES) return res.status(400).json({ error: 'The spreadsheet is too large (5 MB max).' });
+        const dryRun = isTruthyFlag(req.body.dryRun);
+
+        // A dry run can list the media filenames instead of uploading the files twice.
+        let mediaNames = mediaFiles.map((file) => file.originalname);
+        if (dryRun) {
             try {
-                parsed = JSON.parse(rawProductsPayload);
-            } catch (parseErr) {
-                console.warn('[debug][upload-bulk] invalid productsPayload JSON');
-                return res.status(400).json({ success: false, error: 'Invalid products payload.' });
-            }
-            if (!Array.isArray(parsed) || !parsed.length) {
-                console.warn('[debug][upload-bulk] invalid productsPayload: empty/non-array');
-                return res.status(400).json({ success: false, error: 'No products were provided.' });
-            }
-
-            productSpecs = parsed
-                .map((entry) => {
-                    const fileCount = Math.max(0, Math.floor(Number(entry?.fileCount) || 0));
-                    return {
-                        price: normalizePriceLabel(entry?.price, 'Contact for Price'),
-                        size: normalizeSingleField(entry?.size),
-                        color: normalizeSingleField(entry?.color),
-                        qty: normalizeSingleField(entry?.qty),
-                        categoryId: normalizeSingleField(entry?.categoryId),
-                        fileCount
-                    };
-                })
-                .filter((spec) => spec.fileCount > 0);
-
-            if (!productSpecs.length) {
-                console.warn('[debug][upload-bulk] invalid productsPayload: no specs with files');
-                return res.status(400).json({ success: false, error: 'Each product must include at least one media file.' });
-            }
-        } else {
-            // Backward compatibility: one file = one product.
-            productSpecs = files.map((_, index) => ({
-                price: normalizePriceLabel(legacyPrices[index], 'Contact for Price'),
-                size: legacySize,
-                color: legacyColor,
-                qty: legacyQty,
-                categoryId: legacyCategoryId,
-                fileCount: 1
-            }));
+                const listed = JSON.parse(normalizeSingleField(req.body.mediaNames) || '[]');
+                if (Array.isArray(listed)) mediaNames = mediaNames.concat(listed.map((name) => String(name || '')));
+            } catch {}
         }
 
-        const expectedFiles = productSpecs.reduce((sum, spec) => sum + (spec.fileCount || 0), 0);
-        console.log('[debug][upload-bulk] payload parsed', {
-            products: productSpecs.length,
-            expectedFiles,
-            actualFiles: files.length
+        const requestSupabase = getRequestSupabase(req) || supabase;
+        const svc = new ProductService(requestSupabase);
+        const [products, categories] = await Promise.all([
+            svc.list(req.user.id),
+            new CategoryService(requestSupabase).list(req.user.id)
+        ]);
+        const sheet = sheetRecords(await readCatalogSheet(fs.readFileSync(sheetFile.path), sheetFile.originalname));
+        const plan = planImport(sheet, {
+            products,
+            categories,
+            mediaNames,
+            normalizePrice: (value) => normalizePriceLabel(value, 'Contact for Price')
         });
-        if (expectedFiles !== files.length) {
-            console.warn('[debug][upload-bulk] rejected: file count mismatch', { expectedFiles, actualFiles: files.length });
-            return res.status(400).json({
-                success: false,
-                error: 'Uploaded files do not match products. Please reselect files and try again.'
-            });
-        }
+        const preview = plan.rows.map((row) => ({
+            rowNumber: row.rowNumber,
+            action: row.action,
+            title: row.title,
+            errors: row.errors,
+            productId: row.productId,
+            changedFields: row.changes ? Object.keys(row.changes).concat(row.stockCount !== undefined ? ['stock'] : []) : [],
+            mediaFiles: row.mediaFiles || []
+        }));
+        if (dryRun) return res.json({ dryRun: true, summary: plan.summary, rows: preview });
 
+        const needsUploads = plan.rows.some((row) => (row.action === 'create' || row.action === 'update') && row.mediaFiles.length);
+        const ownerStore = needsUploads ? await findStoreByOwnerId(req.user.id, requestSupabase) : null;
+        if (needsUploads && !ownerStore?.logoPublicId) {
+            return res.status(400).json({ error: 'Set up your brand logo first. Open Logo onboarding and select a logo before uploading.' });
+        }
+        const filesByName = new Map(mediaFiles.map((file) => [file.originalname, file]));
         const results = [];
-        const host = req.get('host');
-        const protocol = req.headers['x-forwarded-proto'] || req.protocol;
-        const requestSupabase = getRequestSupabase(req) || supabase;
-        const scopedProductService = requestSupabase && !supabaseServiceKey
-            ? new ProductService(requestSupabase)
-            : productService;
-        const scopedCategoryService = requestSupabase && !supabaseServiceKey
-            ? new CategoryService(requestSupabase)
-            : categoryService;
+        for (let i = 0; i < plan.rows.length; i++) {
+            const row = plan.rows[i];
+            const result = { ...preview[i], ok: row.action === 'unchanged' };
+            if (row.action === 'create' || row.action === 'update') {
+                try {
+                    Object.assign(result, await applyImportRow(req, svc, row, { filesByName, ownerStore }), { ok: true });
+                } catch (rowErr) {
+                    console.error('Catalog import row failed:', row.rowNumber, rowErr.message, rowErr.code || '');
+                    result.errors = [rowErr.message || 'Could not save this row.'];
+                }
+            }
+            results.push(result);
+        }
+        return res.json({
+            dryRun: false,
+            summary: plan.summary,
+            saved: results.filter((r) => r.ok && r.action !== 'unchanged').length,
+            failed: results.filter((r) => !r.ok).length,
+            rows: results
+        });
+    } catch (e) {
+        if (e.code === 'IMPORT_INVALID') return res.status(400).json({ error: e.message, code: e.code });
+        console.error('Catalog import error:', e.message, e.code || '');
+        return res.status(500).json({ error: schemaHelpError(e, 'products') });
+    } finally {
+        cleanupTempFiles([sheetFile, ...mediaFiles].filter(Boolean));
+    }
+});
+
+app.patch('/api/products/:id', requireOwner, express.json(), async (req, res) => {
+    if (!supabase) return res.status(503).json({ error: 'Products not configured' });
+    const body = req.body || {};
+    const changes = {};
+    if (body.price !== undefined) changes.price = normalizePriceLabel(body.price, '');
+    if (body.description !== undefined) changes.description = body.description == null ? '' : String(body.description);
+    ['title', 'badgeLabel', 'size', 'color', 'qty'].forEach((key) => {
+        if (body[key] !== undefined) changes[key] = normalizeTextValue(body[key]);
+    });
+    if (body.categoryId !== undefined) changes.categoryId = body.categoryId ? String(body.categoryId).trim() : null;
+    try {
+        const requestSupabase = getRequestSupabase(req) || supabase;
+        if (changes.categoryId && !(await ownerHasCategory(requestSupabase, req.user.id, changes.categoryId))) {
+            return res.status(400).json({ error: 'Invalid category' });
+        }
+        const product = await new ProductService(requestSupabase).update(req.params.id, changes, { ownerId: req.user.id });
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+        return res.json(product);
+    } catch (e) {
+        if (e.code === 'PRODUCT_INVALID') return res.status(400).json({ error: e.message, code: e.code });
+        console.error('Product update error:', e.message, e.code || '');
+        return res.status(500).json({ error: schemaHelpError(e, 'products') });
+    }
+});
+
+app.delete('/api/products/:id', requireOwner, async (req, res) => {
+    if (!supabase) return res.status(503).json({ error: 'Products not configured' });
+    try {
+        const svc = new ProductService(getRequestSupabase(req) || supabase);
+        const result = await svc.delete(req.params.id, {
+            ownerId: req.user.id,
+            destroyAsset: destroyCloudinaryAsset
+        });
+        if (!result) return res.status(404).json({ error: 'Product not found' });
+        if (result.failedAssets.length) {
+            console.error('Cloudinary cleanup failed for deleted product', result.id, result.failedAssets);
+        }
+        return res.json({ success: true, id: result.id, removedAssets: result.assets.length - result.failedAssets.length });
+    } catch (e) {
+        console.error('Product delete error:', e.message, e.code || '');
+        return res.status(500).json({ error: schemaHelpError(e, 'products') });
+    }
+});
+
+// Product media: reorder, pick the cover (always the first item), add more or remove one.
+// The product's preview_url and /p/ link follow the cover; old cover links keep resolving.
+function sendProductMediaError(res, e, action) {
+    if (e.code === 'PRODUCT_INVALID') return res.status(400).json({ error: e.message, code: e.code });
+    console.error(`Product media ${action} error:`, e.message, e.code || '');
+    return res.status(500).json({ error: schemaHelpError(e, 'product media') });
+}
+
+app.put('/api/products/:id/media/order', requireOwner, express.json(), async (req, res) => {
+    if (!supabase) return res.status(503).json({ error: 'Products not configured' });
+    try {
+        const svc = new ProductService(getRequestSupabase(req) || supabase);
+        const product = await svc.reorderMedia(req.params.id, req.body?.publicIds, { ownerId: req.user.id });
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+        return res.json(product);
+    } catch (e) {
+        return sendProductMediaError(res, e, 'reorder');
+    }
+});
+
+app.put('/api/products/:id/media/cover', requireOwner, express.json(), async (req, res) => {
+    if (!supabase) return res.status(503).json({ error: 'Products not configured' });
+    try {
+        const svc = new ProductService(getRequestSupabase(req) || supabase);
+        const product = await svc.setCover(req.params.id, String(req.body?.publicId || '').trim(), { ownerId: req.user.id });
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+        return res.json(product);
+    } catch (e) {
+        return sendProductMediaError(res, e, 'cover');
+    }
+});
+
+app.post('/api/products/:id/media', requireOwner, upload.array('files', 10), async (req, res) => {
+    const files = Array.isArray(req.files) ? req.files : [];
+    const uploaded = [];
+    try {
+        if (!supabase) return res.status(503).json({ error: 'Products not configured' });
+        if (!files.length) return res.status(400).json({ error: 'Select at least one image or video.' });
+        const requestSupabase = getRequestSupabase(req) || supabase;
+        const svc = new ProductService(requestSupabase);
+        const current = await svc.getById(req.params.id);
+        if (!current || current.ownerId !== req.user.id) return res.status(404).json({ error: 'Product not found' });
+        const ownerStore = await findStoreByOwnerId(req.user.id, requestSupabase);
+
+        // New media gets the same look as the product's existing images.
+        let linkParams = new URLSearchParams();
+        try {
+            linkParams = new URL(current.link).searchParams;
+        } catch {}
+        const branding = {
+            bgColor: linkParams.get('bg') || 'white',
+            shouldRemoveBg: linkParams.get('rm') === 'true',
+            badgeLabel: normalizeBadgeLabel(current.badgeLabel),
+            logoPublicId: ownerStore?.logoPublicId || ''
+        };
+        for (const file of files) {
+            uploaded.push(await uploadProductMedia(file, branding));
+        }
+        const product = await svc.addMedia(current.id, uploaded, { ownerId: req.user.id });
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+        return res.json(product);
+    } catch (e) {
+        // Nothing was attached, so do not leave the uploads orphaned in Cloudinary.
+        await Promise.all(uploaded.map((asset) => destroyCloudinaryAsset(asset).catch((destroyErr) => {
+            console.error('Cloudinary cleanup failed for', asset.publicId, destroyErr.message);
+        })));
+        if (!e.code) return res.status(500).json({ error: e.message });
+        return sendProductMediaError(res, e, 'upload');
+    } finally {
+        cleanupTempFiles(files);
+    }
+});
+
+app.delete('/api/products/:id/media/:publicId', requireOwner, async (req, res) => {
+    if (!supabase) return res.status(503).json({ error: 'Products not configured' });
+    try {
+        const svc = new ProductService(getRequestSupabase(req) || supabase);
+        const result = await svc.removeMedia(req.params.id, req.params.publicId, {
+            ownerId: req.user.id,
+            destroyAsset: destroyCloudinaryAsset
+        });
+        if (!result) return res.status(404).json({ error: 'Product not found' });
+        if (result.failedAssets.length) {
+            console.error('Cloudinary cleanup failed for removed media', req.params.id, result.failedAssets);
+        }
+        return res.json(result.product);
+    } catch (e) {
+        return sendProductMediaError(res, e, 'remove');
+    }
+});
+
+function sendStockError(res, e) {
+    if (e.code === 'STOCK_INVALID' || e.code === 'STOCK_NOT_TRACKED' || e.code === 'STOCK_INSUFFICIENT') {
+        return res.status(400).json({ error: e.message, code: e.code });
+    }
+    if (e.code === 'STOCK_CONFLICT') return res.status(409).json({ error: e.message, code: e.code });
+    console.error('Stock update error:', e.message, e.code || '');
+    return res.status(500).json({ error: schemaHelpError(e, 'product stock') });
+}
+
+app.put('/api/products/:id/stock', requireOwner, express.json(), async (req, res) => {
+    if (!supabase) return res.status(503).json({ error: 'Products not configured' });
+    const raw = req.body?.stockCount;
+    const stockCount = raw == null || raw === '' ? null : Number(raw);
+    try {
+        const svc = new ProductService(getRequestSupabase(req) || supabase);
+        const row = await svc.setStock(req.params.id, stockCount, { ownerId: req.user.id });
+        if (!row) return res.status(404).json({ error: 'Product not found' });
+        return res.json(row);
+    } catch (e) {
+        return sendStockError(res, e);
+    }
+});
+
+app.post('/api/products/:id/stock/adjust', requireOwner, express.json(), async (req, res) => {
+    if (!supabase) return res.status(503).json({ error: 'Products not configured' });
+    const delta = Number(req.body?.delta);
+    if (!Number.isInteger(delta) || delta === 0) {
+        return res.status(400).json({ error: 'delta must be a non-zero whole number' });
+    }
+    try {
+        const svc = new ProductService(getRequestSupabase(req) || supabase);
+        const row = await svc.adjustStock(req.params.id, delta, { ownerId: req.user.id });
+        if (!row) return res.status(404).json({ error: 'Product not found' });
+        return res.json(row);
+    } catch (e) {
+        return sendStockError(res, e);
+    }
+});
+
+app.put('/api/products/:id/variants/:variantId/stock', requireOwner, express.json(), async (req, res) => {
+    if (!supabase) return res.status(503).json({ error: 'Products not configured' });
+    const raw = req.body?.stockCount;
+    const stockCount = raw == null || raw === '' ? null : Number(raw);
+    try {
+        const svc = new ProductService(getRequestSupabase(req) || supabase);
+        const row = await svc.setVariantStock(req.params.id, req.params.variantId, stockCount, { ownerId: req.user.id });
+        if (!row) return res.status(404).json({ error: 'Variant not found' });
+        return res.json(row);
+    } catch (e) {
+        return sendStockError(res, e);
+    }
+});
+
+app.post('/api/products/:id/variants/:variantId/stock/adjust', requireOwner, express.json(), async (req, res) => {
+    if (!supabase) return res.status(503).json({ error: 'Products not configured' });
+    const delta = Number(req.body?.delta);
+    if (!Number.isInteger(delta) || delta === 0) {
+        return res.status(400).json({ error: 'delta must be a non-zero whole number' });
+    }
+    try {
+        const svc = new ProductService(getRequestSupabase(req) || supabase);
+        const row = await svc.adjustVariantStock(req.params.id, req.params.variantId, delta, { ownerId: req.user.id });
+        if (!row) return res.status(404).json({ error: 'Variant not found' });
+        return res.json(row);
+    } catch (e) {
+        return sendStockError(res, e);
+    }
+});
+
+// 4e. ORDER INBOX (owner only)
+app.get('/api/orders', requireOwner, async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    if (!supabase) return res.status(503).json({ error: 'Orders not configured' });
+    const statuses = String(req.query.status || '')
+        .split(',')
+        .map((status) => status.trim().toLowerCase())
+        .filter(Boolean);
+    const page = Math.floor(clampNumber(req.query.page, { fallback: 1, min: 1, max: 10000 }));
+    const pageSize = Math.floor(clampNumber(req.query.pageSize, { fallback: 20, min: 1, max: 100 }));
+    try {
+        const svc = new OrderService(getRequestSupabase(req) || supabase);
+        const result = await svc.listForOwner(req.user.id, { statuses, page, pageSize });
+        return res.json(result);
+    } catch (e) {
+        console.error('Order list error:', e.message, e.code || '');
+        return res.status(500).json({ error: schemaHelpError(e, 'orders') });
+    }
+});
+
+app.get('/api/orders/:reference', requireOwner, async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    if (!supabase) return res.status(503).json({ error: 'Orders not configured' });
+    try {
+        const svc = new OrderService(getRequestSupabase(req) || supabase);
+        const row = await svc.findForOwner(String(req.params.reference || '').trim(), req.user.id);
+        if (!row) return res.status(404).json({ error: 'Order not found' });
+        const events = await svc.listEvents(row.id);
+        return res.json({ ...svc.toPublic(row), events });
+    } catch (e) {
+        console.error('Order detail error:', e.message, e.code || '');
+        return res.status(500).json({ error: schemaHelpError(e, 'orders') });
+    }
+});
+
+app.post('/api/orders/:reference/status', requireOwner, express.json(), async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    if (!orderService) return res.status(503).json({ error: 'Orders not configured' });
+    const status = String(req.body?.status || '').trim().toLowerCase();
+    if (!OWNER_SETTABLE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${OWNER_SETTABLE_STATUSES.join(', ')}` });
+    }
+    const note = String(req.body?.note || '').trim().slice(0, 500);
+    try {
+        const row = await orderService.transition(String(req.params.reference || '').trim(), status, {
+            actor: 'owner',
+            actorId: req.user.id,
+            ownerId: req.user.id,
+            note
+        });
+        if (!row) return res.status(404).json({ error: 'Order not found' });
+        return res.json(orderService.toPublic(row));
+    } catch (e) {
+        if (e.code === 'ORDER_INVALID_TRANSITION') {
+            return res.status(409).json({ error: e.message, from: e.from, to: e.to });
+        }
+        console.error('Order status error:', e.message, e.code || '');
+        return res.status(500).json({ error: schemaHelpError(e, 'orders') });
+    }
+});
+
+// Full refund when amountKobo is omitted; partial refunds may repeat until the captured amount is used up.
+app.post('/api/orders/:reference/refund', requireOwner, express.json(), async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    if (!orderService) return res.status(503).json({ error: 'Orders not configured' });
+    const reference = String(req.params.reference || '').trim();
+    const rawAmount = req.body?.amountKobo;
+    const amountKobo = rawAmount == null || rawAmount === '' ? null : Number(rawAmount);
+    if (amountKobo != null && (!Number.isInteger(amountKobo) || amountKobo <= 0)) {
+        return res.status(400).json({ error: 'amountKobo must be a whole number of kobo above zero.' });
+    }
+    const note = String(req.body?.note || '').trim().slice(0, 300);
+    try {
+        const order = await orderService.findForOwner(reference, req.user.id);
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+        const provider = providerForOrder(order);
+        if (!provider) return res.status(503).json({ error: 'Payment provider for this order is not configured' });
+        const result = await orderService.refund(reference, amountKobo, {
+            ownerId: req.user.id,
+            actorId: req.user.id,
+            note,
+            issueRefund: async (amount) => {
+                try {
+                    return await provider.refund(reference, amount);
+                } catch (err) {
+                    err.code = err.code || 'PAYMENT_PROVIDER_ERROR';
+                    throw err;
+                }
+            }
+        });
+        if (!result) return res.status(404).json({ error: 'Order not found' });
+        return res.json({
+            order: orderService.toPublic(result.order),
+            amountKobo: result.amountKobo,
+            refundedKobo: result.refundedKobo,
+            full: result.full,
+            providerStatus: result.providerResult?.status || ''
+        });
+    } catch (e) {
+        if (e.code === 'ORDER_REFUND_EXCEEDS') {
+            return res.status(400).json({ error: e.message, remainingKobo: e.remainingKobo });
+        }
+        if (e.code === 'ORDER_REFUND_INVALID') return res.status(400).json({ error: e.message });
+        if (e.code === 'ORDER_NOT_REFUNDABLE' || e.code === 'ORDER_REFUND_CONFLICT') {
+            return res.status(409).json({ error: e.message });
+        }
+        console.error('Order refund error:', e.message, e.code || '');
+        if (e.code === 'PAYMENT_PROVIDER_ERROR') {
+            return res.status(502).json({ error: 'The payment provider could not process the refund: ' + e.message });
+        }
+        return res.status(500).json({ error: schemaHelpError(e, 'orders') });
+    }
+});
+
+// 4f. PAYOUT ACCOUNT (owner only): Paystack subaccount so sales settle straight to the seller.
+const PAYOUT_SELECT_COLUMNS = 'paystack_subaccount_code, settlement_bank_code, settlement_bank_name, settlement_account_name, settlement_account_last4, payment_provider';
+let paystackBanksCache = { expiresAt: 0, banks: [] };
+
+function mapPayoutRow(row) {
+    return {
+        subaccountCode: row?.paystack_subaccount_code || '',
+        bankCode: row?.settlement_bank_code || '',
+        bankName: row?.settlement_bank_name || '',
+        accountName: row?.settlement_account_name || '',
+        accountLast4: row?.settlement_account_last4 || '',
+        platformFeePercent: PLATFORM_FEE_PERCENT,
+        paymentProvider: paymentProviders.forStore({ paymentProvider: row?.payment_provider })?.name || '',
+        availableProviders: paymentProviders.names()
+    };
+}
+
+app.get('/api/payouts/banks', requireOwner, async (req, res) => {
+    if (!paystackService) return res.status(503).json({ error: 'Payments not configured' });
+    try {
+        if (paystackBanksCache.expiresAt < Date.now()) {
+            paystackBanksCache = {
+                expiresAt: Date.now() + 12 * 60 * 60 * 1000,
+                banks: await paystackService.listBanks()
+            };
+        }
+        return res.json({ banks: paystackBanksCache.banks });
+    } catch (e) {
+        console.error('Bank list error:', e.message);
+        return res.status(502).json({ error: 'Could not load banks right now.' });
+    }
+});
+
+app.post('/api/payouts/resolve', requireOwner, express.json(), async (req, res) => {
+    if (!paystackService) return res.status(503).json({ error: 'Payments not configured' });
+    const accountNumber = String(req.body?.accountNumber || '').replace(/\D/g, '');
+    const bankCode = String(req.body?.bankCode || '').trim();
+    if (accountNumber.length !== 10 || !bankCode) {
+        return res.status(400).json({ error: 'Enter a 10-digit account number and choose a bank.' });
+    }
+    try {
+        const resolved = await paystackService.resolveAccountNumber(accountNumber, bankCode);
+        return res.json({ accountName: resolved.accountName });
+    } catch (e) {
+        return res.status(400).json({ error: 'Could not verify that account number.' });
+    }
+});
+
+app.get('/api/payouts', requireOwner, async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    if (!supabase) return res.status(503).json({ error: 'Stores not configured' });
+    try {
+        const requestSupabase = getRequestSupabase(req) || supabase;
+        const { data, error } = await requestSupabase
+            .from('stores')
+            .select(PAYOUT_SELECT_COLUMNS)
+            .eq('owner_id', req.user.id)
+            .maybeSingle();
+        if (error) throw error;
+        return res.json(mapPayoutRow(data));
+    } catch (e) {
+        return res.status(500).json({ error: schemaHelpError(e, 'payouts') });
+    }
+});
+
+app.post('/api/payouts/provider', requireOwner, express.json(), async (req, res) => {
+    if (!supabase) return res.status(503).json({ error: 'Stores not configured' });
+    const provider = String(req.body?.provider || '').trim().toLowerCase();
+    if (!paymentProviders.has(provider)) {
+        return res.status(400).json({ error: 'That payment provider is not available.' });
+    }
+    const requestSupabase = getRequestSupabase(req) || supabase;
+    try {
+        const store = await ensureOwnerStore(
+            req.user.id,
+            req.profile?.displayName || req.user.email || 'My Store',
+            requestSupabase
+        );
+        if (!store) return res.status(404).json({ error: 'Store not found' });
+        const { data, error } = await requestSupabase
+            .from('stores')
+            .update({ payment_provider: provider })
+            .eq('id', store.id)
+            .select(PAYOUT_SELECT_COLUMNS)
+            .single();
+        if (error) throw error;
+        return res.json(mapPayoutRow(data));
+    } catch (e) {
+        console.error('Payment provider update error:', e.message, e.code || '');
+        return res.status(500).json({ error: schemaHelpError(e, 'payouts') });
+    }
+});
+
+app.post('/api/payouts', requireOwner, express.json(), async (req, res) => {
+    if (!paystackService || !supabase) return res.status(503).json({ error: 'Payments not configured' });
+    const accountNumber = String(req.body?.accountNumber || '').replace(/\D/g, '');
+    const bankCode = String(req.body?.bankCode || '').trim();
+    if (accountNumber.length !== 10 || !bankCode) {
+        return res.status(400).json({ error: 'Enter a 10-digit account number and choose a bank.' });
+    }
+    const requestSupabase = getRequestSupabase(req) || supabase;
+    try {
+        const store = await ensureOwnerStore(
+            req.user.id,
+            req.profile?.displayName || req.user.email || 'My Store',
+            requestSupabase
+        );
+        if (!store) return res.status(404).json({ error: 'Store not found' });
+
+        let resolved;
+        try {
+            resolved = await paystackService.resolveAccountNumber(accountNumber, bankCode);
+        } catch (resolveErr) {
+            return res.status(400).json({ error: 'Could not verify that account number.' });
+        }
+
+        const { data: current, error: currentErr } = await requestSupabase
+            .from('stores')
+            .select(PAYOUT_SELECT_COLUMNS)
+            .eq('id', store.id)
+            .maybeSingle();
+        if (currentErr) throw currentErr;
+
+        const details = {
+            businessName: store.name || 'My Store',
+            bankCode,
+            accountNumber,
+            percentageCharge: PLATFORM_FEE_PERCENT
+        };
+        const subaccount = current?.paystack_subaccount_code
+            ? await paystackService.updateSubaccount(current.paystack_subaccount_code, details)
+            : await paystackService.createSubaccount(details);
+
+        const banks = paystackBanksCache.banks || [];
+        const bankName = banks.find((bank) => bank.code === bankCode)?.name || subaccount.bankName || '';
+        const { data, error } = await requestSupabase
+            .from('stores')
+            .update({
+                paystack_subaccount_code: subaccount.subaccountCode,
+                settlement_bank_code: bankCode,
+                settlement_bank_name: bankName,
+                settlement_account_name: resolved.accountName || subaccount.accountName || '',
+                settlement_account_last4: accountNumber.slice(-4)
+            })
+            .eq('id', store.id)
+            .select(PAYOUT_SELECT_COLUMNS)
+            .single();
+        if (error) throw error;
+        return res.json(mapPayoutRow(data));
+    } catch (e) {
+        console.error('Payout setup error:', e.message, e.code || '');
+        return res.status(500).json({ error: schemaHelpError(e, 'payouts') });
+    }
+});
+
+// 5. DASHBOARD ROUTE (owner only)
+app.get('/', requireOwner, async (req, res) => {
+    let store = null;
+    let storeError = null;
+    const requestSupabase = getRequestSupabase(req) || supabase;
+    try {
+        store = await ensureOwnerStore(
+            req.user.id,
+            req.profile?.displayName || req.user.email || 'My Store',
+            requestSupabase
+        );
+        if (store?.slug) setStoreCookie(res, store.slug);
+        if (store && !store.logoPublicId) {
+            return res.redirect(logoOnboardingPath());
+        }
+    } catch (e) {
+        storeError = e.message || 'Store setup failed';
+    }
+    const storePath = store?.slug ? storePathFromSlug(store.slug) : null;
+    const storeLink = storePath ? absoluteUrlFromPath(req, storePath) : null;
+    res.render('dashboard', {
+        user: req.user,
+        role: req.role,
+        store,
+        storePath,
+        storeLink,
+        storeError
+    });
+});
+
+// 6. BULK UPLOAD ROUTE (owner only)
+// Resumable uploads: POST opens one, GET reports how many bytes arrived, PATCH appends a raw chunk
+// at Upload-Offset and DELETE discards it. /upload-bulk then creates products from the upload ids.
+function sendStagedUploadError(res, e) {
+    const status = {
+        UPLOAD_INVALID: 400,
+        UPLOAD_INCOMPLETE: 400,
+        UPLOAD_NOT_FOUND: 404,
+        UPLOAD_OFFSET_MISMATCH: 409,
+        UPLOAD_BUSY: 409,
+        UPLOAD_TOO_LARGE: 413
+    }[e.code];
+    if (!status) {
+        console.error('Staged upload error:', e.message, e.code || '');
+        return res.status(500).json({ error: 'Upload failed. Please try again.' });
+    }
+    const body = { error: e.message, code: e.code };
+    if (e.offset != null) body.offset = e.offset;
+    return res.status(status).json(body);
+}
+
+app.post('/api/uploads', requireOwner, async (req, res) => {
+    try {
+        const staged = await uploadStaging.create(req.user.id, {
+            filename: req.body?.filename,
+            size: req.body?.size,
+            mimeType: req.body?.mimeType
+        });
+        return res.status(201).json(staged);
+    } catch (e) {
+        return sendStagedUploadError(res, e);
+    }
+});
+
+app.get('/api/uploads/:id', requireOwner, async (req, res) => {
+    try {
+        return res.json(await uploadStaging.get(req.user.id, req.params.id));
+    } catch (e) {
+        return sendStagedUploadError(res, e);
+    }
+});
+
+app.patch('/api/uploads/:id', requireOwner, async (req, res) => {
+    const offset = Number(req.get('upload-offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'Upload-Offset header is required.', code: 'UPLOAD_INVALID' });
+    }
+    try {
+        const staged = await uploadStaging.append(req.user.id, req.params.id, offset, req);
+        res.set('Upload-Offset', String(staged.offset));
+        return res.json(staged);
+    } catch (e) {
+        // A dropped connection has nobody to answer; the bytes that arrived are kept for the resume.
+        if (req.aborted || res.headersSent) return;
+        return sendStagedUploadError(res, e);
+    }
+});
+
+app.delete('/api/uploads/:id', requireOwner, async (req, res) => {
+    try {
+        await uploadStaging.remove(req.user.id, req.params.id);
+        return res.json({ success: true });
+    } catch (e) {
+        return sendStagedUploadError(res, e);
+    }
+});
+
+// What the owner chose for a product whose media is already in the catalog.
+const DUPLICATE_MEDIA_ACTIONS = ['skip', 'attach', 'new'];
+
+/**
+ * Look each file's contentHash (set while it was written) up in the owner's media.
+ * Returns, per product, [{ file, name, productId, publicId, title, link, previewUrl }].
+ * Detection is best-effort: a lookup failure means no duplicates rather than a failed upload.
+ */
+async function findDuplicateMedia(svc, ownerId, filesByProduct) {
+    const allFiles = filesByProduct.flat();
+    // Only files written before hashing on upload lack a hash; read those one at a time.
+    for (const file of allFiles) {
+        if (file.contentHash) continue;
+        try {
+            file.contentHash = await hashFile(file.path);
+        } catch (hashErr) {
+            console.error('Could not hash upload', file.originalname, hashErr.message);
+        }
+    }
+    let matches = new Map();
+    if (svc) {
+        try {
+            matches = await svc.findMediaByHashes(ownerId, allFiles.map((file) => file.contentHash));
+        } catch (lookupErr) {
+            console.error('Duplicate media lookup failed:', lookupErr.message, lookupErr.code || '');
+        }
+    }
+    return filesByProduct.map((productFiles) => productFiles
+        .map((file, index) => (matches.has(file.contentHash)
+            ? { file: index, name: file.originalname || 'file', ...matches.get(file.contentHash) }
+            : null))
+        .filter(Boolean));
+}
+
+app.post('/upload-bulk', requireOwner, upload.array('files', 80), async (req, res) => {
+    let queued = false;
+    try {
+        let files = Array.isArray(req.files) ? req.files : [];
+        const rawProductsPayload = normalizeSingleField(req.body.productsPayload);
+        console.log('[debug][upload-bulk] request start', {
+            ownerId: req.user?.id || null,
+            files: files.length,
+            userAgent: req.get('user-agent') || '',
+            contentType: req.get('content-type') || ''
+        });
+        if (!files.length && !rawProductsPayload) {
+            console.warn('[debug][upload-bulk] rejected: no files');
+            return res.status(400).json({ success: false, error: 'Select at least one image or video.' });
+        }
+
+        const bgColor = req.body.bgColor || 'white';
+        const shouldRemoveBg = String(req.body.removeBg) === 'true';
+        const badgeLabel = normalizeBadgeLabel(req.body.badgeLabel);
+        const legacyPrices = Array.isArray(req.body.prices) ? req.body.prices : [req.body.prices];
+        const legacySize = normalizeSingleField(req.body.size);
+        const legacyColor = normalizeSingleField(req.body.color);
+        const legacyQty = normalizeSingleField(req.body.qty);
+        const rawCategoryId = req.body.categoryId;
+        const legacyCategoryId = Array.isArray(rawCategoryId)
+            ? (rawCategoryId[0] && String(rawCategoryId[0]).trim()) || ''
+            : (rawCategoryId && String(rawCategoryId).trim()) || '';
+
+        let productSpecs = [];
+        if (rawProductsPayload) {
+            let parsed = null;
+            try {
+                parsed = JSON.parse(rawProductsPayload);
+            } catch (parseErr) {
+                console.warn('[debug][upload-bulk] invalid productsPayload JSON');
+                return res.status(400).json({ success: false, error: 'Invalid products payload.' });
+            }
+            if (!Array.isArray(parsed) || !parsed.length) {
+                console.warn('[debug][upload-bulk] invalid productsPayload: empty/non-array');
+                return res.status(400).json({ success: false, error: 'No products were provided.' });
+            }
+
+            productSpecs = parsed
+                .map((entry) => {
+                    const uploadIds = Array.isArray(entry?.uploadIds)
+                        ? entry.uploadIds.map((id) => String(id || '').trim()).filter(Boolean)
+                        : [];
+                    const fileCount = uploadIds.length || Math.max(0, Math.floor(Number(entry?.fileCount) || 0));
+                    return {
+                        title: normalizeSingleField(entry?.title),
+                        description: typeof entry?.description === 'string' ? entry.description.trim() : '',
+                        price: normalizePriceLabel(entry?.price, 'Contact for Price'),
+                        size: normalizeSingleField(entry?.size),
+                        color: normalizeSingleField(entry?.color),
+                        qty: normalizeSingleField(entry?.qty),
+                        categoryId: normalizeSingleField(entry?.categoryId),
+                        variants: normalizeVariantInput(entry?.variants).map((variant) => ({
+                            ...variant,
+                            price: variant.price ? normalizePriceLabel(variant.price, '') : ''
+                        })),
+                        uploadIds,
+                        duplicateAction: DUPLICATE_MEDIA_ACTIONS.includes(entry?.duplicateAction) ? entry.duplicateAction : '',
+                        fileCount
+                    };
+                })
+                .filter((spec) => spec.fileCount > 0);
+
+            if (!productSpecs.length) {
+                console.warn('[debug][upload-bulk] invalid productsPayload: no specs with files');
+                return res.status(400).json({ success: false, error: 'Each product must include at least one media file.' });
+            }
+        } else {
+            // Backward compatibility: one file = one product.
+            productSpecs = files.map((_, index) => ({
+                title: '',
+                description: '',
+                price: normalizePriceLabel(legacyPrices[index], 'Contact for Price'),
+                size: legacySize,
+                color: legacyColor,
+                qty: legacyQty,
+                categoryId: legacyCategoryId,
+                variants: [],
+                uploadIds: [],
+                duplicateAction: '',
+                fileCount: 1
+            }));
+        }
+
+        // Media sent earlier through /api/uploads is referenced by id instead of re-sent.
+        const stagedIds = productSpecs.flatMap((spec) => spec.uploadIds);
+        if (stagedIds.length) {
+            if (files.length || stagedIds.length !== productSpecs.reduce((sum, spec) => sum + spec.fileCount, 0)) {
+                return res.status(400).json({ success: false, error: 'Send each product\'s media either as files or as upload ids, not both.' });
+            }
+            if (stagedIds.length > 80 || new Set(stagedIds).size !== stagedIds.length) {
+                return res.status(400).json({ success: false, error: 'Each uploaded file can be used once, up to 80 per batch.' });
+            }
+            try {
+                files = await Promise.all(stagedIds.map((id) => uploadStaging.file(req.user.id, id)));
+            } catch (stagedErr) {
+                if (!stagedErr.code) throw stagedErr;
+                return res.status(400).json({ success: false, error: stagedErr.message, code: stagedErr.code });
+            }
+        }
+        if (!files.length) {
+            return res.status(400).json({ success: false, error: 'Select at least one image or video.' });
+        }
+
+        const expectedFiles = productSpecs.reduce((sum, spec) => sum + (spec.fileCount || 0), 0);
+        console.log('[debug][upload-bulk] payload parsed', {
+            products: productSpecs.length,
+            expectedFiles,
+            actualFiles: files.length
+        });
+        if (expectedFiles !== files.length) {
+            console.warn('[debug][upload-bulk] rejected: file count mismatch', { expectedFiles, actualFiles: files.length });
+            return res.status(400).json({
+                success: false,
+                error: 'Uploaded files do not match products. Please reselect files and try again.'
+            });
+        }
+
+        const requestSupabase = getRequestSupabase(req) || supabase;
+        const scopedProductService = requestSupabase && !supabaseServiceKey
+            ? new ProductService(requestSupabase)
+            : productService;
+        const scopedCategoryService = requestSupabase && !supabaseServiceKey
+            ? new CategoryService(requestSupabase)
+            : categoryService;
         let ownerStore = null;
         let categoryNameById = {};
 
@@ -1908,170 +3012,283 @@ app.post('/upload-bulk', requireOwner, upload.array('files', 80), async (req, re
         }
 
         let fileCursor = 0;
-        for (let productIndex = 0; productIndex < productSpecs.length; productIndex++) {
-            const spec = productSpecs[productIndex];
+        const filesByProduct = productSpecs.map((spec) => {
             const productFiles = files.slice(fileCursor, fileCursor + spec.fileCount);
             fileCursor += spec.fileCount;
-            if (!productFiles.length) continue;
-            console.log('[debug][upload-bulk] product processing', {
-                productIndex,
-                files: productFiles.length,
-                categoryId: spec.categoryId || '',
-                price: spec.price
-            });
+            return productFiles;
+        });
 
-            const mediaAssets = [];
-            for (let fileIndex = 0; fileIndex < productFiles.length; fileIndex++) {
-                const file = productFiles[fileIndex];
-                const mediaType = (file.mimetype || '').startsWith('video/') ? 'video' : 'image';
-                console.log('[debug][upload-bulk] file processing', {
-                    productIndex,
-                    fileIndex,
-                    originalname: file.originalname,
-                    mimetype: file.mimetype,
-                    size: file.size,
-                    mediaType
-                });
-                const uploadOptions = { resource_type: mediaType };
-                if (mediaType === 'image') {
-                    uploadOptions.transformation = buildImageTransformations({
-                        shouldRemoveBg,
-                        bgColor,
-                        badgeLabel,
-                        logoPublicId: ownerStore.logoPublicId
-                    });
-                }
+        // Files already in the catalog are flagged; each affected product must say skip, attach or new.
+        const duplicatesByProduct = await findDuplicateMedia(scopedProductService, req.user.id, filesByProduct);
+        const undecided = duplicatesByProduct
+            .map((duplicates, index) => ({ product: index, files: duplicates }))
+            .filter((entry) => entry.files.length && !productSpecs[entry.product].duplicateAction);
+        if (undecided.length) {
+            console.log('[debug][upload-bulk] duplicates need a decision', { products: undecided.length });
+            return res.status(409).json({
+                success: false,
+                code: 'DUPLICATE_MEDIA',
+                error: 'Some photos or videos are already in your catalog. Choose what to do with them and try again.',
+                duplicates: undecided
+            });
+        }
 
-                let uploadResult = null;
-                try {
-                    uploadResult = await uploadMediaToCloudinary(file, uploadOptions);
-                    console.log('[debug][upload-bulk] cloudinary upload ok', {
-                        productIndex,
-                        fileIndex,
-                        publicId: uploadResult.public_id,
-                        resourceType: uploadResult.resource_type
-                    });
-                } catch (uploadErr) {
-                    const fileLabel = file?.originalname ? `"${file.originalname}"` : 'this file';
-                    const fileSize = bytesToLabel(file?.size || 0);
-                    console.error('[debug][upload-bulk] cloudinary upload failed', {
-                        productIndex,
-                        fileIndex,
-                        fileLabel,
-                        mime: file?.mimetype,
-                        size: file?.size,
-                        message: uploadErr?.message || String(uploadErr)
-                    });
-                    if (looksLikeHeicImage(file)) {
-                        throw new Error(`Upload failed for ${fileLabel}. HEIC/HEIF from iPhone may be unsupported on this account. In iPhone Camera settings, set Format to "Most Compatible" (JPG/H.264) and try again.`);
-                    }
-                    if (String(file?.mimetype || '').toLowerCase().startsWith('video/')) {
-                        throw new Error(`Upload failed for ${fileLabel} (${fileSize}). If this iPhone video is large, trim it and try again.`);
-                    }
-                    throw new Error(`Upload failed for ${fileLabel} (${fileSize}). ${uploadErr.message || 'Unknown upload error.'}`);
-                }
-                const previewUrl = mediaType === 'video'
-                    ? buildVideoAnimatedPreviewUrl(cloudinary, uploadResult.public_id)
-                    : buildImagePreviewUrl(cloudinary, {
-                        publicId: uploadResult.public_id,
-                        bgColor
-                    });
-
-                inventoryStatus[uploadResult.public_id] = {
-                    price: spec.price,
-                    type: mediaType,
-                    isSoldOut: false,
-                    badgeLabel
-                };
-                mediaAssets.push({
-                    publicId: uploadResult.public_id,
-                    mediaType,
-                    previewUrl,
-                    sourceUrl: uploadResult.secure_url || uploadResult.url || '',
-                    sortOrder: fileIndex
-                });
+        // The batch runs as a background job; the dashboard follows it over /api/upload-jobs/:jobId/events.
+        const jobId = ingestJobQueue.add(
+            req.user.id,
+            productSpecs.map((spec, index) => ({
+                title: spec.title,
+                fileNames: filesByProduct[index].map((file) => file.originalname || 'file')
+            })),
+            {
+                ownerId: req.user.id,
+                specs: productSpecs,
+                filesByProduct,
+                duplicatesByProduct,
+                tempFiles: Array.isArray(req.files) ? req.files : [],
+                branding: { bgColor, shouldRemoveBg, badgeLabel, logoPublicId: ownerStore.logoPublicId },
+                ownerStore,
+                categoryNameById,
+                productService: scopedProductService,
+                protocol: req.headers['x-forwarded-proto'] || req.protocol,
+                host: req.get('host')
             }
+        );
+        queued = true;
+        console.log('[debug][upload-bulk] job queued', { jobId, products: productSpecs.length, files: files.length });
+        res.status(202).json({
+            success: true,
+            jobId,
+            statusUrl: `/api/upload-jobs/${encodeURIComponent(jobId)}`,
+            eventsUrl: `/api/upload-jobs/${encodeURIComponent(jobId)}/events`
+        });
+    } catch (err) {
+        console.error('Upload error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    } finally {
+        // Once queued, the job owns the temp files and deletes them when it ends.
+        if (!queued) cleanupTempFiles(req.files);
+    }
+});
 
-            if (!mediaAssets.length) continue;
-            const primary = mediaAssets[0];
-            const link = buildProductLink({
-                protocol,
-                host,
-                publicId: primary.publicId,
-                price: spec.price,
-                bgColor,
-                removeBg: shouldRemoveBg && primary.mediaType === 'image',
-                badgeLabel,
-                mediaType: primary.mediaType,
-                storeSlug: ownerStore?.slug || ''
-            });
+async function discardStagedFiles(ownerId, files) {
+    await Promise.all(files.filter((file) => file.uploadId).map((file) => (
+        uploadStaging.remove(ownerId, file.uploadId).catch((removeErr) => {
+            console.error('Staged upload cleanup failed for', file.uploadId, removeErr.message);
+        })
+    )));
+}
 
-            results.push({
-                link,
-                price: spec.price,
-                previewUrl: primary.previewUrl,
-                mediaType: primary.mediaType,
-                mediaCount: mediaAssets.length,
-                badgeLabel,
-                storeSlug: ownerStore?.slug || '',
-                categoryId: spec.categoryId || '',
-                categoryName: categoryNameById[spec.categoryId] || '',
-                size: spec.size,
-                color: spec.color,
-                qty: spec.qty
-            });
+/**
+ * Upload one product of a bulk batch and save it. Called by the ingestion queue for each product.
+ * All or nothing: when a file or the save fails, the product's uploaded assets are deleted and the
+ * error marks just this product failed. Its staged files stay so the owner can retry it alone.
+ * Media already in the catalog follows the owner's choice: skip the product, attach its new files
+ * to the matching product, or create a new product anyway.
+ */
+async function ingestUploadProduct(input, productIndex, { reportFile }) {
+    const spec = input.specs[productIndex];
+    const productFiles = input.filesByProduct[productIndex] || [];
+    const duplicates = input.duplicatesByProduct?.[productIndex] || [];
+    const { branding, ownerStore } = input;
+    const action = duplicates.length ? spec.duplicateAction : 'new';
+    const duplicateIndexes = new Set(action === 'new' ? [] : duplicates.map((duplicate) => duplicate.file));
+    console.log('[debug][upload-bulk] product processing', {
+        productIndex,
+        files: productFiles.length,
+        duplicates: duplicates.length,
+        action,
+        categoryId: spec.categoryId || '',
+        price: spec.price
+    });
 
-            if (scopedProductService) {
-                try {
-                    await scopedProductService.create({
-                        publicId: primary.publicId,
-                        price: spec.price,
-                        link,
-                        previewUrl: primary.previewUrl,
-                        bgColor,
-                        badgeLabel,
-                        size: spec.size,
-                        color: spec.color,
-                        qty: spec.qty,
-                        ownerId: req.user ? req.user.id : null,
-                        categoryId: spec.categoryId || null,
-                        mediaItems: mediaAssets
-                    });
-                    console.log('[debug][upload-bulk] product saved', {
-                        productIndex,
-                        primaryPublicId: primary.publicId,
-                        mediaCount: mediaAssets.length
-                    });
-                } catch (dbErr) {
-                    console.error('Product save error:', dbErr.message, dbErr.code || '', dbErr.details || '');
-                    if (!res.locals.dbError) res.locals.dbError = dbErr.message;
-                    if (dbErr.code === '42703') console.error('Tip: run ALTER TABLE in supabase-schema.sql to add size, color, qty columns.');
-                }
+    duplicateIndexes.forEach((fileIndex) => reportFile(fileIndex, 'skipped'));
+    if (action === 'skip' || duplicateIndexes.size === productFiles.length) {
+        await discardStagedFiles(input.ownerId, productFiles);
+        return { skipped: true, duplicateOf: duplicates[0] };
+    }
+
+    const mediaAssets = [];
+    let result = null;
+    try {
+        for (let fileIndex = 0; fileIndex < productFiles.length; fileIndex++) {
+            if (duplicateIndexes.has(fileIndex)) continue;
+            const file = productFiles[fileIndex];
+            reportFile(fileIndex, 'uploading');
+            let asset = null;
+            try {
+                asset = await uploadProductMedia(file, branding);
+            } catch (uploadErr) {
+                reportFile(fileIndex, 'failed', uploadErr.message);
+                throw uploadErr;
             }
+            console.log('[debug][upload-bulk] cloudinary upload ok', {
+                productIndex,
+                fileIndex,
+                publicId: asset.publicId,
+                resourceType: asset.mediaType
+            });
+            reportFile(fileIndex, 'uploaded');
+            mediaAssets.push({ ...asset, sortOrder: mediaAssets.length });
         }
 
-        if (!results.length) {
-            console.warn('[debug][upload-bulk] rejected: no results produced');
-            return res.status(400).json({ success: false, error: 'No products were uploaded. Check your media files and try again.' });
+        if (action === 'attach') {
+            const target = duplicates[0];
+            let product = null;
+            try {
+                product = await input.productService.addMedia(target.productId, mediaAssets, { ownerId: input.ownerId });
+            } catch (dbErr) {
+                console.error('Attach to existing product failed:', dbErr.message, dbErr.code || '');
+                throw new Error(dbErr.code === 'PRODUCT_INVALID' ? dbErr.message : `Could not add to the existing product: ${schemaHelpError(dbErr, 'product media')}`);
+            }
+            if (!product) throw new Error('The matching product was deleted. Upload this one as a new product instead.');
+            await discardStagedFiles(input.ownerId, productFiles);
+            return {
+                attachedTo: product.id,
+                link: product.link,
+                title: product.title,
+                description: product.description,
+                price: product.price,
+                previewUrl: product.previewUrl,
+                mediaType: product.mediaItems[0]?.mediaType || 'image',
+                mediaCount: product.mediaCount,
+                badgeLabel: product.badgeLabel,
+                storeSlug: ownerStore?.slug || '',
+                categoryId: product.categoryId || '',
+                categoryName: input.categoryNameById[product.categoryId] || '',
+                size: product.size,
+                color: product.color,
+                qty: product.qty,
+                variantCount: product.variants.length,
+                dbSaved: true
+            };
         }
 
-        console.log('[debug][upload-bulk] success', {
-            items: results.length,
-            dbSaved: !!scopedProductService && !res.locals.dbError,
-            dbError: res.locals.dbError || null
-        });
-        res.json({
-            success: true,
-            items: results,
-            dbSaved: !!scopedProductService && !res.locals.dbError,
-            dbError: res.locals.dbError || null
+        const primary = mediaAssets[0];
+        const link = buildProductLink({
+            protocol: input.protocol,
+            host: input.host,
+            publicId: primary.publicId,
+            price: spec.price,
+            bgColor: branding.bgColor,
+            removeBg: branding.shouldRemoveBg && primary.mediaType === 'image',
+            badgeLabel: branding.badgeLabel,
+            mediaType: primary.mediaType,
+            storeSlug: ownerStore?.slug || ''
         });
+
+        result = {
+            link,
+            title: spec.title,
+            description: spec.description,
+            price: spec.price,
+            previewUrl: primary.previewUrl,
+            mediaType: primary.mediaType,
+            mediaCount: mediaAssets.length,
+            badgeLabel: branding.badgeLabel,
+            storeSlug: ownerStore?.slug || '',
+            categoryId: spec.categoryId || '',
+            categoryName: input.categoryNameById[spec.categoryId] || '',
+            size: spec.size,
+            color: spec.color,
+            qty: spec.qty,
+            variantCount: spec.variants.length,
+            dbSaved: false
+        };
+
+        if (input.productService) {
+            let saved = null;
+            try {
+                saved = await input.productService.create({
+                    publicId: primary.publicId,
+                    title: spec.title,
+                    description: spec.description,
+                    price: spec.price,
+                    link,
+                    previewUrl: primary.previewUrl,
+                    bgColor: branding.bgColor,
+                    badgeLabel: branding.badgeLabel,
+                    size: spec.size,
+                    color: spec.color,
+                    qty: spec.qty,
+                    stockCount: parseStockCount(spec.qty),
+                    ownerId: input.ownerId,
+                    categoryId: spec.categoryId || null,
+                    mediaItems: mediaAssets,
+                    variants: spec.variants
+                });
+            } catch (dbErr) {
+                console.error('Product save error:', dbErr.message, dbErr.code || '', dbErr.details || '');
+                throw new Error(`Could not save this product: ${schemaHelpError(dbErr, 'products')}`);
+            }
+            result.dbSaved = true;
+            if (saved?.slug && ownerStore?.slug) {
+                result.slug = saved.slug;
+                result.readableLink = `${input.protocol}://${input.host}${productPathFromSlugs(ownerStore.slug, saved.slug)}`;
+            }
+            console.log('[debug][upload-bulk] product saved', {
+                productIndex,
+                primaryPublicId: primary.publicId,
+                mediaCount: mediaAssets.length
+            });
+        }
     } catch (err) {
-        console.error('Cloudinary Error:', err);
-        res.status(500).json({ success: false, error: err.message });
-    } finally {
-        cleanupTempFiles(req.files);
+        await Promise.all(mediaAssets.map((asset) => destroyCloudinaryAsset(asset).catch((destroyErr) => {
+            console.error('Cloudinary cleanup failed for', asset.publicId, destroyErr.message);
+        })));
+        console.warn('[debug][upload-bulk] product rolled back', { productIndex, assets: mediaAssets.length, error: err.message });
+        throw err;
+    }
+
+    // The staged bytes are in Cloudinary now and the product is saved.
+    await discardStagedFiles(input.ownerId, productFiles);
+    return result;
+}
+
+// Per-file progress and per-product results of a bulk upload job: a JSON snapshot, or a
+// Server-Sent Events stream that opens with the snapshot and ends after the final 'job' event.
+function findOwnedIngestJob(req, res) {
+    res.set('Cache-Control', 'no-store');
+    const job = ingestJobQueue.get(req.params.jobId);
+    if (!job || job.ownerId !== req.user.id) {
+        res.status(404).json({ error: 'Upload job not found. It may have finished over an hour ago.' });
+        return null;
     }
+    return job;
+}
+
+app.get('/api/upload-jobs/:jobId', requireOwner, (req, res) => {
+    const job = findOwnedIngestJob(req, res);
+    if (job) res.json(job);
+});
+
+app.get('/api/upload-jobs/:jobId/events', requireOwner, (req, res) => {
+    const job = findOwnedIngestJob(req, res);
+    if (!job) return;
+    res.set({
+        'Content-Type': 'text/event-stream',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    const send = (type, payload) => res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    send('snapshot', job);
+    if (ingestJobQueue.isFinished(job)) return res.end();
+
+    // Comment lines keep proxies from closing a quiet stream while a large video uploads.
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const stop = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+    const unsubscribe = ingestJobQueue.subscribe(job.id, (type, payload) => {
+        send(type, payload);
+        if (type === 'job' && ingestJobQueue.isFinished(payload)) {
+            stop();
+            res.end();
+        }
+    });
+    req.on('close', stop);
 });
 
 function withFreshPreviewUrl(product) {
@@ -2131,12 +3348,77 @@ app.get('/s/:storeSlug', async (req, res) => {
     }
 });
 
-async function renderStoreProducts(req, res, viewName) {
+const STOREFRONT_PAGE_SIZE = 24;
+
+/**
+ * One page of a store's products shaped for the storefront views. The first page is rendered
+ * with the view; later pages come from GET /api/stores/:slug/products as the shopper scrolls.
+ */
+async function loadStorefrontPage(store, { categoryId = null, search = '', cursor = '', categories = null } = {}) {
+    const storeCategories = categories || (categoryService ? await categoryService.list(store.ownerId) : []);
+    // A parent category shows its subcategories' products too.
+    const categoryIds = categoryIdsWithChildren(storeCategories, categoryId);
+    const page = await productService.listPage(store.ownerId, {
+        categoryId: categoryIds.length > 1 ? categoryIds : categoryId,
+        search,
+        cursor,
+        limit: STOREFRONT_PAGE_SIZE
+    });
+    const catMap = Object.fromEntries((storeCategories || []).map(c => [c.id, c.name]));
+    const products = page.products.map(withFreshPreviewUrl).map((p) => ({
+        ...p,
+        price: normalizePriceLabel(p.price, 'Contact for Price'),
+        categoryName: (p.categoryId && catMap[p.categoryId]) || '',
+        readablePath: p.slug && store.slug ? productPathFromSlugs(store.slug, p.slug) : ''
+    }));
+    return { products, nextCursor: page.nextCursor };
+}
+
+/**
+ * Path the storefront views fetch further pages from, carrying the current filter and search.
+ */
+function storefrontProductsApiPath(store, { categoryId = null, search = '' } = {}) {
+    const params = new URLSearchParams();
+    if (categoryId) params.set('category', categoryId);
+    if (search) params.set('q', search);
+    const query = params.toString();
+    return `/api/stores/${encodeURIComponent(store.slug)}/products${query ? '?' + query : ''}`;
+}
+
+/**
+ * Title, description, canonical link and OG collage for a category landing page.
+ * The collage is the category cover followed by the first photo of each listed product.
+ */
+function categoryPageMeta(req, store, category, products) {
+    const photoIds = products
+        .map((p) => (p.mediaItems || []).find((m) => m.mediaType === 'image')?.publicId)
+        .filter(Boolean);
+    return {
+        title: category.name,
+        description: category.description || `Shop ${category.name} from ${store.name || store.slug}.`,
+        link: absoluteUrlFromPath(req, categoryPathFromSlugs(store.slug, category.slug)),
+        ogImage: buildCategoryOgPreviewUrl(cloudinary, {
+            publicIds: [category.coverPublicId, ...photoIds],
+            logoPublicId: store.logoPublicId || ''
+        }) || category.coverUrl || products.find((p) => p.previewUrl)?.previewUrl || ''
+    };
+}
+
+/**
+ * Storefront grid. The store comes from the link or cookie unless `store` is given; `category`
+ * (a category landing page) fixes the filter and adds its share preview.
+ */
+async function renderStoreProducts(req, res, viewName, { store: pinnedStore = null, category = null } = {}) {
     if (!productService) {
         return res.render(viewName, {
             products: [],
+            nextCursor: null,
+            productsApiPath: '',
             categories: [],
+            categoryNav: [],
             categoryFilter: '',
+            categoryPage: null,
+            searchQuery: '',
             error: 'Supabase not configured. Set SUPABASE_ANON_KEY or SUPABASE_SERVICE_KEY in env.',
             user: req.user,
             role: req.role,
@@ -2151,33 +3433,40 @@ async function renderStoreProducts(req, res, viewName) {
 
     try {
         const requestSupabase = getRequestSupabase(req) || supabase;
-        const { store, requestedToken } = await resolveStoreContext(req, {
-            allowOwnerFallback: true,
-            supabaseClient: requestSupabase
-        });
+        const { store, requestedToken } = pinnedStore
+            ? { store: pinnedStore, requestedToken: null }
+            : await resolveStoreContext(req, {
+                allowOwnerFallback: true,
+                supabaseClient: requestSupabase
+            });
         if (store?.slug) setStoreCookie(res, store.slug);
         else if (requestedToken) clearStoreCookie(res);
 
-        const categoryFilter = req.query.category ? String(req.query.category).trim() || null : null;
-        let products = store
-            ? (await productService.list(store.ownerId, categoryFilter || undefined)).map(withFreshPreviewUrl)
-            : [];
+        const categoryFilter = category
+            ? category.id
+            : (req.query.category ? String(req.query.category).trim() || null : null);
+        const searchQuery = normalizeTextValue(req.query.q).slice(0, 60);
         const categories = store && categoryService
             ? await categoryService.list(store.ownerId)
             : [];
-        const catMap = Object.fromEntries((categories || []).map(c => [c.id, c.name]));
-        products = products.map((p) => ({
-            ...p,
-            price: normalizePriceLabel(p.price, 'Contact for Price'),
-            categoryName: (p.categoryId && catMap[p.categoryId]) || ''
-        }));
+        const { products, nextCursor } = store
+            ? await loadStorefrontPage(store, { categoryId: categoryFilter, search: searchQuery, categories })
+            : { products: [], nextCursor: null };
+        const productsApiPath = store?.slug
+            ? storefrontProductsApiPath(store, { categoryId: categoryFilter, search: searchQuery })
+            : '';
         const storePath = store?.slug ? storePathFromSlug(store.slug) : null;
         const storeLink = storePath ? absoluteUrlFromPath(req, storePath) : null;
 
         return res.render(viewName, {
             products,
+            nextCursor,
+            productsApiPath,
             categories,
+            categoryNav: categoryTree(categories),
             categoryFilter: categoryFilter || '',
+            categoryPage: category && store ? categoryPageMeta(req, store, category, products) : null,
+            searchQuery,
             error: null,
             user: req.user,
             role: req.role,
@@ -2192,8 +3481,13 @@ async function renderStoreProducts(req, res, viewName) {
         console.error('Products fetch error:', err);
         return res.render(viewName, {
             products: [],
+            nextCursor: null,
+            productsApiPath: '',
             categories: [],
+            categoryNav: [],
             categoryFilter: '',
+            categoryPage: null,
+            searchQuery: '',
             error: err.message,
             user: req.user,
             role: req.role,
@@ -2216,6 +3510,55 @@ app.get('/products/simple', async (req, res) => {
     await renderStoreProducts(req, res, 'products-simple');
 });
 
+// Category landing pages: /s/:storeSlug/c/:categorySlug (?view=simple for the simple grid).
+// A slug the category had before a rename redirects to the current one.
+app.get('/s/:storeSlug/c/:categorySlug', async (req, res) => {
+    if (!productService || !categoryService) return res.redirect('/products');
+    const storeSlug = sanitizeStoreSlug(req.params.storeSlug);
+    const viewName = req.query.view === 'simple' ? 'products-simple' : 'products';
+    let store = null;
+    let category = null;
+    try {
+        store = storeSlug ? await findStoreBySlug(storeSlug) : null;
+        if (store) category = await categoryService.getBySlug(store.ownerId, req.params.categorySlug);
+    } catch (e) {
+        console.error('Category page lookup failed:', e.message);
+    }
+    if (!store) {
+        clearStoreCookie(res);
+        return res.redirect('/products');
+    }
+    if (!category) {
+        setStoreCookie(res, store.slug);
+        return res.redirect(viewName === 'products-simple' ? '/products/simple' : '/products');
+    }
+    if (category.slug !== req.params.categorySlug) {
+        const query = viewName === 'products-simple' ? '?view=simple' : '';
+        return res.redirect(301, categoryPathFromSlugs(store.slug, category.slug) + query);
+    }
+    return renderStoreProducts(req, res, viewName, { store, category });
+});
+
+// Further storefront pages for infinite scroll: ?cursor= from the previous page, plus category and q.
+app.get('/api/stores/:slug/products', async (req, res) => {
+    if (!productService) return res.status(503).json({ error: 'Products are not available right now.' });
+    const storeSlug = sanitizeStoreSlug(req.params.slug);
+    try {
+        const store = storeSlug ? await findStoreBySlug(storeSlug) : null;
+        if (!store) return res.status(404).json({ error: 'Store not found' });
+        const page = await loadStorefrontPage(store, {
+            categoryId: req.query.category ? String(req.query.category).trim() || null : null,
+            search: normalizeTextValue(req.query.q).slice(0, 60),
+            cursor: String(req.query.cursor || '').trim()
+        });
+        return res.json(page);
+    } catch (err) {
+        if (err.code === 'CURSOR_INVALID') return res.status(400).json({ error: err.message });
+        console.error('Store products page error:', err.message);
+        return res.status(500).json({ error: 'Could not load products' });
+    }
+});
+
 // 7. PREVIEW ROUTE (Crawlers -> preview for OG; browsers -> premium app view)
 function isPreviewBot(req) {
     const ua = (req.get('User-Agent') || '').toLowerCase();
@@ -2223,20 +3566,91 @@ function isPreviewBot(req) {
     return bots.some(bot => ua.includes(bot));
 }
 
-app.get('/p/:publicId', async (req, res) => {
+function setPreviewCacheHeaders(res) {
     // This route serves different HTML for bots vs browsers.
     // Prevent caches from serving the wrong variant to link preview crawlers.
     res.set('Cache-Control', 'no-store, max-age=0');
     res.set('Pragma', 'no-cache');
     res.set('Vary', 'User-Agent');
+}
 
+// Deleted products: the media is gone from Cloudinary, so show a notice instead of a broken preview.
+async function renderProductUnavailable(req, res, store = null) {
+    let activeStore = store;
+    const storeSlug = sanitizeStoreSlug(req.query.store || req.cookies[STORE_COOKIE] || '');
+    if (!activeStore && storeSlug) {
+        try {
+            activeStore = await findStoreBySlug(storeSlug);
+        } catch (e) {
+            console.error('Store lookup failed for missing product:', e.message);
+        }
+    }
+    return res.status(404).render('product-unavailable', {
+        store: activeStore,
+        storePath: activeStore?.slug ? storePathFromSlug(activeStore.slug) : null
+    });
+}
+
+app.get('/p/:publicId', async (req, res) => {
+    setPreviewCacheHeaders(res);
     const { publicId } = req.params;
-    const price = normalizePriceLabel(req.query.price, 'Contact for Price');
+    let product = null;
+    let deleted = false;
+    if (productService) {
+        try {
+            ({ product, deleted } = await productService.findForLink(publicId));
+        } catch (e) {
+            console.error('Product link lookup failed:', e.message);
+        }
+    }
+    // Unknown ids keep the preview built from the link's query; only deleted products get the notice.
+    if (deleted) return renderProductUnavailable(req, res);
+    // An old cover id: send the shopper (and link previews) on to the product's current link.
+    const isCurrentMedia = !product || product.publicId === publicId
+        || (product.mediaItems || []).some((m) => m.publicId === publicId);
+    if (!isCurrentMedia && product.publicId) {
+        let target = `/p/${product.publicId}`;
+        try {
+            const current = new URL(product.link);
+            target = current.pathname + current.search;
+        } catch {}
+        return res.redirect(302, target);
+    }
+    return renderProductPreview(req, res, publicId, product);
+});
+
+// Readable product links: /s/:storeSlug/:productSlug shows the same page as the product's /p/ link.
+app.get('/s/:storeSlug/:productSlug', async (req, res) => {
+    setPreviewCacheHeaders(res);
+    if (!productService) return res.redirect('/products');
+    const storeSlug = sanitizeStoreSlug(req.params.storeSlug);
+    let store = null;
+    let product = null;
+    try {
+        store = storeSlug ? await findStoreBySlug(storeSlug) : null;
+        if (store) product = await productService.getBySlug(store.ownerId, req.params.productSlug);
+    } catch (e) {
+        console.error('Readable product link lookup failed:', e.message);
+    }
+    if (!store) return res.redirect('/products');
+    if (!product || !product.publicId) return renderProductUnavailable(req, res, store);
+    return renderProductPreview(req, res, product.publicId, product);
+});
+
+/**
+ * Product page for a media publicId. product is the stored row when there is one; links from
+ * before products were stored fall back to the values carried in the link's query.
+ */
+async function renderProductPreview(req, res, publicId, product) {
     const bg = req.query.bg || "white";
-    const statusItem = inventoryStatus[publicId] || { isSoldOut: false, type: 'image', badgeLabel: '' };
-    const mediaType = (String(req.query.mt || statusItem.type || 'image').toLowerCase() === 'video') ? 'video' : 'image';
+    // The stored price and badge win over the link's query so edits reach links already shared.
+    const price = normalizePriceLabel(product ? product.price : req.query.price, 'Contact for Price');
+    // Stock lives on the product row; links shared before a sell-out still carry the old badge.
+    const isSoldOut = !!product && (product.stockCount === 0 || normalizeBadgeLabel(product.badgeLabel) === 'SOLD OUT');
+    const storedType = product?.mediaItems?.find((m) => m.publicId === publicId)?.mediaType || product?.mediaItems?.[0]?.mediaType;
+    const mediaType = (String(req.query.mt || storedType || 'image').toLowerCase() === 'video') ? 'video' : 'image';
     const shouldRemoveBg = req.query.rm === 'true';
-    const badgeLabel = normalizeBadgeLabel(req.query.badge || statusItem.badgeLabel);
+    const badgeLabel = isSoldOut ? 'SOLD OUT' : normalizeBadgeLabel(product ? product.badgeLabel : req.query.badge);
 
     const previewUrl = mediaType === 'video'
         ? buildVideoOgPreviewUrl(cloudinary, publicId)
@@ -2247,33 +3661,36 @@ app.get('/p/:publicId', async (req, res) => {
 
     const rawMediaUrl = cloudinary.url(publicId, { resource_type: mediaType });
     const item = {
+        title: '',
+        description: '',
         price,
-        isSoldOut: statusItem.isSoldOut,
+        isSoldOut,
         type: mediaType,
         badgeLabel,
         size: '',
         color: '',
         qty: '',
         categoryName: '',
-        mediaCount: 0
+        mediaCount: 0,
+        productId: '',
+        stockCount: null,
+        variants: []
     };
     let productOwnerId = null;
     let productCategoryId = null;
     let ownerStore = null;
-    if (productService) {
-        try {
-            const product = await productService.getByPublicId(publicId);
-            if (product) {
-                item.size = product.size || '';
-                item.color = product.color || '';
-                item.qty = product.qty || '';
-                item.mediaCount = Number(product.mediaCount || 0) || 0;
-                productOwnerId = product.ownerId || null;
-                productCategoryId = product.categoryId || null;
-            }
-        } catch (e) {
-            // keep defaults
-        }
+    if (product) {
+        item.productId = product.id || '';
+        item.title = product.title || '';
+        item.description = product.description || '';
+        item.size = product.size || '';
+        item.color = product.color || '';
+        item.qty = product.qty || '';
+        item.stockCount = product.stockCount;
+        item.variants = Array.isArray(product.variants) ? product.variants : [];
+        item.mediaCount = Number(product.mediaCount || 0) || 0;
+        productOwnerId = product.ownerId || null;
+        productCategoryId = product.categoryId || null;
     }
 
     if (productOwnerId) {
@@ -2353,7 +3770,7 @@ app.get('/p/:publicId', async (req, res) => {
             createStoreHref: getCreateStoreHref(req)
         });
     }
-});
+}
 
 // 8. CART PAGE
 app.get('/cart', async (req, res) => {
@@ -2419,9 +3836,9 @@ app.put('/api/cart', async (req, res) => {
     }
 });
 
-// 9. PAYMENT API (OOP: PaystackService + OrderService)
+// 9. PAYMENT API (OOP: PaymentProvider implementations + OrderService)
 app.post('/api/payment/initialize', async (req, res) => {
-    if (!paystackService || !orderService) {
+    if (!paymentProviders.getDefault() || !orderService) {
         return res.status(503).json({ success: false, error: 'Payment not configured' });
     }
     try {
@@ -2433,23 +3850,60 @@ app.post('/api/payment/initialize', async (req, res) => {
         if (!email || !Array.isArray(items) || items.length === 0) {
             return res.status(400).json({ success: false, error: 'Email and items required' });
         }
-        const totalKobo = items.reduce((sum, it) => sum + (Number(it.amountKobo) || 0), 0);
+        if (!productService) {
+            return res.status(503).json({ success: false, error: 'Products not configured' });
+        }
+        // Price every line from the stored product; client-sent amounts are ignored.
+        const { lines, errors, totalKobo } = await resolveCartLines(items, productService);
+        if (errors.length) {
+            return res.status(400).json({
+                success: false,
+                error: errors[0].error,
+                invalidItems: errors
+            });
+        }
         if (totalKobo < 100) {
             return res.status(400).json({ success: false, error: 'Minimum amount is 100 kobo (₦1)' });
         }
-        const reference = 'ord_' + Date.now() + '_' + Math.random().toString(36).slice(2, 9);
-        const { authorizationUrl, accessCode } = await paystackService.initializeTransaction(
+        // One order (and one provider transaction) per selling store.
+        const groups = groupLinesByOwner(lines);
+        const smallGroup = groups.find((group) => group.totalKobo < 100);
+        if (smallGroup) {
+            return res.status(400).json({ success: false, error: 'Each store subtotal must be at least ₦1' });
+        }
+        // Resolve every store and provider before creating anything, so a bad store fails the whole checkout cleanly.
+        const plans = [];
+        for (const group of groups) {
+            const store = group.ownerId ? await findCheckoutStore(group.ownerId) : null;
+            const provider = paymentProviders.forStore(store);
+            // Saved settlement accounts are Paystack subaccounts, so only Paystack checkouts split.
+            const subaccount = provider.name === 'paystack' ? (store?.subaccountCode || '') : '';
+            plans.push({ group, store, provider, subaccount });
+        }
+
+        const outcome = await startCheckouts(plans, {
+            orderService,
             email,
-            totalKobo,
-            reference,
-            { order_reference: reference }
-        );
-        await orderService.create(reference, email, totalKobo, items);
+            buyerId: req.user?.id || null,
+            currency: PAYMENT_CURRENCY,
+            initializeOptions: ({ group, store, subaccount }, reference) => ({
+                metadata: { order_reference: reference, store_id: store?.id || null },
+                split: subaccount ? { subaccount, transactionCharge: platformFeeKobo(group.totalKobo) } : null,
+                callbackUrl: absoluteUrlFromPath(req, '/cart?reference=' + encodeURIComponent(reference))
+            })
+        });
+        if (!outcome.ok) {
+            console.error('Payment init failed for store', outcome.failedStore?.id || null, outcome.error.message, outcome.error.code || '');
+            return res.status(502).json({
+                success: false,
+                code: 'CHECKOUT_FAILED',
+                error: `Could not start payment for ${outcome.failedStore?.name || 'one of the stores'}. Nothing was charged; please try again.`,
+                stores: outcome.stores
+            });
+        }
         res.json({
             success: true,
-            reference,
-            authorizationUrl,
-            accessCode,
+            checkouts: outcome.checkouts,
             amountKobo: totalKobo,
             publicKey: paystackPublic
         });
@@ -2460,23 +3914,29 @@ app.post('/api/payment/initialize', async (req, res) => {
 });
 
 app.get('/api/payment/verify', async (req, res) => {
-    if (!paystackService || !orderService) {
+    if (!paymentProviders.getDefault() || !orderService) {
         return res.status(503).json({ success: false, error: 'Payment not configured' });
     }
-    const reference = req.query.reference;
+    const reference = String(req.query.reference || '').trim();
     if (!reference) {
         return res.status(400).json({ success: false, error: 'Reference required' });
     }
     try {
-        const tx = await paystackService.verifyTransaction(reference);
-        if (tx.status === 'success') {
-            await orderService.updateStatus(reference, 'paid');
+        const order = await orderService.findByReference(reference);
+        if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+        const provider = providerForOrder(order);
+        if (!provider) return res.status(503).json({ success: false, error: 'Payment provider not configured' });
+        const charge = await provider.verify(reference);
+        if (charge.status === 'success') {
+            await settleSuccessfulCharge(charge);
+        } else if (charge.status === 'failed') {
+            await orderService.markFailed(reference);
         }
         res.json({
-            success: tx.status === 'success',
-            reference: tx.reference,
-            status: tx.status,
-            order: tx.status === 'success' ? await orderService.findByReference(reference) : null
+            success: charge.status === 'success',
+            reference: charge.reference || reference,
+            status: charge.status,
+            order: charge.status === 'success' ? await orderService.findByReference(reference) : null
         });
     } catch (err) {
         console.error('Verify error:', err);
@@ -2484,6 +3944,154 @@ app.get('/api/payment/verify', async (req, res) => {
     }
 });
 
+function platformFeeKobo(amountKobo) {
+    return Math.round((Number(amountKobo) || 0) * PLATFORM_FEE_PERCENT / 100);
+}
+
+/**
+ * Store details needed at checkout: its Paystack subaccount when one is set up and its chosen provider.
+ */
+async function findCheckoutStore(ownerId) {
+    const store = await findStoreByOwnerId(ownerId);
+    if (!store) return null;
+    let subaccountCode = '';
+    let paymentProvider = '';
+    const { data, error } = await supabase
+        .from('stores')
+        .select('paystack_subaccount_code, payment_provider')
+        .eq('id', store.id)
+        .maybeSingle();
+    if (!error) {
+        subaccountCode = String(data?.paystack_subaccount_code || '');
+        paymentProvider = String(data?.payment_provider || '');
+    } else if (!isSchemaColumnMissing(error)) {
+        throw error;
+    }
+    return { ...store, subaccountCode, paymentProvider };
+}
+
+/**
+ * Orders remember the provider that took them; older rows predate the column and were Paystack.
+ */
+function providerForOrder(order) {
+    return paymentProviders.get(order?.provider || 'paystack');
+}
+
+/**
+ * Mark an order paid from a successful normalized charge. Safe to call repeatedly:
+ * only the first call that finds the order unpaid applies.
+ */
+async function settleSuccessfulCharge(charge) {
+    const reference = String(charge?.reference || '').trim();
+    if (!reference) return { order: null, applied: false };
+    const order = await orderService.findByReference(reference);
+    if (!order) return { order: null, applied: false };
+    const expectedCurrency = String(order.currency || 'NGN').toUpperCase();
+    if (Number(charge.amountMinor) < Number(order.amount_kobo) || String(charge.currency || 'NGN').toUpperCase() !== expectedCurrency) {
+        console.warn('[payment] charge does not cover order', {
+            reference,
+            charged: charge.amountMinor,
+            currency: charge.currency,
+            expected: order.amount_kobo
+        });
+        return { order, applied: false };
+    }
+    const updated = await orderService.markPaid(reference, { paidAt: charge.paidAt || null });
+    // markPaid applies once per order, so stock is only taken the first time.
+    if (updated && productService) {
+        try {
+            await productService.decrementForOrderItems(order.items);
+        } catch (stockErr) {
+            console.error('[payment] stock update failed', { reference, error: stockErr.message });
+        }
+    }
+    return { order: updated || order, applied: !!updated };
+}
+
+/**
+ * Webhook handler shared by all providers. The provider authenticates and normalizes the
+ * delivery. Payments it does not vouch for (charge null) are re-verified with the provider before
+ * settling; refunds it does not vouch for (amountMinor null) close an order only once the refunds
+ * this app reserved in refunded_kobo cover it, never on the payload's amount.
+ */
+async function handlePaymentWebhook(req, res, provider) {
+    if (!provider || !orderService) {
+        return res.status(503).json({ success: false, error: 'Payment not configured' });
+    }
+    const parsed = provider.parseWebhook(req.rawBody, req.headers, req.body);
+    if (!parsed.valid) {
+        return res.status(401).json({ success: false, error: 'Invalid signature' });
+    }
+
+    const { event, eventKey, type, reference } = parsed;
+    try {
+        if (eventKey && await orderService.hasPaymentEvent(eventKey)) {
+            return res.json({ received: true, duplicate: true });
+        }
+
+        let applied = false;
+        if (type === 'payment.success') {
+            const charge = parsed.charge || (reference ? await provider.verify(reference) : null);
+            if (charge?.status === 'success') ({ applied } = await settleSuccessfulCharge(charge));
+        } else if (type === 'payment.failed') {
+            applied = !!(reference && await orderService.markFailed(reference));
+        } else if (type === 'refund.processed') {
+            applied = !!(reference && await orderService.settleRefund(reference, parsed.amountMinor));
+        } else {
+            return res.json({ received: true, ignored: true });
+        }
+
+        if (eventKey) {
+            await orderService.recordPaymentEvent({
+                eventKey,
+                event,
+                reference,
+                payload: req.body?.data || {},
+                provider: provider.name
+            });
+        }
+        console.log('[payment] webhook handled', { provider: provider.name, event, reference, applied });
+        return res.json({ received: true, applied });
+    } catch (err) {
+        // Non-2xx makes the provider retry; state checks keep the retry from double-applying.
+        console.error('Webhook error:', err.message, err.code || '');
+        return res.status(500).json({ success: false, error: err.message });
+    }
+}
+
+// Paystack keeps the original URL; other providers post to /api/payment/webhook/<name>.
+app.post('/api/payment/webhook', (req, res) => handlePaymentWebhook(req, res, paymentProviders.get('paystack')));
+app.post('/api/payment/webhook/:provider', (req, res) => handlePaymentWebhook(req, res, paymentProviders.get(req.params.provider)));
+
+// Offline checkout page for the fake provider (development only).
+if (fakePaymentProvider) {
+    app.get('/payment/fake/:reference', async (req, res) => {
+        let charge;
+        try {
+            charge = await fakePaymentProvider.verify(req.params.reference);
+        } catch (e) {
+            return res.status(404).send('Unknown test payment');
+        }
+        const ref = encodeURIComponent(charge.reference);
+        res.send(`<!doctype html><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>Test payment</title>
+<body style="font-family:system-ui;max-width:420px;margin:40px auto;padding:0 16px;">
+<h1>Test payment</h1>
+<p>${charge.currency} ${(charge.amountMinor / 100).toLocaleString('en-NG')} &middot; ${charge.status}</p>
+<form method="post" action="/payment/fake/${ref}"><button name="outcome" value="success">Pay</button>
+<button name="outcome" value="failed">Fail</button></form>
+</body>`);
+    });
+
+    app.post('/payment/fake/:reference', express.urlencoded({ extended: false }), (req, res) => {
+        const reference = req.params.reference;
+        const charge = fakePaymentProvider.complete(reference, req.body?.outcome === 'success' ? 'success' : 'failed');
+        if (!charge) return res.status(404).send('Unknown test payment');
+        const callbackUrl = fakePaymentProvider.transactions.get(reference)?.callbackUrl;
+        return res.redirect(callbackUrl || '/cart?reference=' + encodeURIComponent(reference));
+    });
+}
+
 app.use((err, req, res, next) => {
     if (!(err instanceof multer.MulterError)) return next(err);
     console.error('[debug][multer] upload middleware error', {
@@ -2517,6 +4125,35 @@ app.use((err, req, res, next) => {
     return res.status(500).send('Unexpected server error');
 });
 
+// Abandoned resumable uploads are dropped a day after their last chunk.
+function sweepStagedUploads() {
+    uploadStaging.sweep()
+        .then((removed) => {
+            if (removed) console.log(`[uploads] Removed ${removed} abandoned staged upload(s).`);
+        })
+        .catch((sweepErr) => console.error('Staged upload sweep failed:', sweepErr.message));
+}
+sweepStagedUploads();
+setInterval(sweepStagedUploads, 60 * 60 * 1000).unref();
+
+// Video jobs: pick up renders a restart interrupted, and drop finished jobs past their TTL.
+function expireVideoJobs() {
+    videoJobQueue.expire()
+        .then((removed) => {
+            if (removed) console.log(`[video] Removed ${removed} expired video job(s).`);
+        })
+        .catch((expireErr) => console.error('Video job expiry failed:', expireErr.message));
+}
+if (videoJobQueue) {
+    videoJobQueue.recover()
+        .then((queued) => {
+            if (queued) console.log(`[video] Resumed ${queued} interrupted video job(s).`);
+        })
+        .catch((recoverErr) => console.error('Video job recovery failed:', recoverErr.message));
+    expireVideoJobs();
+    setInterval(expireVideoJobs, 60 * 60 * 1000).unref();
+}
+
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0';
 app.listen(PORT, HOST, () => console.log(`Studio live on ${HOST}:${PORT}`));
@@ -41,6 +41,7 @@ create table if not exists public.stores (
   name text not null default 'My Store',
   logo_public_id text,
   logo_url text,
+  paystack_subaccount_code text,
   created_at timestamptz not null default now(),
   updated_at timestamptz not null default now(),
   constraint stores_slug_format check (slug ~ '^[a-z0-9]+(?:-[a-z0-9]+)*$')
@@ -60,6 +61,20 @@ alter table public.stores
   add column if not exists created_at timestamptz not null default now();
 alter table public.stores
   add column if not exists updated_at timestamptz not null default now();
+alter table public.stores
+  add column if not exists paystack_subaccount_code text;
+-- Settlement details for display only; stores are publicly readable, so never the full account number.
+alter table public.stores
+  add column if not exists settlement_bank_code text;
+alter table public.stores
+  add column if not exists settlement_bank_name text;
+alter table public.stores
+  add column if not exists settlement_account_name text;
+alter table public.stores
+  add column if not exists settlement_account_last4 text;
+-- Checkout provider chosen by the seller (paystack, flutterwave); null uses the platform default.
+alter table public.stores
+  add column if not exists payment_provider text;
 
 create unique index if not exists stores_owner_id_key on public.stores(owner_id);
 create unique index if not exists stores_slug_key on public.stores(slug);
@@ -150,6 +165,20 @@ create policy "categories_delete_owner"
 
 create index if not exists categories_owner_id_idx on public.categories(owner_id);
 
+-- Storefront order, an optional cover and description, and one level of nesting (Shoes › Sneakers).
+alter table public.categories add column if not exists description text;
+alter table public.categories add column if not exists cover_public_id text;
+alter table public.categories add column if not exists cover_url text;
+alter table public.categories add column if not exists parent_id uuid references public.categories(id) on delete set null;
+
+create index if not exists categories_owner_sort_idx on public.categories(owner_id, sort_order, name);
+create index if not exists categories_parent_id_idx on public.categories(parent_id) where parent_id is not null;
+
+-- Slugs a category had before a rename; /s/:storeSlug/c/:oldSlug redirects to the current one.
+alter table public.categories add column if not exists previous_slugs text[] not null default '{}';
+
+create index if not exists categories_previous_slugs_idx on public.categories using gin (previous_slugs);
+
 -- Store logo variants (owner can generate and switch later).
 create table if not exists public.store_logos (
   id uuid primary key default gen_random_uuid(),
@@ -220,10 +249,34 @@ alter table public.products
   add column if not exists color text not null default '';
 alter table public.products
   add column if not exists qty text not null default '';
+-- Units in stock; null means stock is not tracked. qty stays as the free-text label shown to buyers.
+alter table public.products
+  add column if not exists stock_count integer;
+alter table public.products drop constraint if exists products_stock_count_check;
+alter table public.products
+  add constraint products_stock_count_check check (stock_count is null or stock_count >= 0);
+-- Carry over plain-number qty values from before stock was tracked.
+update public.products
+  set stock_count = trim(qty)::integer
+  where stock_count is null and trim(qty) ~ '^[0-9]{1,9}$';
+alter table public.products
+  add column if not exists title text;
+alter table public.products
+  add column if not exists description text;
+alter table public.products
+  add column if not exists slug text;
+-- Cover media ids the product used before; /p/ links shared with them keep opening the product.
+alter table public.products
+  add column if not exists previous_public_ids text[] not null default '{}';
 
 create index if not exists products_owner_id_idx on public.products(owner_id);
+-- Readable /s/:storeSlug/:productSlug links: slugs are unique within a store.
+create unique index if not exists products_owner_slug_idx on public.products(owner_id, slug) where slug is not null;
 create index if not exists products_category_id_idx on public.products(category_id);
+create index if not exists products_previous_public_ids_idx on public.products using gin (previous_public_ids);
 create index if not exists products_created_at_idx on public.products(created_at desc);
+-- Storefront pages are keyset-paged newest first on (created_at, id) within a store.
+create index if not exists products_owner_created_idx on public.products(owner_id, created_at desc, id desc);
 
 alter table public.products enable row level security;
 
@@ -251,6 +304,40 @@ create policy "products_delete_owner"
   on public.products for delete
   using (auth.uid() = owner_id);
 
+-- Delete a category and move its products to another of the owner's categories (null leaves them
+-- uncategorised) in one transaction. Runs as the caller, so RLS still limits it to their own rows.
+-- Returns how many products were moved; raises no_data_found when the category is not the owner's.
+create or replace function public.delete_category(p_owner_id uuid, p_category_id uuid, p_reassign_to uuid default null)
+returns integer
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  moved integer;
+begin
+  if p_reassign_to is not null and not exists (
+    select 1 from public.categories
+    where id = p_reassign_to and owner_id = p_owner_id and id <> p_category_id
+  ) then
+    raise exception 'Target category not found' using errcode = 'P0002';
+  end if;
+
+  update public.products
+  set category_id = p_reassign_to
+  where owner_id = p_owner_id and category_id = p_category_id;
+  get diagnostics moved = row_count;
+
+  delete from public.categories where id = p_category_id and owner_id = p_owner_id;
+  if not found then
+    raise exception 'Category not found' using errcode = 'P0002';
+  end if;
+  return moved;
+end;
+$$;
+
+grant execute on function public.delete_category(uuid, uuid, uuid) to authenticated, service_role;
+
 -- Product media (multiple photos/videos per product).
 create table if not exists public.product_media (
   id uuid primary key default gen_random_uuid(),
@@ -285,6 +372,13 @@ alter table public.product_media
 create index if not exists product_media_product_id_idx on public.product_media(product_id, sort_order, created_at);
 create index if not exists product_media_owner_id_idx on public.product_media(owner_id, created_at desc);
 
+-- SHA-256 of the uploaded file, used to flag the same photo or video being uploaded again.
+alter table public.product_media
+  add column if not exists content_hash text;
+create index if not exists product_media_owner_hash_idx
+  on public.product_media(owner_id, content_hash)
+  where content_hash is not null;
+
 alter table public.product_media enable row level security;
 
 drop policy if exists "product_media_select_public" on public.product_media;
@@ -309,6 +403,76 @@ create policy "product_media_delete_owner"
   on public.product_media for delete
   using (auth.uid() = owner_id);
 
+-- Public ids of deleted products, so their shared /p/ links show a "no longer available" page
+-- while ids that were never stored keep the preview built from the link itself.
+create table if not exists public.deleted_products (
+  public_id text primary key,
+  owner_id uuid references auth.users(id) on delete cascade,
+  deleted_at timestamptz not null default now()
+);
+
+alter table public.deleted_products enable row level security;
+
+drop policy if exists "deleted_products_select_public" on public.deleted_products;
+drop policy if exists "deleted_products_insert_owner" on public.deleted_products;
+drop policy if exists "deleted_products_update_owner" on public.deleted_products;
+
+create policy "deleted_products_select_public"
+  on public.deleted_products for select
+  using (true);
+
+create policy "deleted_products_insert_owner"
+  on public.deleted_products for insert
+  with check (auth.uid() = owner_id);
+
+-- upsert rewrites the row when an id is deleted again.
+create policy "deleted_products_update_owner"
+  on public.deleted_products for update
+  using (auth.uid() = owner_id)
+  with check (auth.uid() = owner_id);
+
+-- Product variants: one row per option combination (e.g. {"color":"Red","size":"XL"}),
+-- with an optional price override and its own stock. option_key is the lower-cased
+-- "color=red|size=xl" form so a combination appears once per product.
+create table if not exists public.product_variants (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid not null references public.products(id) on delete cascade,
+  owner_id uuid references auth.users(id) on delete cascade,
+  options jsonb not null default '{}'::jsonb,
+  option_key text not null,
+  price text,
+  stock_count integer check (stock_count is null or stock_count >= 0),
+  sort_order int not null default 0,
+  created_at timestamptz not null default now(),
+  unique(product_id, option_key)
+);
+
+create index if not exists product_variants_product_id_idx on public.product_variants(product_id, sort_order);
+
+alter table public.product_variants enable row level security;
+
+drop policy if exists "product_variants_select_public" on public.product_variants;
+drop policy if exists "product_variants_insert_owner" on public.product_variants;
+drop policy if exists "product_variants_update_owner" on public.product_variants;
+drop policy if exists "product_variants_delete_owner" on public.product_variants;
+
+create policy "product_variants_select_public"
+  on public.product_variants for select
+  using (true);
+
+create policy "product_variants_insert_owner"
+  on public.product_variants for insert
+  with check (auth.uid() = owner_id);
+
+create policy "product_variants_update_owner"
+  on public.product_variants for update
+  using (auth.uid() = owner_id)
+  with check (auth.uid() = owner_id);
+
+create policy "product_variants_delete_owner"
+  on public.product_variants for delete
+  using (auth.uid() = owner_id);
+
 -- Carts (one row per signed-in user).
 create table if not exists public.carts (
   user_id uuid primary key references auth.users(id) on delete cascade,
@@ -348,29 +512,158 @@ create table if not exists public.orders (
   amount_kobo bigint not null,
   items jsonb not null default '[]',
   status text not null default 'pending',
+  store_id uuid references public.stores(id) on delete set null,
+  owner_id uuid references auth.users(id) on delete set null,
+  buyer_id uuid references auth.users(id) on delete set null,
+  paid_at timestamptz,
+  processing_at timestamptz,
+  shipped_at timestamptz,
+  delivered_at timestamptz,
+  failed_at timestamptz,
+  cancelled_at timestamptz,
+  refunded_at timestamptz,
   created_at timestamptz not null default now(),
   updated_at timestamptz not null default now()
 );
 
+alter table public.orders
+  add column if not exists paid_at timestamptz;
+alter table public.orders
+  add column if not exists processing_at timestamptz;
+alter table public.orders
+  add column if not exists shipped_at timestamptz;
+alter table public.orders
+  add column if not exists delivered_at timestamptz;
+alter table public.orders
+  add column if not exists failed_at timestamptz;
+alter table public.orders
+  add column if not exists cancelled_at timestamptz;
+alter table public.orders
+  add column if not exists refunded_at timestamptz;
+
+alter table public.orders drop constraint if exists orders_status_check;
+alter table public.orders
+  add constraint orders_status_check
+  check (status in ('pending', 'paid', 'processing', 'shipped', 'delivered', 'failed', 'cancelled', 'refunded'));
+alter table public.orders
+  add column if not exists store_id uuid references public.stores(id) on delete set null;
+alter table public.orders
+  add column if not exists owner_id uuid references auth.users(id) on delete set null;
+alter table public.orders
+  add column if not exists buyer_id uuid references auth.users(id) on delete set null;
+-- Which payment provider took the order; verify, webhooks and refunds go back to the same one.
+alter table public.orders
+  add column if not exists provider text not null default 'paystack';
+alter table public.orders
+  add column if not exists currency text not null default 'NGN';
+-- Running total of refunds issued; never more than the order amount.
+alter table public.orders
+  add column if not exists refunded_kobo bigint not null default 0;
+alter table public.orders drop constraint if exists orders_refunded_kobo_check;
+alter table public.orders
+  add constraint orders_refunded_kobo_check
+  check (refunded_kobo >= 0 and refunded_kobo <= amount_kobo);
+
+create index if not exists orders_owner_id_idx on public.orders(owner_id, created_at desc);
+create index if not exists orders_store_id_idx on public.orders(store_id);
+create index if not exists orders_buyer_id_idx on public.orders(buyer_id, created_at desc);
+
 alter table public.orders enable row level security;
 
-drop policy if exists "orders_select" on public.orders;
-drop policy if exists "orders_insert" on public.orders;
-drop policy if exists "orders_update" on public.orders;
-drop policy if exists "orders_select_service" on public.orders;
-drop policy if exists "orders_insert_service" on public.orders;
-drop policy if exists "orders_update_service" on public.orders;
+-- Remove any previous/legacy policies (including the old open ones) so reruns are deterministic.
+do $$
+declare p record;
+begin
+  for p in
+    select policyname
+    from pg_policies
+    where schemaname = 'public' and tablename = 'orders'
+  loop
+    execute format('drop policy if exists %I on public.orders', p.policyname);
+  end loop;
+end $$;
 
--- Keep orders writable for server integrations.
--- In production, prefer SUPABASE_SERVICE_KEY and move to stricter policies.
-create policy "orders_select"
+-- Sellers see orders placed with their store; buyers see their own.
+-- Inserts and updates have no policy: only the server (SUPABASE_SERVICE_KEY) writes orders.
+create policy "orders_select_owner"
   on public.orders for select
-  using (true);
+  using (auth.uid() = owner_id);
 
-create policy "orders_insert"
-  on public.orders for insert
-  with check (true);
+create policy "orders_select_buyer"
+  on public.orders for select
+  using (auth.uid() = buyer_id);
 
-create policy "orders_update"
-  on public.orders for update
-  using (true);
+-- Order audit trail: one row per status change, with who made it.
+create table if not exists public.order_events (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders(id) on delete cascade,
+  reference text not null,
+  from_status text,
+  to_status text not null,
+  actor text not null default 'system' check (actor in ('system', 'owner', 'buyer')),
+  actor_id uuid references auth.users(id) on delete set null,
+  note text not null default '',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_events_order_id_idx on public.order_events(order_id, created_at);
+
+alter table public.order_events enable row level security;
+
+drop policy if exists "order_events_select_owner" on public.order_events;
+
+-- Sellers can read the history of their own orders; only the server writes it.
+create policy "order_events_select_owner"
+  on public.order_events for select
+  using (
+    exists (
+      select 1 from public.orders o
+      where o.id = order_id and o.owner_id = auth.uid()
+    )
+  );
+
+-- Payment webhook deliveries already handled (dedupes provider retries).
+create table if not exists public.payment_events (
+  id uuid primary key default gen_random_uuid(),
+  provider text not null default 'paystack',
+  event_key text not null unique,
+  event text not null,
+  reference text,
+  payload jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists payment_events_reference_idx on public.payment_events(reference);
+
+-- No policies: only the server (service key) reads or writes webhook events.
+alter table public.payment_events enable row level security;
+
+-- Category video jobs, so a restart does not lose a render in progress. Finished jobs are removed after a week.
+create table if not exists public.video_jobs (
+  id text primary key,
+  owner_id uuid not null references auth.users(id) on delete cascade,
+  category_id uuid references public.categories(id) on delete set null,
+  status text not null default 'pending' check (status in ('pending', 'processing', 'completed', 'failed')),
+  progress integer not null default 0,
+  video_url text,
+  public_id text,
+  error text,
+  attempts integer not null default 0,
+  options jsonb not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create index if not exists video_jobs_owner_created_idx on public.video_jobs(owner_id, created_at desc);
+create index if not exists video_jobs_unfinished_idx on public.video_jobs(created_at)
+  where status in ('pending', 'processing');
+
+alter table public.video_jobs enable row level security;
+
+drop policy if exists "video_jobs_select_owner" on public.video_jobs;
+
+-- Sellers can read their own jobs; only the server (service key) writes them.
+create policy "video_jobs_select_owner"
+  on public.video_jobs for select
+  using (owner_id = auth.uid());
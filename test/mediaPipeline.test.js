@@ -6,7 +6,8 @@ const {
     buildProductLink,
     buildVideoAnimatedPreviewUrl,
     buildVideoOgPreviewUrl,
-    buildImagePreviewUrl
+    buildImagePreviewUrl,
+    buildCategoryOgPreviewUrl
 } = require('../lib/MediaPipeline');
 
 function mockCloudinary() {
@@ -141,3 +142,32 @@ test('buildImagePreviewUrl can output square og preview with logo overlay', () =
     assert.equal(steps[3].flags, 'layer_apply');
     assert.equal(steps[steps.length - 1].quality, 'auto:best');
 });
+
+test('buildCategoryOgPreviewUrl lays up to four photos out as a collage on the square OG canvas', () => {
+    const cloudinary = mockCloudinary();
+    const raw = buildCategoryOgPreviewUrl(cloudinary, {
+        publicIds: ['cover', 'a', 'folder/b', 'a', 'c', 'd']
+    });
+    const payload = JSON.parse(raw);
+    const steps = payload.options.transformation;
+
+    assert.equal(payload.publicId, 'cover');
+    assert.equal(payload.options.resource_type, 'image');
+    assert.equal(payload.options.format, 'jpg');
+    assert.deepEqual(steps.slice(0, 2), [
+        { width: 600, height: 600, crop: 'fill', gravity: 'auto' },
+        { width: 1200, height: 1200, crop: 'lpad', gravity: 'north_west', background: 'white' }
+    ]);
+    assert.deepEqual(steps.filter((step) => step.overlay).map((step) => step.overlay), ['a', 'folder:b', 'c']);
+    assert.ok(steps.some((step) => step.flags === 'layer_apply' && step.x === 600 && step.y === 600));
+});
+
+test('buildCategoryOgPreviewUrl uses one full-size photo, or nothing when there are none', () => {
+    const cloudinary = mockCloudinary();
+    const raw = buildCategoryOgPreviewUrl(cloudinary, { publicIds: ['', 'only'], logoPublicId: 'logo' });
+    const steps = JSON.parse(raw).options.transformation;
+
+    assert.deepEqual(steps[0], { width: 1200, height: 1200, crop: 'fill', gravity: 'auto' });
+    assert.ok(steps.some((step) => step.overlay === 'logo'));
+    assert.equal(buildCategoryOgPreviewUrl(cloudinary, { publicIds: [] }), '');
+});
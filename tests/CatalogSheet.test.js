@@ -0,0 +1,148 @@
+const {
+    catalogRows,
+    toCsv,
+    parseCsv,
+    toXlsx,
+    readCatalogSheet,
+    sheetRecords,
+    planImport
+} = require('../lib/CatalogSheet');
+
+const normalizePrice = (value) => {
+    const raw = String(value || '').trim();
+    if (!raw) return 'Contact for Price';
+    return /^\d+$/.test(raw) ? '₦' + Number(raw).toLocaleString('en-NG') : raw;
+};
+
+const product = {
+    id: 'p1',
+    title: 'Ankara Dress',
+    description: 'Hand-sewn, "made to order"',
+    price: '₦5,000',
+    size: 'M',
+    color: 'Red',
+    qty: '4',
+    stockCount: 4,
+    categoryId: 'c1',
+    link: 'https://shop.example/p/ank',
+    mediaItems: [{ publicId: 'ank', sourceUrl: 'https://cdn.example/ank.jpg', previewUrl: 'x.jpg' }],
+    variantCount: 0
+};
+
+describe('CatalogSheet', () => {
+    describe('export', () => {
+        it('writes one row per product with category names and media URLs', () => {
+            const rows = catalogRows([product], { c1: 'Dresses' });
+
+            expect(rows[0]).toEqual(['ID', 'Title', 'Description', 'Price', 'Size', 'Colour', 'Qty', 'Stock', 'Category', 'Link', 'Media URLs', 'Media files']);
+            expect(rows[1]).toEqual(['p1', 'Ankara Dress', 'Hand-sewn, "made to order"', '₦5,000', 'M', 'Red', '4', '4', 'Dresses', 'https://shop.example/p/ank', 'https://cdn.example/ank.jpg', '']);
+        });
+
+        it('neutralises cells a spreadsheet would run as formulas', () => {
+            const rows = catalogRows([{ ...product, title: '=HYPERLINK("x")' }]);
+            expect(rows[1][1]).toBe('\'=HYPERLINK("x")');
+        });
+    });
+
+    describe('CSV', () => {
+        it('round-trips quotes, commas and line breaks', () => {
+            const rows = [['Title', 'Description'], ['Tee, white', 'Line one\nsaid "hi"']];
+            expect(parseCsv(toCsv(rows))).toEqual(rows);
+        });
+
+        it('reads semicolon sheets saved by Excel in some locales', () => {
+            expect(parseCsv('Title;Price\r\nTee;5000\r\n')).toEqual([['Title', 'Price'], ['Tee', '5000']]);
+        });
+    });
+
+    describe('XLSX', () => {
+        it('round-trips through readCatalogSheet', async () => {
+            const rows = catalogRows([product], { c1: 'Dresses' });
+            const read = await readCatalogSheet(await toXlsx(rows), 'catalog.xlsx');
+            expect(read[0]).toEqual(rows[0]);
+            expect(read[1].slice(0, 9)).toEqual(rows[1].slice(0, 9));
+        });
+
+        it('reports unreadable files as import errors', async () => {
+            await expect(readCatalogSheet(Buffer.from('PK not really a zip'), 'x.xlsx')).rejects.toMatchObject({ code: 'IMPORT_INVALID' });
+        });
+    });
+
+    describe('sheetRecords', () => {
+        it('maps header spellings, drops blank rows and keeps sheet row numbers', () => {
+            const { columns, records } = sheetRecords([
+                ['Product name', 'PRICE', 'Color', 'Images', 'Notes'],
+                ['Tee', '5000', 'Blue', 'tee.jpg', 'ignored'],
+                ['', '', '', '', ''],
+                ['Cap', '', '', 'cap.jpg', '']
+            ]);
+
+            expect([...columns].sort()).toEqual(['color', 'mediaFiles', 'price', 'title']);
+            expect(records).toEqual([
+                { rowNumber: 2, values: { title: 'Tee', price: '5000', color: 'Blue', mediaFiles: 'tee.jpg' } },
+                { rowNumber: 4, values: { title: 'Cap', price: '', color: '', mediaFiles: 'cap.jpg' } }
+            ]);
+        });
+
+        it('rejects sheets without a header row', () => {
+            expect(() => sheetRecords([['foo', 'bar'], ['1', '2']])).toThrow(expect.objectContaining({ code: 'IMPORT_INVALID' }));
+        });
+    });
+
+    describe('planImport', () => {
+        const plan = (rows, options = {}) => planImport(sheetRecords(rows), {
+            products: [product],
+            categories: [{ id: 'c1', name: 'Dresses' }],
+            mediaNames: ['tee.jpg', 'Cap.PNG'],
+            normalizePrice,
+            ...options
+        });
+
+        it('plans creates from matched media and updates only what changed', () => {
+            const result = plan([
+                ['ID', 'Title', 'Price', 'Qty', 'Category', 'Media files'],
+                ['', 'Tee', '5000', '3', 'dresses', 'tee.jpg | cap.png'],
+                ['p1', 'Ankara Dress', '6000', '4', 'Dresses', '']
+            ]);
+
+            expect(result.summary).toEqual({ create: 1, update: 1, unchanged: 0, error: 0 });
+            expect(result.rows[0]).toMatchObject({
+                action: 'create',
+                changes: { title: 'Tee', price: '₦5,000', qty: '3', categoryId: 'c1' },
+                stockCount: 3,
+                mediaFiles: ['tee.jpg', 'Cap.PNG']
+            });
+            expect(result.rows[1]).toMatchObject({ action: 'update', productId: 'p1', changes: { price: '₦6,000' } });
+        });
+
+        it('leaves a re-imported export unchanged', () => {
+            const result = plan(catalogRows([product], { c1: 'Dresses' }));
+            expect(result.rows[0]).toMatchObject({ action: 'unchanged', changes: {} });
+        });
+
+        it('reports every problem on the row it belongs to', () => {
+            const result = plan([
+                ['ID', 'Title', 'Stock', 'Category', 'Media files'],
+                ['', 'No media', '', '', ''],
+                ['', 'Missing file', '', '', 'nope.jpg'],
+                ['nope', 'Unknown id', '', '', ''],
+                ['', 'Bad stock', 'lots', 'Shoes', 'tee.jpg'],
+                ['', 'Same file', '', '', 'TEE.jpg']
+            ]);
+
+            expect(result.summary.error).toBe(5);
+            expect(result.rows.map((row) => [row.rowNumber, row.errors])).toEqual([
+                [2, ['New products need at least one file under Media files.']],
+                [3, ['"nope.jpg" was not uploaded with the sheet.']],
+                [4, ['No product with ID nope in your catalog.']],
+                [5, ['Unknown category "Shoes". Create it in the Studio first.', 'Stock must be a whole number.']],
+                [6, ['"TEE.jpg" is already used on row 5.']]
+            ]);
+        });
+
+        it('refuses product-level stock for products with options', () => {
+            const result = plan([['ID', 'Stock'], ['p1', '9']], { products: [{ ...product, variantCount: 2 }] });
+            expect(result.rows[0].action).toBe('error');
+        });
+    });
+});
@@ -0,0 +1,209 @@
+const { CategoryService, categoryTree, categoryIdsWithChildren } = require('../lib/CategoryService');
+const { createSupabaseMock } = require('./helpers/supabaseMock');
+
+const row = (id, name, extra = {}) => ({ id, name, slug: name.toLowerCase(), sort_order: 0, parent_id: null, ...extra });
+
+describe('CategoryService', () => {
+    it('lists categories with covers, descriptions and parents, falling back before those columns existed', async () => {
+        const supabase = createSupabaseMock([
+            { data: null, error: { code: '42703', message: 'column categories.parent_id does not exist' } },
+            { data: [{ id: 'c1', name: 'Shoes', slug: 'shoes', sort_order: 0 }], error: null }
+        ]);
+        const list = await new CategoryService(supabase).list('owner-1');
+
+        expect(list).toEqual([{
+            id: 'c1', name: 'Shoes', slug: 'shoes', sortOrder: 0,
+            description: '', coverPublicId: '', coverUrl: '', parentId: null
+        }]);
+        expect(supabase.calls[1].ops[0]).toEqual(['select', 'id, name, slug, sort_order']);
+    });
+
+    it('adds new categories after the last one, under a top-level parent', async () => {
+        const supabase = createSupabaseMock([
+            { data: row('shoes', 'Shoes'), error: null },
+            { data: null, error: null },
+            { data: [{ sort_order: 4 }], error: null },
+            { data: row('sneakers', 'Sneakers', { sort_order: 5, parent_id: 'shoes' }), error: null }
+        ]);
+        const created = await new CategoryService(supabase).create({ ownerId: 'owner-1', name: ' Sneakers ', parentId: 'shoes' });
+
+        expect(created).toMatchObject({ id: 'sneakers', sortOrder: 5, parentId: 'shoes' });
+        expect(supabase.calls[3].ops).toContainEqual(['insert', {
+            owner_id: 'owner-1', name: 'Sneakers', slug: 'sneakers', sort_order: 5, parent_id: 'shoes'
+        }]);
+    });
+
+    it('allows only one level of nesting', async () => {
+        const svc = new CategoryService(createSupabaseMock([
+            { data: row('sneakers', 'Sneakers', { parent_id: 'shoes' }), error: null }
+        ]));
+        await expect(svc.create({ ownerId: 'owner-1', name: 'High tops', parentId: 'sneakers' }))
+            .rejects.toMatchObject({ code: 'CATEGORY_INVALID' });
+
+        const withChildren = new CategoryService(createSupabaseMock([
+            { data: row('bags', 'Bags'), error: null },
+            { data: [{ id: 'sneakers' }], error: null }
+        ]));
+        await expect(withChildren.update('shoes', 'owner-1', { parentId: 'bags' }))
+            .rejects.toMatchObject({ code: 'CATEGORY_INVALID' });
+
+        await expect(svc.update('shoes', 'owner-1', { parentId: 'shoes' }))
+            .rejects.toMatchObject({ code: 'CATEGORY_INVALID' });
+    });
+
+    it('updates the description and cover, or clears them', async () => {
+        const supabase = createSupabaseMock([{ data: row('shoes', 'Shoes', { description: 'All shoes' }), error: null }]);
+        await new CategoryService(supabase).update('shoes', 'owner-1', {
+            description: '  All shoes ',
+            cover: { publicId: 'cov_1', url: 'https://res/cov_1.jpg' }
+        });
+        expect(supabase.calls[0].ops).toContainEqual(['update', {
+            description: 'All shoes', cover_public_id: 'cov_1', cover_url: 'https://res/cov_1.jpg'
+        }]);
+
+        const clearing = createSupabaseMock([{ data: row('shoes', 'Shoes'), error: null }]);
+        await new CategoryService(clearing).update('shoes', 'owner-1', { description: '', cover: null, parentId: null });
+        expect(clearing.calls[0].ops).toContainEqual(['update', {
+            description: null, parent_id: null, cover_public_id: null, cover_url: null
+        }]);
+    });
+
+    it('gives a clashing name the next free slug', async () => {
+        const supabase = createSupabaseMock([
+            { data: [{ id: 'x', slug: 'shoes' }, { id: 'y', slug: 'shoes-2' }], error: null },
+            { data: [], error: null },
+            { data: row('z', 'Shoes', { slug: 'shoes-3' }), error: null }
+        ]);
+        await new CategoryService(supabase).create({ ownerId: 'owner-1', name: 'Shoes' });
+        expect(supabase.calls[2].ops[0]).toEqual(['insert', expect.objectContaining({ slug: 'shoes-3', sort_order: 0 })]);
+    });
+
+    it('moves the slug on rename and keeps the old one as an alias', async () => {
+        const supabase = createSupabaseMock([
+            { data: { slug: 'sneakers', previous_slugs: ['trainers'] }, error: null },
+            { data: [], error: null },
+            { data: row('c1', 'Kicks', { slug: 'kicks' }), error: null }
+        ]);
+        await new CategoryService(supabase).update('c1', 'owner-1', { name: 'Kicks' });
+
+        expect(supabase.calls[1].ops).toContainEqual(['neq', 'id', 'c1']);
+        expect(supabase.calls[2].ops).toContainEqual(['update', {
+            name: 'Kicks', slug: 'kicks', previous_slugs: ['trainers', 'sneakers']
+        }]);
+    });
+
+    it('keeps the slug when a rename does not change it', async () => {
+        const supabase = createSupabaseMock([
+            { data: { slug: 'sneakers', previous_slugs: [] }, error: null },
+            { data: row('c1', 'SNEAKERS', { slug: 'sneakers' }), error: null }
+        ]);
+        await new CategoryService(supabase).update('c1', 'owner-1', { name: 'SNEAKERS' });
+        expect(supabase.calls[1].ops).toContainEqual(['update', { name: 'SNEAKERS' }]);
+    });
+
+    it('finds a category by its current slug or one it had before', async () => {
+        const current = createSupabaseMock([{ data: row('c1', 'Kicks', { slug: 'kicks' }), error: null }]);
+        expect(await new CategoryService(current).getBySlug('owner-1', 'kicks')).toMatchObject({ id: 'c1', slug: 'kicks' });
+
+        const renamed = createSupabaseMock([
+            { data: null, error: null },
+            { data: row('c1', 'Kicks', { slug: 'kicks' }), error: null }
+        ]);
+        expect(await new CategoryService(renamed).getBySlug('owner-1', 'sneakers')).toMatchObject({ slug: 'kicks' });
+        expect(renamed.calls[1].ops).toContainEqual(['contains', 'previous_slugs', ['sneakers']]);
+
+        expect(await new CategoryService(createSupabaseMock()).getBySlug('owner-1', 'Not A Slug')).toBeNull();
+    });
+
+    it('counts the products and subcategories a delete would affect', async () => {
+        const supabase = createSupabaseMock([
+            { data: row('shoes', 'Shoes'), error: null },
+            { count: 12, error: null },
+            { count: 2, error: null }
+        ]);
+        expect(await new CategoryService(supabase).usage('shoes', 'owner-1')).toEqual({ products: 12, subcategories: 2 });
+        expect(supabase.calls[1].table).toBe('products');
+        expect(supabase.calls[1].ops).toContainEqual(['eq', 'category_id', 'shoes']);
+    });
+
+    it('moves products and deletes the category in one database call', async () => {
+        const supabase = createSupabaseMock([
+            { data: row('boots', 'Boots'), error: null },
+            { data: 12, error: null }
+        ]);
+        const result = await new CategoryService(supabase).delete('shoes', 'owner-1', { reassignTo: 'boots' });
+
+        expect(result).toEqual({ moved: 12 });
+        expect(supabase.calls[1].ops).toEqual([['rpc', 'delete_category', {
+            p_owner_id: 'owner-1', p_category_id: 'shoes', p_reassign_to: 'boots'
+        }]]);
+    });
+
+    it('refuses to move products into the deleted category or one that is not the owner\'s', async () => {
+        const svc = new CategoryService(createSupabaseMock([{ data: null, error: null }]));
+        await expect(svc.delete('shoes', 'owner-1', { reassignTo: 'shoes' })).rejects.toMatchObject({ code: 'CATEGORY_INVALID' });
+        await expect(svc.delete('shoes', 'owner-1', { reassignTo: 'elsewhere' })).rejects.toMatchObject({ code: 'CATEGORY_INVALID' });
+    });
+
+    it('returns null when the category is not the owner\'s', async () => {
+        const supabase = createSupabaseMock([{ data: null, error: { code: 'P0002', message: 'Category not found' } }]);
+        expect(await new CategoryService(supabase).delete('shoes', 'owner-1')).toBeNull();
+    });
+
+    it('moves products before deleting when the database function is not installed yet', async () => {
+        const supabase = createSupabaseMock([
+            { data: null, error: { code: 'PGRST202', message: 'Could not find the function' } },
+            { data: row('shoes', 'Shoes'), error: null },
+            { data: [{ id: 'p1' }, { id: 'p2' }], error: null },
+            { data: null, error: null }
+        ]);
+        expect(await new CategoryService(supabase).delete('shoes', 'owner-1')).toEqual({ moved: 2 });
+        expect(supabase.calls[2].ops).toContainEqual(['update', { category_id: null }]);
+        expect(supabase.calls[3].ops[0]).toEqual(['delete']);
+    });
+
+    it('saves a drag-and-drop order as sort_order positions', async () => {
+        const supabase = createSupabaseMock([
+            { data: [row('a', 'A'), row('b', 'B'), row('c', 'C')], error: null },
+            { data: null, error: null },
+            { data: null, error: null },
+            { data: null, error: null },
+            { data: [row('c', 'C'), row('a', 'A', { sort_order: 1 }), row('b', 'B', { sort_order: 2 })], error: null }
+        ]);
+        const list = await new CategoryService(supabase).reorder('owner-1', ['c', 'a', 'b']);
+
+        expect(list.map((c) => c.id)).toEqual(['c', 'a', 'b']);
+        expect(supabase.calls.slice(1, 4).map((call) => [call.ops[0], call.ops[1]])).toEqual([
+            [['update', { sort_order: 0 }], ['eq', 'id', 'c']],
+            [['update', { sort_order: 1 }], ['eq', 'id', 'a']],
+            [['update', { sort_order: 2 }], ['eq', 'id', 'b']]
+        ]);
+    });
+
+    it('refuses an order with unknown or repeated ids', async () => {
+        const svc = new CategoryService(createSupabaseMock([{ data: [row('a', 'A')], error: null }]));
+        await expect(svc.reorder('owner-1', ['a', 'a'])).rejects.toMatchObject({ code: 'CATEGORY_INVALID' });
+        await expect(svc.reorder('owner-1', ['a', 'other-owner'])).rejects.toMatchObject({ code: 'CATEGORY_INVALID' });
+    });
+});
+
+describe('categoryTree', () => {
+    const categories = [
+        { id: 'shoes', name: 'Shoes', parentId: null },
+        { id: 'bags', name: 'Bags', parentId: null },
+        { id: 'sneakers', name: 'Sneakers', parentId: 'shoes' },
+        { id: 'lost', name: 'Lost', parentId: 'deleted' }
+    ];
+
+    it('nests subcategories under their parent and keeps orphans at the top level', () => {
+        const tree = categoryTree(categories);
+        expect(tree.map((c) => c.id)).toEqual(['shoes', 'bags', 'lost']);
+        expect(tree[0].children.map((c) => c.id)).toEqual(['sneakers']);
+    });
+
+    it('includes subcategories when filtering by a parent', () => {
+        expect(categoryIdsWithChildren(categories, 'shoes')).toEqual(['shoes', 'sneakers']);
+        expect(categoryIdsWithChildren(categories, 'sneakers')).toEqual(['sneakers']);
+        expect(categoryIdsWithChildren(categories, null)).toEqual([]);
+    });
+});
@@ -0,0 +1,121 @@
+const { startCheckouts } = require('../lib/Checkout');
+const { FakePaymentProvider } = require('../lib/FakePaymentProvider');
+const { canTransition } = require('../lib/OrderService');
+
+// Orders kept in a Map, following the real transition rules.
+function memoryOrderService({ failCreateAt = -1 } = {}) {
+    const orders = new Map();
+    let creates = 0;
+    return {
+        orders,
+        async create(reference, email, amountKobo, items, { storeId = null, provider = '' } = {}) {
+            if (creates++ === failCreateAt) throw new Error('insert failed');
+            orders.set(reference, { reference, amountKobo, items, storeId, provider, status: 'pending' });
+        },
+        async transition(reference, status) {
+            const order = orders.get(reference);
+            if (!canTransition(order.status, status)) throw new Error(`${order.status} -> ${status}`);
+            order.status = status;
+            return order;
+        }
+    };
+}
+
+function plan(storeId, provider, totalKobo = 5000) {
+    return {
+        group: { ownerId: 'owner-' + storeId, totalKobo, lines: [{ index: 0, productId: 'p-' + storeId, amountKobo: totalKobo }] },
+        store: { id: storeId, name: 'Store ' + storeId, slug: 'store-' + storeId },
+        provider,
+        subaccount: ''
+    };
+}
+
+function brokenProvider() {
+    return { name: 'broken', initialize: jest.fn().mockRejectedValue(new Error('gateway timeout')) };
+}
+
+describe('startCheckouts', () => {
+    let sequence;
+    const newReference = () => 'ord_' + (++sequence);
+
+    beforeEach(() => {
+        sequence = 0;
+    });
+
+    it('creates every order before starting any provider transaction', async () => {
+        const orderService = memoryOrderService();
+        const provider = new FakePaymentProvider();
+        const initialize = jest.spyOn(provider, 'initialize');
+        const createdBeforeInit = [];
+        initialize.mockImplementation(async function (args) {
+            createdBeforeInit.push(orderService.orders.size);
+            return FakePaymentProvider.prototype.initialize.call(this, args);
+        });
+
+        const outcome = await startCheckouts([plan('s1', provider), plan('s2', provider, 7000)], {
+            orderService,
+            email: 'buyer@example.com',
+            currency: 'NGN',
+            newReference,
+            initializeOptions: (_plan, reference) => ({ callbackUrl: '/cart?reference=' + reference })
+        });
+
+        expect(outcome.ok).toBe(true);
+        expect(createdBeforeInit).toEqual([2, 2]);
+        expect(outcome.checkouts.map((c) => [c.reference, c.amountKobo, c.storeSlug])).toEqual([
+            ['ord_1', 5000, 'store-s1'],
+            ['ord_2', 7000, 'store-s2']
+        ]);
+        expect(provider.transactions.get('ord_2').callbackUrl).toBe('/cart?reference=ord_2');
+        expect(orderService.orders.get('ord_1').items).toEqual([{ productId: 'p-s1', amountKobo: 5000 }]);
+    });
+
+    it('keeps already-started orders payable when a later store fails to start', async () => {
+        const orderService = memoryOrderService();
+        const provider = new FakePaymentProvider();
+        const broken = brokenProvider();
+
+        const outcome = await startCheckouts([plan('s1', provider), plan('s2', broken), plan('s3', provider)], {
+            orderService,
+            email: 'buyer@example.com',
+            currency: 'NGN',
+            newReference
+        });
+
+        expect(outcome.ok).toBe(false);
+        expect(outcome.failedStore.id).toBe('s2');
+        expect(outcome.stores.map((s) => [s.reference, s.status])).toEqual([
+            ['ord_1', 'started'],
+            ['ord_2', 'failed'],
+            ['ord_3', 'cancelled']
+        ]);
+        expect(outcome.stores[1].error).toBe('gateway timeout');
+        expect([...orderService.orders.values()].map((o) => o.status)).toEqual(['failed', 'failed', 'cancelled']);
+        expect(provider.transactions.has('ord_3')).toBe(false);
+
+        // The buyer can still complete the first store's transaction, and its order can settle.
+        expect(provider.complete('ord_1', 'success').status).toBe('success');
+        await expect(orderService.transition('ord_1', 'paid')).resolves.toMatchObject({ status: 'paid' });
+    });
+
+    it('calls no provider when an order cannot be created', async () => {
+        const orderService = memoryOrderService({ failCreateAt: 1 });
+        const provider = new FakePaymentProvider();
+        const initialize = jest.spyOn(provider, 'initialize');
+
+        const outcome = await startCheckouts([plan('s1', provider), plan('s2', provider)], {
+            orderService,
+            email: 'buyer@example.com',
+            currency: 'NGN',
+            newReference
+        });
+
+        expect(outcome.ok).toBe(false);
+        expect(initialize).not.toHaveBeenCalled();
+        expect(outcome.stores.map((s) => [s.reference, s.status])).toEqual([
+            ['ord_1', 'cancelled'],
+            [null, 'failed']
+        ]);
+        expect(orderService.orders.get('ord_1').status).toBe('cancelled');
+    });
+});
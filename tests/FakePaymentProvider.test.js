@@ -0,0 +1,68 @@
+const { FakePaymentProvider } = require('../lib/FakePaymentProvider');
+const { PaymentProvider, PaymentProviderRegistry } = require('../lib/PaymentProvider');
+
+describe('FakePaymentProvider', () => {
+    let provider;
+
+    beforeEach(async () => {
+        provider = new FakePaymentProvider({ secret: 'test_secret' });
+        await provider.initialize({ email: 'a@b.co', amountMinor: 5000, reference: 'ord_1', callbackUrl: '/cart?reference=ord_1' });
+    });
+
+    it('starts pending and settles through complete()', async () => {
+        await expect(provider.verify('ord_1')).resolves.toMatchObject({ status: 'pending', amountMinor: 5000, currency: 'NGN' });
+        provider.complete('ord_1', 'success');
+        const charge = await provider.verify('ord_1');
+        expect(charge.status).toBe('success');
+        expect(charge.paidAt).toBeTruthy();
+    });
+
+    it('does not change a settled transaction', async () => {
+        provider.complete('ord_1', 'failed');
+        expect(provider.complete('ord_1', 'success').status).toBe('failed');
+        expect(provider.complete('missing')).toBeNull();
+    });
+
+    it('round-trips signed webhooks and rejects tampered ones', () => {
+        provider.complete('ord_1', 'success');
+        const { rawBody, headers, body } = provider.buildWebhook('payment.success', 'ord_1');
+        const parsed = provider.parseWebhook(rawBody, headers, body);
+        expect(parsed).toMatchObject({ valid: true, type: 'payment.success', reference: 'ord_1' });
+        expect(parsed.charge).toMatchObject({ status: 'success', amountMinor: 5000 });
+        expect(parsed.eventKey).toMatch(/^fake:evt_/);
+
+        const tampered = Buffer.from(rawBody.toString().replace('5000', '9000'));
+        expect(provider.parseWebhook(tampered, headers, body).valid).toBe(false);
+    });
+
+    it('refunds in part and refuses to refund more than was paid', async () => {
+        await expect(provider.refund('ord_1', 100)).rejects.toThrow('Only successful');
+        provider.complete('ord_1', 'success');
+        await expect(provider.refund('ord_1', 2000)).resolves.toEqual({ status: 'processed', amountMinor: 2000 });
+        await expect(provider.refund('ord_1', 4000)).rejects.toThrow('exceeds');
+        await expect(provider.refund('ord_1')).resolves.toEqual({ status: 'processed', amountMinor: 3000 });
+    });
+});
+
+describe('PaymentProviderRegistry', () => {
+    const paystack = new PaymentProvider('paystack');
+    const flutterwave = new PaymentProvider('flutterwave');
+
+    it('uses the store choice when configured and the default otherwise', () => {
+        const registry = new PaymentProviderRegistry('paystack').register(paystack).register(flutterwave);
+        expect(registry.forStore({ paymentProvider: 'flutterwave' })).toBe(flutterwave);
+        expect(registry.forStore({ paymentProvider: 'stripe' })).toBe(paystack);
+        expect(registry.forStore(null)).toBe(paystack);
+        expect(registry.names()).toEqual(['paystack', 'flutterwave']);
+    });
+
+    it('falls back to the first provider when the default is not configured', () => {
+        const registry = new PaymentProviderRegistry('paystack').register(flutterwave);
+        expect(registry.getDefault()).toBe(flutterwave);
+        expect(new PaymentProviderRegistry().getDefault()).toBeNull();
+    });
+
+    it('base provider methods must be implemented', async () => {
+        await expect(paystack.verify('x')).rejects.toThrow('paystack does not implement verify');
+    });
+});
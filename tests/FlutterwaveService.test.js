@@ -0,0 +1,103 @@
+const { FlutterwaveService } = require('../lib/FlutterwaveService');
+
+describe('FlutterwaveService', () => {
+    const service = new FlutterwaveService('FLWSECK_TEST', { secretHash: 'hash_123' });
+    const realFetch = global.fetch;
+    let fetchMock;
+
+    beforeEach(() => {
+        fetchMock = jest.fn();
+        global.fetch = fetchMock;
+    });
+
+    afterEach(() => {
+        global.fetch = realFetch;
+    });
+
+    const reply = (payload) => fetchMock.mockResolvedValueOnce({ json: async () => payload });
+
+    it('initializes a hosted payment in major units', async () => {
+        reply({ status: 'success', data: { link: 'https://checkout.flutterwave.com/pay/abc' } });
+        const result = await service.initialize({
+            email: 'a@b.co',
+            amountMinor: 250050,
+            currency: 'ngn',
+            reference: 'ord_1',
+            callbackUrl: 'https://shop.test/cart?reference=ord_1',
+            split: { subaccount: 'RS_1', transactionCharge: 10000 }
+        });
+        expect(result).toEqual({ reference: 'ord_1', authorizationUrl: 'https://checkout.flutterwave.com/pay/abc', accessCode: '' });
+        const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+        expect(body).toMatchObject({
+            tx_ref: 'ord_1',
+            amount: 2500.5,
+            currency: 'NGN',
+            redirect_url: 'https://shop.test/cart?reference=ord_1',
+            customer: { email: 'a@b.co' },
+            subaccounts: [{ id: 'RS_1', transaction_charge_type: 'flat', transaction_charge: 100 }]
+        });
+    });
+
+    it('normalizes a verified charge to minor units', async () => {
+        reply({ status: 'success', data: { id: 77, tx_ref: 'ord_1', status: 'successful', amount: 2500.5, currency: 'NGN', created_at: '2026-01-01T00:00:00Z' } });
+        await expect(service.verify('ord_1')).resolves.toEqual({
+            reference: 'ord_1',
+            status: 'success',
+            amountMinor: 250050,
+            currency: 'NGN',
+            paidAt: '2026-01-01T00:00:00Z',
+            transactionId: '77'
+        });
+        expect(fetchMock.mock.calls[0][0]).toContain('verify_by_reference?tx_ref=ord_1');
+    });
+
+    it('throws when Flutterwave reports an error', async () => {
+        reply({ status: 'error', message: 'No transaction was found for this id' });
+        await expect(service.verify('missing')).rejects.toThrow('No transaction was found');
+    });
+
+    describe('parseWebhook', () => {
+        const body = { event: 'charge.completed', data: { id: 9, tx_ref: 'ord_1', status: 'successful', amount: 50 } };
+
+        it('rejects a missing or wrong verif-hash', () => {
+            expect(service.parseWebhook(Buffer.from('{}'), {}, body).valid).toBe(false);
+            expect(service.parseWebhook(Buffer.from('{}'), { 'verif-hash': 'hash_999' }, body).valid).toBe(false);
+        });
+
+        it('maps a completed charge but leaves it to be verified', () => {
+            expect(service.parseWebhook(Buffer.from('{}'), { 'verif-hash': 'hash_123' }, body)).toEqual({
+                valid: true,
+                event: 'charge.completed',
+                eventKey: 'flutterwave:charge.completed:9',
+                type: 'payment.success',
+                reference: 'ord_1',
+                charge: null,
+                amountMinor: null
+            });
+        });
+
+        it('does not trust the amount of a refund event', () => {
+            const refund = service.parseWebhook(null, { 'verif-hash': 'hash_123' }, {
+                event: 'refund.completed',
+                data: { id: 4, tx_ref: 'ord_1', amount: 500 }
+            });
+            expect(refund).toMatchObject({ type: 'refund.processed', reference: 'ord_1', amountMinor: null });
+        });
+
+        it('maps failed charges and ignores other events', () => {
+            const failed = service.parseWebhook(null, { 'verif-hash': 'hash_123' }, { event: 'charge.completed', data: { id: 1, tx_ref: 'ord_2', status: 'failed' } });
+            expect(failed.type).toBe('payment.failed');
+            const other = service.parseWebhook(null, { 'verif-hash': 'hash_123' }, { event: 'transfer.completed', data: { id: 2 } });
+            expect(other.type).toBeNull();
+        });
+    });
+
+    it('refunds against the transaction id found by reference', async () => {
+        reply({ status: 'success', data: { id: 77, tx_ref: 'ord_1', status: 'successful', amount: 2500, currency: 'NGN' } });
+        reply({ status: 'success', data: { status: 'completed', amount_refunded: 1000 } });
+        await expect(service.refund('ord_1', 100000)).resolves.toEqual({ status: 'completed', amountMinor: 100000 });
+        const [url, options] = fetchMock.mock.calls[1];
+        expect(url).toMatch(/\/transactions\/77\/refund$/);
+        expect(JSON.parse(options.body)).toEqual({ amount: 1000 });
+    });
+});
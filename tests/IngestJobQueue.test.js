@@ -0,0 +1,92 @@
+const { IngestJobQueue, JOB_STATUS } = require('../lib/IngestJobQueue');
+
+const waitForJob = (queue, jobId) => new Promise((resolve) => {
+    const check = () => {
+        const job = queue.get(jobId);
+        if (queue.isFinished(job)) return resolve(job);
+        setTimeout(check, 5);
+    };
+    check();
+});
+
+describe('IngestJobQueue', () => {
+    it('processes products in order and streams file and product events', async () => {
+        const processProduct = jest.fn(async (input, index, { reportFile }) => {
+            reportFile(0, 'uploading');
+            reportFile(0, 'uploaded');
+            return { link: `${input.base}/${index}` };
+        });
+        const queue = new IngestJobQueue({ processProduct });
+        const jobId = queue.add('owner-1', [
+            { title: 'Tee', fileNames: ['tee.jpg'] },
+            { title: 'Cap', fileNames: ['cap.jpg'] }
+        ], { base: 'https://x' });
+        const events = [];
+        queue.subscribe(jobId, (type, payload) => events.push([type, payload.status, payload.product ?? null]));
+
+        const job = await waitForJob(queue, jobId);
+
+        expect(job.status).toBe(JOB_STATUS.COMPLETED);
+        expect(job.summary).toEqual({ total: 2, done: 2, failed: 0 });
+        expect(job.products.map((p) => p.result.link)).toEqual(['https://x/0', 'https://x/1']);
+        expect(job.products[1].files).toEqual([{ name: 'cap.jpg', status: 'uploaded', error: null }]);
+        expect(events.slice(0, 5)).toEqual([
+            ['job', 'processing', null],
+            ['product', 'processing', 0],
+            ['file', 'uploading', 0],
+            ['file', 'uploaded', 0],
+            ['product', 'done', 0]
+        ]);
+        expect(events[events.length - 1]).toEqual(['job', 'completed', null]);
+    });
+
+    it('keeps the products that succeeded when one fails', async () => {
+        const onJobEnd = jest.fn();
+        const queue = new IngestJobQueue({
+            processProduct: async (input, index, { reportFile }) => {
+                if (index === 1) {
+                    reportFile(0, 'failed', 'HEIC not supported');
+                    throw new Error('HEIC not supported');
+                }
+                return { index };
+            },
+            onJobEnd
+        });
+        const jobId = queue.add('owner-1', [
+            { title: 'A', fileNames: ['a.jpg'] },
+            { title: 'B', fileNames: ['b.heic'] },
+            { title: 'C', fileNames: ['c.jpg'] }
+        ], { tempFiles: ['x'] });
+
+        const job = await waitForJob(queue, jobId);
+
+        expect(job.status).toBe(JOB_STATUS.COMPLETED);
+        expect(job.summary).toEqual({ total: 3, done: 2, failed: 1 });
+        expect(job.products.map((p) => p.status)).toEqual(['done', 'failed', 'done']);
+        expect(job.products[1]).toMatchObject({ error: 'HEIC not supported', files: [{ name: 'b.heic', status: 'failed', error: 'HEIC not supported' }] });
+        expect(onJobEnd).toHaveBeenCalledWith(job, { tempFiles: ['x'] });
+    });
+
+    it('fails the job when no product made it, and runs jobs one at a time', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const queue = new IngestJobQueue({
+            processProduct: async (input) => {
+                running += 1;
+                maxRunning = Math.max(maxRunning, running);
+                await new Promise((resolve) => setTimeout(resolve, 5));
+                running -= 1;
+                if (input.fail) throw new Error('Cloudinary is down');
+                return {};
+            }
+        });
+        const failing = queue.add('owner-1', [{ title: 'A', fileNames: ['a.jpg'] }], { fail: true });
+        const next = queue.add('owner-2', [{ title: 'B', fileNames: ['b.jpg'] }], {});
+
+        expect(queue.get(next).status).toBe(JOB_STATUS.PENDING);
+        const failed = await waitForJob(queue, failing);
+        expect(failed).toMatchObject({ status: JOB_STATUS.FAILED, error: 'Cloudinary is down' });
+        expect((await waitForJob(queue, next)).status).toBe(JOB_STATUS.COMPLETED);
+        expect(maxRunning).toBe(1);
+    });
+});
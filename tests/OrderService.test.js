@@ -0,0 +1,268 @@
+const { OrderService, canTransition } = require('../lib/OrderService');
+const { createSupabaseMock } = require('./helpers/supabaseMock');
+
+describe('OrderService', () => {
+    describe('transition', () => {
+        it('moves along the lifecycle and writes an audit event', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'o1', reference: 'ord_1', status: 'paid', owner_id: 'owner-1' }, error: null },
+                { data: { id: 'o1', reference: 'ord_1', status: 'processing' }, error: null },
+                { data: null, error: null }
+            ]);
+            const service = new OrderService(supabase);
+
+            const row = await service.transition('ord_1', 'processing', {
+                actor: 'owner',
+                actorId: 'owner-1',
+                ownerId: 'owner-1',
+                note: 'Packing now'
+            });
+
+            expect(row.status).toBe('processing');
+            expect(supabase.calls[0].ops).toContainEqual(['eq', 'owner_id', 'owner-1']);
+            const updateOps = supabase.calls[1].ops;
+            expect(updateOps).toContainEqual(['in', 'status', ['paid']]);
+            expect(updateOps.find((op) => op[0] === 'update')[1]).toHaveProperty('processing_at');
+            expect(supabase.calls[2].table).toBe('order_events');
+            expect(supabase.calls[2].ops.find((op) => op[0] === 'insert')[1]).toMatchObject({
+                order_id: 'o1',
+                from_status: 'paid',
+                to_status: 'processing',
+                actor: 'owner',
+                actor_id: 'owner-1',
+                note: 'Packing now'
+            });
+        });
+
+        it('rejects illegal jumps', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'o1', reference: 'ord_1', status: 'pending' }, error: null }
+            ]);
+            const service = new OrderService(supabase);
+            await expect(service.transition('ord_1', 'shipped')).rejects.toMatchObject({
+                code: 'ORDER_INVALID_TRANSITION',
+                from: 'pending',
+                to: 'shipped'
+            });
+            expect(supabase.calls).toHaveLength(1);
+        });
+
+        it('returns null for an unknown order', async () => {
+            const supabase = createSupabaseMock([{ data: null, error: null }]);
+            const service = new OrderService(supabase);
+            await expect(service.transition('ord_x', 'processing', { ownerId: 'owner-1' })).resolves.toBeNull();
+        });
+    });
+
+    describe('markPaid', () => {
+        it('settles a pending order with the charge time', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'o1', reference: 'ord_1', status: 'pending' }, error: null },
+                { data: { id: 'o1', reference: 'ord_1', status: 'paid' }, error: null },
+                { data: null, error: null }
+            ]);
+            const service = new OrderService(supabase);
+
+            const row = await service.markPaid('ord_1', { paidAt: '2026-01-01T00:00:00.000Z' });
+
+            expect(row.status).toBe('paid');
+            const update = supabase.calls[1].ops.find((op) => op[0] === 'update')[1];
+            expect(update).toMatchObject({ status: 'paid', paid_at: '2026-01-01T00:00:00.000Z' });
+        });
+
+        it('is a no-op for an order that is already paid (repeat delivery)', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'o1', reference: 'ord_1', status: 'paid' }, error: null }
+            ]);
+            const service = new OrderService(supabase);
+            await expect(service.markPaid('ord_1')).resolves.toBeNull();
+            expect(supabase.calls).toHaveLength(1);
+        });
+    });
+
+    describe('canTransition', () => {
+        it('follows the fulfilment rules', () => {
+            expect(canTransition('paid', 'processing')).toBe(true);
+            expect(canTransition('shipped', 'delivered')).toBe(true);
+            expect(canTransition('delivered', 'refunded')).toBe(true);
+            expect(canTransition('pending', 'delivered')).toBe(false);
+            expect(canTransition('refunded', 'paid')).toBe(false);
+        });
+    });
+
+    describe('recordPaymentEvent', () => {
+        it('returns false when the event was already recorded', async () => {
+            const supabase = createSupabaseMock([{ data: null, error: { code: '23505' } }]);
+            const service = new OrderService(supabase);
+            await expect(service.recordPaymentEvent({ eventKey: 'charge.success:1', event: 'charge.success' }))
+                .resolves.toBe(false);
+        });
+
+        it('tolerates a missing events table', async () => {
+            const supabase = createSupabaseMock([{ data: null, error: { code: '42P01' } }]);
+            const service = new OrderService(supabase);
+            await expect(service.recordPaymentEvent({ eventKey: 'k', event: 'charge.success' })).resolves.toBe(true);
+        });
+
+        it('throws other database errors', async () => {
+            const supabase = createSupabaseMock([{ data: null, error: { code: '500', message: 'boom' } }]);
+            const service = new OrderService(supabase);
+            await expect(service.recordPaymentEvent({ eventKey: 'k', event: 'charge.success' })).rejects.toEqual(
+                expect.objectContaining({ message: 'boom' })
+            );
+        });
+    });
+
+    describe('hasPaymentEvent', () => {
+        it('finds a recorded event', async () => {
+            const supabase = createSupabaseMock([{ data: { id: 'e1' }, error: null }]);
+            const service = new OrderService(supabase);
+            await expect(service.hasPaymentEvent('charge.success:1')).resolves.toBe(true);
+        });
+    });
+
+    describe('listForOwner', () => {
+        it('pages owner orders and filters known statuses', async () => {
+            const supabase = createSupabaseMock([{
+                data: [{ id: 'o1', reference: 'ord_1', email: 'a@b.co', amount_kobo: 500000, items: [], status: 'paid', owner_id: 'owner-1' }],
+                error: null,
+                count: 41
+            }]);
+            const service = new OrderService(supabase);
+
+            const result = await service.listForOwner('owner-1', { statuses: ['paid', 'bogus'], page: 3, pageSize: 20 });
+
+            expect(result.total).toBe(41);
+            expect(result.orders[0]).toMatchObject({ reference: 'ord_1', amountKobo: 500000, status: 'paid' });
+            const ops = supabase.calls[0].ops;
+            expect(ops).toContainEqual(['eq', 'owner_id', 'owner-1']);
+            expect(ops).toContainEqual(['range', 40, 59]);
+            expect(ops).toContainEqual(['in', 'status', ['paid']]);
+        });
+    });
+
+    describe('refund', () => {
+        const paidOrder = { id: 'o1', reference: 'ord_1', status: 'delivered', amount_kobo: 10000, refunded_kobo: 0, paid_at: '2026-01-01T00:00:00Z', owner_id: 'owner-1' };
+
+        it('reserves a partial refund, calls the provider and logs it without changing status', async () => {
+            const supabase = createSupabaseMock([
+                { data: paidOrder, error: null },
+                { data: { id: 'o1' }, error: null },
+                { data: null, error: null },
+                { data: { ...paidOrder, refunded_kobo: 4000 }, error: null }
+            ]);
+            const issueRefund = jest.fn().mockResolvedValue({ status: 'pending', amountMinor: 4000 });
+            const result = await new OrderService(supabase).refund('ord_1', 4000, { ownerId: 'owner-1', actorId: 'owner-1', issueRefund });
+
+            expect(issueRefund).toHaveBeenCalledWith(4000);
+            expect(result).toMatchObject({ amountKobo: 4000, refundedKobo: 4000, full: false });
+            expect(supabase.calls[1].ops).toContainEqual(['eq', 'refunded_kobo', 0]);
+            expect(supabase.calls[1].ops.find((op) => op[0] === 'update')[1]).toMatchObject({ refunded_kobo: 4000 });
+            expect(supabase.calls[2].ops.find((op) => op[0] === 'insert')[1]).toMatchObject({
+                from_status: 'delivered',
+                to_status: 'delivered',
+                actor: 'owner',
+                note: 'Partially refunded NGN 40.00'
+            });
+        });
+
+        it('moves the order to refunded once everything captured is refunded', async () => {
+            const partlyRefunded = { ...paidOrder, refunded_kobo: 4000 };
+            const supabase = createSupabaseMock([
+                { data: partlyRefunded, error: null },
+                { data: { id: 'o1' }, error: null },
+                { data: partlyRefunded, error: null },
+                { data: { ...partlyRefunded, status: 'refunded' }, error: null },
+                { data: null, error: null },
+                { data: { ...partlyRefunded, status: 'refunded', refunded_kobo: 10000 }, error: null }
+            ]);
+            const result = await new OrderService(supabase).refund('ord_1', null, { ownerId: 'owner-1', issueRefund: async () => ({}) });
+
+            expect(result).toMatchObject({ amountKobo: 6000, refundedKobo: 10000, full: true });
+            expect(supabase.calls[3].ops).toContainEqual(['in', 'status', ['delivered']]);
+            expect(supabase.calls[3].ops.find((op) => op[0] === 'update')[1]).toMatchObject({ status: 'refunded' });
+        });
+
+        it('rejects refunds larger than what was captured', async () => {
+            const supabase = createSupabaseMock([{ data: { ...paidOrder, refunded_kobo: 7000 }, error: null }]);
+            const issueRefund = jest.fn();
+            await expect(new OrderService(supabase).refund('ord_1', 5000, { issueRefund })).rejects.toMatchObject({
+                code: 'ORDER_REFUND_EXCEEDS',
+                remainingKobo: 3000
+            });
+            expect(issueRefund).not.toHaveBeenCalled();
+            expect(supabase.calls).toHaveLength(1);
+        });
+
+        it('refuses orders that were never paid', async () => {
+            const supabase = createSupabaseMock([{ data: { ...paidOrder, status: 'cancelled', paid_at: null }, error: null }]);
+            await expect(new OrderService(supabase).refund('ord_1', 100)).rejects.toMatchObject({ code: 'ORDER_NOT_REFUNDABLE' });
+        });
+
+        it('releases the reservation when the provider call fails', async () => {
+            const supabase = createSupabaseMock([
+                { data: paidOrder, error: null },
+                { data: { id: 'o1' }, error: null },
+                { data: { id: 'o1' }, error: null }
+            ]);
+            const issueRefund = jest.fn().mockRejectedValue(new Error('Insufficient balance'));
+            await expect(new OrderService(supabase).refund('ord_1', 2000, { issueRefund })).rejects.toThrow('Insufficient balance');
+            expect(supabase.calls[2].ops).toContainEqual(['eq', 'refunded_kobo', 2000]);
+            expect(supabase.calls[2].ops.find((op) => op[0] === 'update')[1]).toMatchObject({ refunded_kobo: 0 });
+        });
+
+        it('reports a conflict when another refund changed the total first', async () => {
+            const supabase = createSupabaseMock([
+                { data: paidOrder, error: null },
+                { data: null, error: null }
+            ]);
+            const issueRefund = jest.fn();
+            await expect(new OrderService(supabase).refund('ord_1', 2000, { issueRefund })).rejects.toMatchObject({ code: 'ORDER_REFUND_CONFLICT' });
+            expect(issueRefund).not.toHaveBeenCalled();
+        });
+
+        it('still succeeds when a webhook refunded the order while the provider call ran', async () => {
+            const partlyRefunded = { ...paidOrder, refunded_kobo: 4000 };
+            const settled = { ...partlyRefunded, status: 'refunded', refunded_kobo: 10000 };
+            const supabase = createSupabaseMock([
+                { data: partlyRefunded, error: null },
+                { data: { id: 'o1' }, error: null },
+                { data: settled, error: null },
+                { data: settled, error: null },
+                { data: null, error: null },
+                { data: settled, error: null }
+            ]);
+            const result = await new OrderService(supabase).refund('ord_1', null, { ownerId: 'owner-1', issueRefund: async () => ({}) });
+
+            expect(result).toMatchObject({ amountKobo: 6000, refundedKobo: 10000, full: true });
+            expect(supabase.calls[4].ops.find((op) => op[0] === 'insert')[1]).toMatchObject({
+                from_status: 'refunded',
+                to_status: 'refunded',
+                actor: 'owner',
+                note: 'Refunded NGN 60.00'
+            });
+        });
+    });
+
+    describe('settleRefund', () => {
+        it('only closes the order once the whole captured amount is refunded', async () => {
+            const order = { id: 'o1', reference: 'ord_1', status: 'paid', amount_kobo: 10000, refunded_kobo: 4000, paid_at: '2026-01-01T00:00:00Z' };
+            const partial = createSupabaseMock([{ data: order, error: null }]);
+            await expect(new OrderService(partial).settleRefund('ord_1', 4000)).resolves.toBeNull();
+            expect(partial.calls).toHaveLength(1);
+
+            const unsigned = createSupabaseMock([{ data: order, error: null }]);
+            await expect(new OrderService(unsigned).settleRefund('ord_1', null)).resolves.toBeNull();
+
+            const full = createSupabaseMock([
+                { data: order, error: null },
+                { data: order, error: null },
+                { data: { ...order, status: 'refunded' }, error: null },
+                { data: null, error: null }
+            ]);
+            const row = await new OrderService(full).settleRefund('ord_1', 10000);
+            expect(row.status).toBe('refunded');
+            expect(full.calls[2].ops.find((op) => op[0] === 'update')[1]).toMatchObject({ refunded_kobo: 10000 });
+        });
+    });
+});
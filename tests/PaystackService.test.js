@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { PaystackService } = require('../lib/PaystackService');
+
+describe('PaystackService', () => {
+    const secret = 'sk_test_secret';
+    const service = new PaystackService(secret);
+    const body = Buffer.from(JSON.stringify({ event: 'charge.success', data: { reference: 'ord_1' } }));
+    const sign = (buf, key = secret) => crypto.createHmac('sha512', key).update(buf).digest('hex');
+
+    describe('verifyWebhookSignature', () => {
+        it('accepts a signature made with the secret key', () => {
+            expect(service.verifyWebhookSignature(body, sign(body))).toBe(true);
+        });
+
+        it('rejects a signature made with another key', () => {
+            expect(service.verifyWebhookSignature(body, sign(body, 'sk_other'))).toBe(false);
+        });
+
+        it('rejects a tampered body', () => {
+            const tampered = Buffer.from(body.toString().replace('ord_1', 'ord_2'));
+            expect(service.verifyWebhookSignature(tampered, sign(body))).toBe(false);
+        });
+
+        it('rejects missing signature or body', () => {
+            expect(service.verifyWebhookSignature(body, '')).toBe(false);
+            expect(service.verifyWebhookSignature(null, sign(body))).toBe(false);
+        });
+    });
+
+    describe('settlement subaccounts', () => {
+        const realFetch = global.fetch;
+        let fetchMock;
+
+        beforeEach(() => {
+            fetchMock = jest.fn();
+            global.fetch = fetchMock;
+        });
+
+        afterEach(() => {
+            global.fetch = realFetch;
+        });
+
+        const reply = (payload) => fetchMock.mockResolvedValueOnce({ json: async () => payload });
+
+        it('lists active banks as name and code', async () => {
+            reply({ status: true, data: [
+                { name: 'Access Bank', code: '044', active: true },
+                { name: 'Old Bank', code: '999', active: false }
+            ] });
+            await expect(service.listBanks()).resolves.toEqual([{ name: 'Access Bank', code: '044' }]);
+            expect(fetchMock.mock.calls[0][0]).toContain('/bank?country=nigeria');
+            expect(fetchMock.mock.calls[0][1].body).toBeUndefined();
+        });
+
+        it('resolves an account name', async () => {
+            reply({ status: true, data: { account_number: '0123456789', account_name: 'ADA OBI' } });
+            await expect(service.resolveAccountNumber('0123456789', '044'))
+                .resolves.toEqual({ accountNumber: '0123456789', accountName: 'ADA OBI' });
+            expect(fetchMock.mock.calls[0][0]).toContain('account_number=0123456789&bank_code=044');
+        });
+
+        it('throws when Paystack cannot resolve the account', async () => {
+            reply({ status: false, message: 'Could not resolve account name' });
+            await expect(service.resolveAccountNumber('0000000000', '044')).rejects.toThrow('Could not resolve account name');
+        });
+
+        it('creates a subaccount with the platform percentage', async () => {
+            reply({ status: true, data: { subaccount_code: 'ACCT_1', business_name: 'Ada Store', settlement_bank: 'Access Bank', account_number: '0123456789' } });
+            const sub = await service.createSubaccount({ businessName: 'Ada Store', bankCode: '044', accountNumber: '0123456789', percentageCharge: 5 });
+            expect(sub).toMatchObject({ subaccountCode: 'ACCT_1', bankName: 'Access Bank' });
+            const [url, options] = fetchMock.mock.calls[0];
+            expect(url).toMatch(/\/subaccount$/);
+            expect(options.method).toBe('POST');
+            expect(JSON.parse(options.body)).toEqual({
+                business_name: 'Ada Store', settlement_bank: '044', account_number: '0123456789', percentage_charge: 5
+            });
+        });
+
+        it('updates an existing subaccount in place', async () => {
+            reply({ status: true, data: { subaccount_code: 'ACCT_1' } });
+            await service.updateSubaccount('ACCT_1', { bankCode: '058', accountNumber: '9876543210' });
+            const [url, options] = fetchMock.mock.calls[0];
+            expect(url).toMatch(/\/subaccount\/ACCT_1$/);
+            expect(options.method).toBe('PUT');
+            expect(JSON.parse(options.body)).toEqual({ settlement_bank: '058', account_number: '9876543210' });
+        });
+
+        it('sends the subaccount and flat charge when initializing a split payment', async () => {
+            reply({ status: true, data: { reference: 'ord_1', authorization_url: 'https://pay', access_code: 'ac' } });
+            await service.initializeTransaction('a@b.co', 500000, 'ord_1', {}, { subaccount: 'ACCT_1', transactionCharge: 25000, bearer: 'subaccount' });
+            expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({
+                subaccount: 'ACCT_1', transaction_charge: 25000, bearer: 'subaccount'
+            });
+        });
+    });
+
+    describe('provider interface', () => {
+        const realFetch = global.fetch;
+        let fetchMock;
+
+        beforeEach(() => {
+            fetchMock = jest.fn();
+            global.fetch = fetchMock;
+        });
+
+        afterEach(() => {
+            global.fetch = realFetch;
+        });
+
+        it('normalizes a verified transaction', async () => {
+            fetchMock.mockResolvedValueOnce({ json: async () => ({
+                status: true,
+                data: { id: 12, reference: 'ord_1', status: 'success', amount: 5000, currency: 'NGN', paid_at: '2026-01-01T00:00:00Z' }
+            }) });
+            await expect(service.verify('ord_1')).resolves.toEqual({
+                reference: 'ord_1', status: 'success', amountMinor: 5000, currency: 'NGN', paidAt: '2026-01-01T00:00:00Z', transactionId: '12'
+            });
+        });
+
+        it('parses signed webhooks into provider-neutral events', () => {
+            const payload = { event: 'refund.processed', data: { id: 3, transaction_reference: 'ord_1', amount: 2000 } };
+            const raw = Buffer.from(JSON.stringify(payload));
+            expect(service.parseWebhook(raw, { 'x-paystack-signature': sign(raw) }, payload)).toEqual({
+                valid: true, event: 'refund.processed', eventKey: 'refund.processed:3', type: 'refund.processed', reference: 'ord_1', charge: null, amountMinor: 2000
+            });
+            expect(service.parseWebhook(raw, { 'x-paystack-signature': sign(raw, 'sk_other') }, payload).valid).toBe(false);
+        });
+
+        it('trusts signed charge payloads', () => {
+            const raw = body;
+            const parsed = service.parseWebhook(raw, { 'x-paystack-signature': sign(raw) }, JSON.parse(raw.toString()));
+            expect(parsed.type).toBe('payment.success');
+            expect(parsed.charge).toMatchObject({ reference: 'ord_1' });
+        });
+
+        it('requests full or partial refunds', async () => {
+            fetchMock.mockResolvedValue({ json: async () => ({ status: true, data: { status: 'pending', amount: 1500 } }) });
+            await expect(service.refund('ord_1', 1500)).resolves.toEqual({ status: 'pending', amountMinor: 1500 });
+            expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({ transaction: 'ord_1', amount: 1500 });
+            await service.refund('ord_1');
+            expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({ transaction: 'ord_1' });
+        });
+    });
+});
@@ -0,0 +1,158 @@
+const { parseMoneyNumber, priceLabelToKobo, resolveCartLines, groupLinesByOwner } = require('../lib/Pricing');
+
+const PRODUCT_ID = '3f1c2a9e-8b7d-4c1e-9a2b-1234567890ab';
+
+function productServiceWith(products) {
+    return {
+        getById: jest.fn(async (id) => products.find((p) => p.id === id) || null),
+        getByPublicId: jest.fn(async (publicId) => products.find((p) => p.publicId === publicId) || null)
+    };
+}
+
+describe('Pricing', () => {
+    describe('parseMoneyNumber', () => {
+        it('parses naira labels', () => {
+            expect(parseMoneyNumber('₦5,000')).toBe(5000);
+            expect(parseMoneyNumber(' 1 250.50 ')).toBe(1250.5);
+        });
+
+        it('returns null for non-prices', () => {
+            expect(parseMoneyNumber('Contact for Price')).toBeNull();
+            expect(parseMoneyNumber('')).toBeNull();
+            expect(parseMoneyNumber('-20')).toBeNull();
+        });
+    });
+
+    describe('priceLabelToKobo', () => {
+        it('converts to whole kobo', () => {
+            expect(priceLabelToKobo('₦5,000')).toBe(500000);
+            expect(priceLabelToKobo('₦99.99')).toBe(9999);
+        });
+    });
+
+    describe('resolveCartLines', () => {
+        it('prices lines from stored products and ignores client amounts', async () => {
+            const service = productServiceWith([
+                { id: PRODUCT_ID, publicId: 'abc', price: '₦5,000', badgeLabel: '', ownerId: 'owner-1' }
+            ]);
+            const { lines, errors, totalKobo } = await resolveCartLines([
+                { id: PRODUCT_ID, amountKobo: 100 },
+                { id: 'abc', quantity: 2, amountKobo: 1 }
+            ], service);
+
+            expect(errors).toEqual([]);
+            expect(totalKobo).toBe(1500000);
+            expect(lines[0]).toMatchObject({ productId: PRODUCT_ID, unitKobo: 500000, quantity: 1, amountKobo: 500000 });
+            expect(lines[1]).toMatchObject({ unitKobo: 500000, quantity: 2, amountKobo: 1000000 });
+            expect(service.getById).toHaveBeenCalledWith(PRODUCT_ID);
+            expect(service.getByPublicId).toHaveBeenCalledWith('abc');
+        });
+
+        it('resolves lines that only carry a product link', async () => {
+            const service = productServiceWith([
+                { id: PRODUCT_ID, publicId: 'folder/abc', price: '₦1,000', badgeLabel: '' }
+            ]);
+            const { lines } = await resolveCartLines([
+                { id: 'https://shop.example/p/folder/abc?price=%E2%82%A61' }
+            ], service);
+            expect(service.getByPublicId).toHaveBeenCalledWith('folder/abc');
+            expect(lines[0].amountKobo).toBe(100000);
+        });
+
+        it('prices variant lines from the chosen variant and requires a choice', async () => {
+            const service = productServiceWith([{
+                id: PRODUCT_ID,
+                publicId: 'tee',
+                price: '₦5,000',
+                badgeLabel: '',
+                stockCount: 3,
+                variants: [
+                    { id: 'v-red', label: 'Red / M', price: '₦6,500', stockCount: 1 },
+                    { id: 'v-blue', label: 'Blue / M', price: '', stockCount: 2 }
+                ]
+            }]);
+            const { lines, errors } = await resolveCartLines([
+                { id: 'tee::v-red', variantId: 'v-red' },
+                { productId: PRODUCT_ID, variantId: 'v-blue', quantity: 2 },
+                { id: 'tee' },
+                { id: 'tee', variantId: 'v-gone' },
+                { id: 'tee', variantId: 'v-red', quantity: 2 }
+            ], service);
+
+            expect(lines[0]).toMatchObject({ variantId: 'v-red', variantLabel: 'Red / M', unitKobo: 650000 });
+            expect(lines[1]).toMatchObject({ variantId: 'v-blue', unitKobo: 500000, amountKobo: 1000000 });
+            expect(errors.map((e) => e.error)).toEqual([
+                'Choose an option for this product.',
+                'That option is no longer available.',
+                'Only 1 left in stock.'
+            ]);
+        });
+
+        it('rejects contact-for-price, sold-out and missing products', async () => {
+            const service = productServiceWith([
+                { id: 'p1', publicId: 'ask', price: 'Contact for Price', badgeLabel: '' },
+                { id: 'p2', publicId: 'gone', price: '₦2,000', badgeLabel: 'SOLD OUT' }
+            ]);
+            const { lines, errors } = await resolveCartLines([
+                { id: 'ask' },
+                { id: 'gone' },
+                { id: 'missing' },
+                {}
+            ], service);
+
+            expect(lines).toEqual([]);
+            expect(errors.map((e) => e.index)).toEqual([0, 1, 2, 3]);
+            expect(errors[0].error).toMatch(/no fixed price/);
+            expect(errors[1].error).toMatch(/sold out/);
+            expect(errors[2].error).toMatch(/no longer available/);
+        });
+
+        it('refuses quantities beyond tracked stock', async () => {
+            const service = productServiceWith([
+                { id: 'p1', publicId: 'few', price: '₦1,000', badgeLabel: '', stockCount: 2 },
+                { id: 'p2', publicId: 'many', price: '₦1,000', badgeLabel: '', stockCount: null }
+            ]);
+            const { lines, errors } = await resolveCartLines([
+                { id: 'few', quantity: 3 },
+                { id: 'few', quantity: 2 },
+                { id: 'many', quantity: 50 }
+            ], service);
+
+            expect(errors).toEqual([{ index: 0, id: 'few', error: 'Only 2 left in stock.' }]);
+            expect(lines.map((line) => line.quantity)).toEqual([2, 50]);
+        });
+
+        it('counts every line for the same product and option against its stock', async () => {
+            const service = productServiceWith([{
+                id: PRODUCT_ID,
+                publicId: 'tee',
+                price: '₦5,000',
+                badgeLabel: '',
+                stockCount: 3,
+                variants: [{ id: 'v-red', label: 'Red / M', price: '', stockCount: 2 }]
+            }]);
+            const { lines, errors } = await resolveCartLines([
+                { id: 'tee', variantId: 'v-red' },
+                { productId: PRODUCT_ID, variantId: 'v-red' },
+                { id: 'tee::v-red', variantId: 'v-red' }
+            ], service);
+
+            expect(lines.map((line) => line.index)).toEqual([0, 1]);
+            expect(errors).toEqual([{ index: 2, id: 'tee', error: 'Only 2 left in stock.' }]);
+        });
+    });
+
+    describe('groupLinesByOwner', () => {
+        it('groups lines per store with subtotals and keeps first-seen order', () => {
+            const groups = groupLinesByOwner([
+                { index: 0, ownerId: 'b', amountKobo: 100 },
+                { index: 1, ownerId: 'a', amountKobo: 200 },
+                { index: 2, ownerId: 'b', amountKobo: 300 },
+                { index: 3, ownerId: null, amountKobo: 50 }
+            ]);
+            expect(groups.map((g) => g.ownerId)).toEqual(['b', 'a', null]);
+            expect(groups[0].totalKobo).toBe(400);
+            expect(groups[0].lines.map((l) => l.index)).toEqual([0, 2]);
+        });
+    });
+});
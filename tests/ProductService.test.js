@@ -0,0 +1,594 @@
+const { ProductService, parseStockCount, badgeForStock, slugifyProductTitle } = require('../lib/ProductService');
+const { createSupabaseMock } = require('./helpers/supabaseMock');
+
+const updateOf = (call) => call.ops.find((op) => op[0] === 'update')[1];
+
+describe('ProductService', () => {
+    describe('parseStockCount', () => {
+        it('accepts plain whole numbers only', () => {
+            expect(parseStockCount(' 12 ')).toBe(12);
+            expect(parseStockCount('0')).toBe(0);
+            expect(parseStockCount('12 pcs')).toBeNull();
+            expect(parseStockCount('')).toBeNull();
+            expect(parseStockCount(null)).toBeNull();
+        });
+    });
+
+    describe('badgeForStock', () => {
+        it('switches SOLD OUT on at zero and off on restock', () => {
+            expect(badgeForStock('NEW', 0)).toBe('SOLD OUT');
+            expect(badgeForStock('SOLD OUT', 3)).toBe('');
+            expect(badgeForStock('NEW', 3)).toBe('NEW');
+            expect(badgeForStock('SOLD OUT', null)).toBe('SOLD OUT');
+        });
+    });
+
+    describe('setStock', () => {
+        it('writes the count scoped to the owner and marks zero stock sold out', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'p1', stock_count: 4, badge_label: 'NEW' }, error: null },
+                { data: { id: 'p1', stock_count: 0, badge_label: 'SOLD OUT' }, error: null }
+            ]);
+            const row = await new ProductService(supabase).setStock('p1', 0, { ownerId: 'owner-1' });
+
+            expect(row).toEqual({ id: 'p1', stockCount: 0, badgeLabel: 'SOLD OUT' });
+            expect(supabase.calls[0].ops).toContainEqual(['eq', 'owner_id', 'owner-1']);
+            expect(updateOf(supabase.calls[1])).toEqual({ stock_count: 0, badge_label: 'SOLD OUT' });
+            expect(supabase.calls[1].ops).toContainEqual(['eq', 'stock_count', 4]);
+        });
+
+        it('rejects negative counts and returns null for unknown products', async () => {
+            const service = new ProductService(createSupabaseMock([{ data: null, error: null }]));
+            await expect(service.setStock('p1', -1)).rejects.toMatchObject({ code: 'STOCK_INVALID' });
+            await expect(service.setStock('missing', 5)).resolves.toBeNull();
+        });
+    });
+
+    describe('adjustStock', () => {
+        it('refuses to remove more than is in stock', async () => {
+            const supabase = createSupabaseMock([{ data: { id: 'p1', stock_count: 2, badge_label: '' }, error: null }]);
+            await expect(new ProductService(supabase).adjustStock('p1', -3)).rejects.toMatchObject({ code: 'STOCK_INSUFFICIENT' });
+            expect(supabase.calls).toHaveLength(1);
+        });
+
+        it('retries when another write changed the count first', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'p1', stock_count: 5, badge_label: '' }, error: null },
+                { data: null, error: null },
+                { data: { id: 'p1', stock_count: 4, badge_label: '' }, error: null },
+                { data: { id: 'p1', stock_count: 6, badge_label: '' }, error: null }
+            ]);
+            const row = await new ProductService(supabase).adjustStock('p1', 2);
+
+            expect(row.stockCount).toBe(6);
+            expect(supabase.calls[3].ops).toContainEqual(['eq', 'stock_count', 4]);
+        });
+    });
+
+    describe('slugifyProductTitle', () => {
+        it('builds lower-case ascii slugs', () => {
+            expect(slugifyProductTitle('  Ankara Maxi Dress (Red) ')).toBe('ankara-maxi-dress-red');
+            expect(slugifyProductTitle('Crème Brûlée Tee')).toBe('creme-brulee-tee');
+            expect(slugifyProductTitle('!!!')).toBe('');
+            expect(slugifyProductTitle('a'.repeat(200))).toHaveLength(80);
+        });
+    });
+
+    describe('create with a title', () => {
+        it('stores the title and takes the next free slug in the store', async () => {
+            const supabase = createSupabaseMock([
+                { data: [{ id: 'p0', slug: 'ankara-dress' }], error: null },
+                { data: { id: 'p1', public_id: 'ank' }, error: null }
+            ]);
+            await new ProductService(supabase).create({
+                publicId: 'ank',
+                title: '  Ankara Dress ',
+                description: 'Hand-sewn.',
+                price: '₦5,000',
+                link: '/p/ank',
+                ownerId: 'owner-1'
+            });
+
+            expect(supabase.calls[0].ops).toContainEqual(['like', 'slug', 'ankara-dress%']);
+            const insert = supabase.calls[1].ops.find((op) => op[0] === 'insert')[1];
+            expect(insert).toMatchObject({ title: 'Ankara Dress', description: 'Hand-sewn.', slug: 'ankara-dress-2' });
+        });
+    });
+
+    describe('getBySlug', () => {
+        it('looks the slug up within the owner\'s store', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'p1', public_id: 'ank', title: 'Ankara Dress', slug: 'ankara-dress', price: '₦5,000' }, error: null },
+                { data: [], error: null },
+                { data: [], error: null }
+            ]);
+            const product = await new ProductService(supabase).getBySlug('owner-1', 'Ankara-Dress');
+
+            expect(product).toMatchObject({ id: 'p1', publicId: 'ank', slug: 'ankara-dress' });
+            expect(supabase.calls[0].ops).toContainEqual(['eq', 'owner_id', 'owner-1']);
+            expect(supabase.calls[0].ops).toContainEqual(['eq', 'slug', 'ankara-dress']);
+            await expect(new ProductService(createSupabaseMock()).getBySlug(null, 'x')).resolves.toBeNull();
+        });
+    });
+
+    describe('create with variants', () => {
+        it('stores the variants and sets product stock to their total', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'p1', public_id: 'tee' }, error: null },
+                { data: null, error: null }
+            ]);
+            await new ProductService(supabase).create({
+                publicId: 'tee',
+                price: '₦5,000',
+                link: '/p/tee',
+                ownerId: 'owner-1',
+                stockCount: 50,
+                variants: [
+                    { size: 'M', color: 'Red', stock: '0' },
+                    { size: 'L', color: 'Red', price: '₦6,000', stock: '0' }
+                ]
+            });
+
+            const insertOf = (call) => call.ops.find((op) => op[0] === 'insert')[1];
+            expect(insertOf(supabase.calls[0])).toMatchObject({ stock_count: 0, badge_label: 'SOLD OUT' });
+            expect(supabase.calls[1].table).toBe('product_variants');
+            expect(insertOf(supabase.calls[1])).toEqual([
+                { product_id: 'p1', owner_id: 'owner-1', options: { color: 'Red', size: 'M' }, option_key: 'color=red|size=m', price: null, stock_count: 0, sort_order: 0 },
+                { product_id: 'p1', owner_id: 'owner-1', options: { color: 'Red', size: 'L' }, option_key: 'color=red|size=l', price: '₦6,000', stock_count: 0, sort_order: 1 }
+            ]);
+        });
+
+        it('removes the product again when its media rows cannot be saved', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'p1', public_id: 'tee' }, error: null },
+                { data: null, error: { code: '23502', message: 'null value in column' } },
+                { data: null, error: null }
+            ]);
+            await expect(new ProductService(supabase).create({
+                publicId: 'tee',
+                price: '₦5,000',
+                link: '/p/tee',
+                ownerId: 'owner-1',
+                mediaItems: [{ publicId: 'tee', mediaType: 'image' }],
+                variants: [{ size: 'M', stock: '2' }]
+            })).rejects.toMatchObject({ code: '23502' });
+
+            expect(supabase.calls.map((call) => call.table)).toEqual(['products', 'product_media', 'products']);
+            expect(supabase.calls[2].ops).toEqual([['delete'], ['eq', 'id', 'p1']]);
+        });
+    });
+
+    describe('adjustVariantStock', () => {
+        it('updates the variant and resyncs the product total', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'v1', stock_count: 0 }, error: null },
+                { data: { id: 'v1', stock_count: 4 }, error: null },
+                { data: [{ id: 'v1', options: {}, price: null, stock_count: 4, sort_order: 0 }, { id: 'v2', options: {}, price: null, stock_count: 1, sort_order: 1 }], error: null },
+                { data: { id: 'p1', stock_count: 0, badge_label: 'SOLD OUT' }, error: null },
+                { data: { id: 'p1', stock_count: 5, badge_label: '' }, error: null }
+            ]);
+            const row = await new ProductService(supabase).adjustVariantStock('p1', 'v1', 4, { ownerId: 'owner-1' });
+
+            expect(row).toEqual({ id: 'v1', stockCount: 4 });
+            expect(supabase.calls[0].table).toBe('product_variants');
+            expect(supabase.calls[0].ops).toContainEqual(['eq', 'product_id', 'p1']);
+            expect(updateOf(supabase.calls[4])).toEqual({ stock_count: 5, badge_label: '' });
+        });
+    });
+
+    describe('listPage', () => {
+        const row = (n) => ({
+            id: `00000000-0000-4000-8000-00000000000${n}`,
+            price: '₦1,000',
+            preview_url: `${n}.jpg`,
+            created_at: `2024-05-0${n}T10:00:00.123456+00:00`
+        });
+
+        it('returns a page plus a cursor that continues after its last row', async () => {
+            const supabase = createSupabaseMock([
+                { data: [row(3), row(2), row(1)], error: null },
+                { data: [], error: null },
+                { data: [], error: null }
+            ]);
+            const service = new ProductService(supabase);
+            const page = await service.listPage('owner-1', { limit: 2 });
+
+            expect(page.products.map((p) => p.id)).toEqual([row(3).id, row(2).id]);
+            expect(page.nextCursor).toEqual(expect.any(String));
+            expect(supabase.calls[0].ops).toContainEqual(['limit', 3]);
+            expect(supabase.calls[0].ops).toContainEqual(['order', 'id', { ascending: false }]);
+
+            const next = createSupabaseMock([{ data: [row(1)], error: null }, { data: [], error: null }, { data: [], error: null }]);
+            const last = await new ProductService(next).listPage('owner-1', { limit: 2, cursor: page.nextCursor });
+            expect(last.nextCursor).toBeNull();
+            expect(next.calls[0].ops).toContainEqual([
+                'or',
+                `created_at.lt."${row(2).created_at}",and(created_at.eq."${row(2).created_at}",id.lt.${row(2).id})`
+            ]);
+        });
+
+        it('searches title, price and matching category names', async () => {
+            const categoryId = '11111111-1111-4111-8111-111111111111';
+            const supabase = createSupabaseMock([
+                { data: [{ id: categoryId }], error: null },
+                { data: [], error: null }
+            ]);
+            await new ProductService(supabase).listPage('owner-1', { search: 'shoes' });
+
+            expect(supabase.calls[0].table).toBe('categories');
+            expect(supabase.calls[0].ops).toContainEqual(['ilike', 'name', '%shoes%']);
+            expect(supabase.calls[1].ops).toContainEqual(['or', `title.ilike.%shoes%,price.ilike.%shoes%,category_id.in.(${categoryId})`]);
+        });
+
+        it('keeps quotes in the search text out of the filter expression', async () => {
+            const supabase = createSupabaseMock([
+                { data: [], error: null },
+                { data: [], error: null }
+            ]);
+            await new ProductService(supabase).listPage('owner-1', { search: '12" "vinyl' });
+
+            expect(supabase.calls[0].ops).toContainEqual(['ilike', 'name', '%12 vinyl%']);
+            expect(supabase.calls[1].ops).toContainEqual(['or', 'title.ilike.%12 vinyl%,price.ilike.%12 vinyl%']);
+        });
+
+        it('rejects cursors it did not issue', async () => {
+            const service = new ProductService(createSupabaseMock());
+            const forged = Buffer.from(JSON.stringify(['2024-01-01)', 'x,id.gt.0'])).toString('base64url');
+            await expect(service.listPage('owner-1', { cursor: forged })).rejects.toMatchObject({ code: 'CURSOR_INVALID' });
+            await expect(service.listPage('owner-1', { cursor: 'not-a-cursor' })).rejects.toMatchObject({ code: 'CURSOR_INVALID' });
+        });
+    });
+
+    describe('listForOwner', () => {
+        it('pages and filters the owner catalog and attaches media and variant counts', async () => {
+            const supabase = createSupabaseMock([
+                { data: [{ id: 'p1', price: '₦5,000', preview_url: 'a.jpg', stock_count: 0, category_id: null }], error: null, count: 30 },
+                { data: [{ product_id: 'p1', public_id: 'm1', media_type: 'image', preview_url: 'm1.jpg' }, { product_id: 'p1', public_id: 'm2', media_type: 'video', preview_url: 'm2.jpg' }], error: null },
+                { data: [{ product_id: 'p1' }, { product_id: 'p1' }], error: null }
+            ]);
+            const result = await new ProductService(supabase).listForOwner('owner-1', {
+                categoryId: 'none',
+                stock: 'out',
+                badge: 'sold out',
+                search: 'red,(x)',
+                page: 2,
+                pageSize: 10
+            });
+
+            expect(result).toMatchObject({ total: 30, page: 2, pageSize: 10 });
+            expect(result.products[0]).toMatchObject({ id: 'p1', stockCount: 0, mediaCount: 2, previewUrl: 'm1.jpg', variantCount: 2 });
+            const ops = supabase.calls[0].ops;
+            expect(ops).toContainEqual(['eq', 'owner_id', 'owner-1']);
+            expect(ops).toContainEqual(['range', 10, 19]);
+            expect(ops).toContainEqual(['is', 'category_id', null]);
+            expect(ops).toContainEqual(['eq', 'stock_count', 0]);
+            expect(ops).toContainEqual(['eq', 'badge_label', 'SOLD OUT']);
+            expect(ops).toContainEqual(['or', 'title.ilike.%red x%,price.ilike.%red x%,size.ilike.%red x%,color.ilike.%red x%']);
+        });
+    });
+
+    describe('update', () => {
+        it('writes owner-scoped edits and keeps the stored link in step', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'p1', link: 'https://shop.example/p/abc?price=%E2%82%A61%2C000&bg=white&badge=NEW', price: '₦1,000', badge_label: 'NEW', stock_count: null }, error: null },
+                { data: { id: 'p1' }, error: null }
+            ]);
+            const service = new ProductService(supabase);
+            service.getById = jest.fn(async (id) => ({ id, price: '₦2,000' }));
+            const product = await service.update('p1', { price: '₦2,000', badgeLabel: '', categoryId: null, ignored: 'x' }, { ownerId: 'owner-1' });
+
+            expect(product).toEqual({ id: 'p1', price: '₦2,000' });
+            const patch = updateOf(supabase.calls[1]);
+            expect(patch).toMatchObject({ price: '₦2,000', badge_label: '', category_id: null });
+            expect(patch).not.toHaveProperty('ignored');
+            expect(new URL(patch.link).searchParams.get('price')).toBe('₦2,000');
+            expect(new URL(patch.link).searchParams.has('badge')).toBe(false);
+            expect(supabase.calls[1].ops).toContainEqual(['eq', 'owner_id', 'owner-1']);
+        });
+
+        it('keeps SOLD OUT while tracked stock is zero and rejects empty edits', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'p1', link: '', price: '₦1,000', badge_label: 'SOLD OUT', stock_count: 0 }, error: null },
+                { data: { id: 'p1' }, error: null }
+            ]);
+            const service = new ProductService(supabase);
+            service.getById = jest.fn(async () => ({}));
+            await service.update('p1', { badgeLabel: 'NEW' });
+
+            expect(updateOf(supabase.calls[1]).badge_label).toBe('SOLD OUT');
+            await expect(service.update('p1', {})).rejects.toMatchObject({ code: 'PRODUCT_INVALID' });
+            await expect(service.update('p1', { price: ' ' })).rejects.toMatchObject({ code: 'PRODUCT_INVALID' });
+        });
+
+        it('gives a product its first slug when it is titled, and keeps existing slugs', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'p1', owner_id: 'owner-1', slug: null, link: '', price: '₦1,000', badge_label: '', stock_count: null }, error: null },
+                { data: [], error: null },
+                { data: { id: 'p1' }, error: null },
+                { data: { id: 'p2', owner_id: 'owner-1', slug: 'old-name', link: '', price: '₦1,000', badge_label: '', stock_count: null }, error: null },
+                { data: { id: 'p2' }, error: null }
+            ]);
+            const service = new ProductService(supabase);
+            service.getById = jest.fn(async () => ({}));
+            await service.update('p1', { title: 'Silk Scarf' }, { ownerId: 'owner-1' });
+            await service.update('p2', { title: 'New Name' }, { ownerId: 'owner-1' });
+
+            expect(supabase.calls[1].ops).toContainEqual(['neq', 'id', 'p1']);
+            expect(updateOf(supabase.calls[2])).toEqual({ title: 'Silk Scarf', slug: 'silk-scarf' });
+            expect(updateOf(supabase.calls[4])).toEqual({ title: 'New Name' });
+        });
+
+        it('returns null for products the owner does not have', async () => {
+            const service = new ProductService(createSupabaseMock([{ data: null, error: null }]));
+            await expect(service.update('p1', { size: 'M' }, { ownerId: 'owner-2' })).resolves.toBeNull();
+        });
+    });
+
+    describe('delete', () => {
+        it('removes the product and destroys media no other product uses', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'p1', public_id: 'img-1' }, error: null },
+                { data: [{ public_id: 'img-1', media_type: 'image' }, { public_id: 'vid-1', media_type: 'video' }, { public_id: 'shared', media_type: 'image' }], error: null },
+                { data: { id: 'p1' }, error: null },
+                { data: [{ public_id: 'shared' }], error: null }
+            ]);
+            const destroyAsset = jest.fn(async ({ publicId }) => {
+                if (publicId === 'vid-1') throw new Error('timeout');
+            });
+            const result = await new ProductService(supabase).delete('p1', { ownerId: 'owner-1', destroyAsset });
+
+            expect(supabase.calls[2].ops).toContainEqual(['delete']);
+            expect(supabase.calls[2].ops).toContainEqual(['eq', 'owner_id', 'owner-1']);
+            expect(destroyAsset.mock.calls.map(([asset]) => asset)).toEqual([
+                { publicId: 'img-1', mediaType: 'image' },
+                { publicId: 'vid-1', mediaType: 'video' }
+            ]);
+            expect(result).toEqual({
+                id: 'p1',
+                publicId: 'img-1',
+                assets: [{ publicId: 'img-1', mediaType: 'image' }, { publicId: 'vid-1', mediaType: 'video' }],
+                failedAssets: ['vid-1']
+            });
+            expect(supabase.calls[4].table).toBe('deleted_products');
+            expect(supabase.calls[4].ops[0][1].map((row) => [row.public_id, row.owner_id])).toEqual([
+                ['img-1', 'owner-1'],
+                ['vid-1', 'owner-1'],
+                ['shared', 'owner-1']
+            ]);
+
+            const legacyVideo = createSupabaseMock([
+                { data: { id: 'p2', public_id: 'vid-2', link: 'https://shop.example/p/vid-2?bg=white&mt=video' }, error: null },
+                { data: [], error: null },
+                { data: { id: 'p2' }, error: null },
+                { data: [], error: null }
+            ]);
+            const destroyVideo = jest.fn();
+            await new ProductService(legacyVideo).delete('p2', { ownerId: 'owner-1', destroyAsset: destroyVideo });
+            expect(destroyVideo).toHaveBeenCalledWith({ publicId: 'vid-2', mediaType: 'video' });
+        });
+
+        it('returns null without touching Cloudinary when the product is not the owner\'s', async () => {
+            const supabase = createSupabaseMock([{ data: null, error: null }]);
+            const destroyAsset = jest.fn();
+            await expect(new ProductService(supabase).delete('p1', { ownerId: 'owner-2', destroyAsset })).resolves.toBeNull();
+            expect(destroyAsset).not.toHaveBeenCalled();
+            expect(supabase.calls).toHaveLength(1);
+        });
+    });
+
+    describe('findForLink', () => {
+        it('does not treat a public id that was never stored as deleted', async () => {
+            const supabase = createSupabaseMock([{ data: null, error: null }]);
+            const service = new ProductService(supabase);
+            service.getByPublicId = jest.fn(async () => null);
+
+            // /p/:publicId then renders the preview from the link's price, mt and badge.
+            await expect(service.findForLink('legacy-upload')).resolves.toEqual({ product: null, deleted: false });
+            expect(supabase.calls[0].table).toBe('deleted_products');
+            expect(supabase.calls[0].ops).toContainEqual(['eq', 'public_id', 'legacy-upload']);
+        });
+
+        it('reports public ids of deleted products', async () => {
+            const service = new ProductService(createSupabaseMock([{ data: { public_id: 'img-1' }, error: null }]));
+            service.getByPublicId = jest.fn(async () => null);
+            await expect(service.findForLink('img-1')).resolves.toEqual({ product: null, deleted: true });
+        });
+
+        it('returns stored products without checking deletions, and tolerates a missing table', async () => {
+            const supabase = createSupabaseMock([{ data: null, error: { code: '42P01', message: 'relation does not exist' } }]);
+            const service = new ProductService(supabase);
+            service.getByPublicId = jest.fn(async (id) => (id === 'img-2' ? { id: 'p2', publicId: 'img-2' } : null));
+
+            await expect(service.findForLink('img-2')).resolves.toEqual({ product: { id: 'p2', publicId: 'img-2' }, deleted: false });
+            expect(supabase.calls).toHaveLength(0);
+            await expect(service.findForLink('gone')).resolves.toEqual({ product: null, deleted: false });
+        });
+    });
+
+    describe('product media', () => {
+        const productRow = {
+            id: 'p1',
+            owner_id: 'owner-1',
+            public_id: 'a',
+            link: 'https://shop.example/p/a?price=%E2%82%A61%2C000&bg=white&mt=image&rm=true',
+            preview_url: 'a.jpg',
+            previous_public_ids: []
+        };
+        const mediaRows = () => [
+            { public_id: 'a', media_type: 'image', preview_url: 'a.jpg', sort_order: 0 },
+            { public_id: 'b', media_type: 'video', preview_url: 'b.jpg', sort_order: 1 }
+        ];
+
+        it('moves the cover, link and preview to the new first item and keeps the old id as an alias', async () => {
+            const supabase = createSupabaseMock([
+                { data: { ...productRow }, error: null },
+                { data: mediaRows(), error: null },
+                { data: null, error: null },
+                { data: null, error: null },
+                { data: null, error: null }
+            ]);
+            const service = new ProductService(supabase);
+            service.getById = jest.fn(async (id) => ({ id }));
+            await service.reorderMedia('p1', ['b', 'a'], { ownerId: 'owner-1' });
+
+            expect(supabase.calls[0].ops).toContainEqual(['eq', 'owner_id', 'owner-1']);
+            expect(updateOf(supabase.calls[2])).toEqual({ sort_order: 0 });
+            expect(supabase.calls[2].ops).toContainEqual(['eq', 'public_id', 'b']);
+            const patch = updateOf(supabase.calls[4]);
+            expect(patch).toMatchObject({ public_id: 'b', preview_url: 'b.jpg', previous_public_ids: ['a'] });
+            const link = new URL(patch.link);
+            expect(link.pathname).toBe('/p/b');
+            expect(link.searchParams.get('mt')).toBe('video');
+            expect(link.searchParams.has('rm')).toBe(false);
+            expect(link.searchParams.get('price')).toBe('₦1,000');
+        });
+
+        it('rejects orders that drop or repeat items', async () => {
+            const service = new ProductService(createSupabaseMock([
+                { data: { ...productRow }, error: null },
+                { data: mediaRows(), error: null }
+            ]));
+            await expect(service.reorderMedia('p1', ['a', 'a'], {})).rejects.toMatchObject({ code: 'PRODUCT_INVALID' });
+        });
+
+        it('setCover moves the chosen item to the front', async () => {
+            const supabase = createSupabaseMock([
+                { data: { ...productRow }, error: null },
+                { data: [...mediaRows(), { public_id: 'c', media_type: 'image', preview_url: 'c.jpg', sort_order: 2 }], error: null }
+            ]);
+            const service = new ProductService(supabase);
+            service.getById = jest.fn(async () => ({}));
+            await service.setCover('p1', 'c', { ownerId: 'owner-1' });
+
+            const sortUpdates = supabase.calls.slice(2, 5).map((call) => [call.ops.find((op) => op[0] === 'eq' && op[1] === 'public_id')[2], updateOf(call).sort_order]);
+            expect(sortUpdates).toEqual([['c', 0], ['a', 1], ['b', 2]]);
+            expect(updateOf(supabase.calls[5])).toMatchObject({ public_id: 'c', preview_url: 'c.jpg' });
+        });
+
+        it('writes the cover of a product without media rows before appending new media', async () => {
+            const supabase = createSupabaseMock([
+                { data: { ...productRow }, error: null },
+                { data: [], error: null },
+                { data: null, error: null },
+                { data: null, error: null }
+            ]);
+            const service = new ProductService(supabase);
+            service.getById = jest.fn(async () => ({}));
+            await service.addMedia('p1', [{ publicId: 'n', mediaType: 'image', previewUrl: 'n.jpg' }], { ownerId: 'owner-1' });
+
+            const insertOf = (call) => call.ops.find((op) => op[0] === 'insert')[1];
+            expect(insertOf(supabase.calls[2])).toMatchObject({ public_id: 'a', sort_order: 0, media_type: 'image' });
+            expect(insertOf(supabase.calls[3])).toEqual([expect.objectContaining({ public_id: 'n', sort_order: 1, owner_id: 'owner-1' })]);
+            expect(supabase.calls).toHaveLength(4);
+        });
+
+        it('removes an item, destroys its unused asset and refuses to remove the last one', async () => {
+            const supabase = createSupabaseMock([
+                { data: { ...productRow }, error: null },
+                { data: mediaRows(), error: null },
+                { data: null, error: null },
+                { data: null, error: null },
+                { data: null, error: null },
+                { data: [], error: null }
+            ]);
+            const service = new ProductService(supabase);
+            service.getById = jest.fn(async (id) => ({ id }));
+            const destroyAsset = jest.fn(async () => {});
+            const result = await service.removeMedia('p1', 'a', { ownerId: 'owner-1', destroyAsset });
+
+            expect(result).toEqual({ product: { id: 'p1' }, failedAssets: [] });
+            expect(supabase.calls[2].ops).toContainEqual(['delete']);
+            expect(updateOf(supabase.calls[4])).toMatchObject({ public_id: 'b', previous_public_ids: ['a'] });
+            expect(destroyAsset).toHaveBeenCalledWith({ publicId: 'a', mediaType: 'image' });
+
+            const single = new ProductService(createSupabaseMock([
+                { data: { ...productRow }, error: null },
+                { data: [mediaRows()[0]], error: null }
+            ]));
+            await expect(single.removeMedia('p1', 'a', { destroyAsset })).rejects.toMatchObject({ code: 'PRODUCT_INVALID' });
+        });
+
+        it('finds products by a previous cover id', async () => {
+            const supabase = createSupabaseMock([
+                { data: null, error: null },
+                { data: null, error: null },
+                { data: { id: 'p1', public_id: 'b', price: '₦1,000' }, error: null },
+                { data: [], error: null },
+                { data: [], error: null }
+            ]);
+            const product = await new ProductService(supabase).getByPublicId('a');
+
+            expect(product).toMatchObject({ id: 'p1', publicId: 'b' });
+            expect(supabase.calls[2].ops).toContainEqual(['contains', 'previous_public_ids', ['a']]);
+        });
+    });
+
+    describe('duplicate media', () => {
+        const hashA = 'a'.repeat(64);
+        const hashB = 'b'.repeat(64);
+
+        it('maps each known hash to the owner\'s product that has it', async () => {
+            const supabase = createSupabaseMock([
+                { data: [{ product_id: 'p1', public_id: 'img-1', content_hash: hashA }], error: null },
+                { data: [{ id: 'p1', title: 'Ankara Dress', link: '/p/img-1', preview_url: 'img-1.jpg' }], error: null }
+            ]);
+            const matches = await new ProductService(supabase).findMediaByHashes('owner-1', [hashA, hashB, hashA, '']);
+
+            expect([...matches.entries()]).toEqual([
+                [hashA, { productId: 'p1', publicId: 'img-1', title: 'Ankara Dress', link: '/p/img-1', previewUrl: 'img-1.jpg' }]
+            ]);
+            expect(supabase.calls[0].ops).toEqual([
+                ['select', 'product_id, public_id, content_hash'],
+                ['eq', 'owner_id', 'owner-1'],
+                ['in', 'content_hash', [hashA, hashB]]
+            ]);
+            expect(supabase.calls[1].ops).toContainEqual(['in', 'id', ['p1']]);
+        });
+
+        it('finds nothing before the content_hash migration', async () => {
+            const supabase = createSupabaseMock([{ data: null, error: { code: '42703' } }]);
+            const matches = await new ProductService(supabase).findMediaByHashes('owner-1', [hashA]);
+            expect(matches.size).toBe(0);
+        });
+
+        it('stores the hash with new media and retries without it on an older table', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'p1', public_id: 'tee' }, error: null },
+                { data: null, error: { code: '42703' } },
+                { data: null, error: null }
+            ]);
+            await new ProductService(supabase).create({
+                publicId: 'tee',
+                price: '₦5,000',
+                link: '/p/tee',
+                ownerId: 'owner-1',
+                mediaItems: [{ publicId: 'tee', mediaType: 'image', previewUrl: 'tee.jpg', contentHash: hashA }]
+            });
+
+            const insertOf = (call) => call.ops.find((op) => op[0] === 'insert')[1];
+            expect(insertOf(supabase.calls[1])[0]).toMatchObject({ public_id: 'tee', content_hash: hashA });
+            expect(insertOf(supabase.calls[2])[0]).not.toHaveProperty('content_hash');
+            expect(supabase.calls).toHaveLength(3);
+        });
+    });
+
+    describe('decrementForOrderItems', () => {
+        it('takes paid quantities per product, clamps at zero and skips untracked products', async () => {
+            const supabase = createSupabaseMock([
+                { data: { id: 'p1', stock_count: 2, badge_label: '' }, error: null },
+                { data: { id: 'p1', stock_count: 0, badge_label: 'SOLD OUT' }, error: null },
+                { data: { id: 'p2', stock_count: null, badge_label: '' }, error: null }
+            ]);
+            const results = await new ProductService(supabase).decrementForOrderItems([
+                { productId: 'p1', quantity: 2 },
+                { productId: 'p1', quantity: 1 },
+                { productId: 'p2', quantity: 1 },
+                { link: 'no-product' }
+            ]);
+
+            expect(updateOf(supabase.calls[1])).toEqual({ stock_count: 0, badge_label: 'SOLD OUT' });
+            expect(results).toEqual([{ id: 'p1', stockCount: 0, badgeLabel: 'SOLD OUT' }]);
+            expect(supabase.calls).toHaveLength(3);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { Readable } = require('stream');
+const { UploadStaging, HashingDiskStorage, hashFile } = require('../lib/UploadStaging');
+
+describe('UploadStaging', () => {
+    let dir;
+    let staging;
+
+    beforeEach(() => {
+        dir = path.join(os.tmpdir(), `staging_test_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`);
+        staging = new UploadStaging({ dir, maxBytes: 100, ttlMs: 1000 });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('appends chunks at the reported offset until the file is complete', async () => {
+        const opened = await staging.create('owner-1', { filename: '../clip.mp4', size: 10, mimeType: 'video/mp4' });
+        expect(opened).toMatchObject({ filename: 'clip.mp4', size: 10, offset: 0, complete: false });
+
+        await staging.append('owner-1', opened.id, 0, Readable.from([Buffer.from('hello')]));
+        const done = await staging.append('owner-1', opened.id, 5, Readable.from([Buffer.from('world')]));
+        expect(done).toMatchObject({ offset: 10, complete: true });
+
+        const file = await staging.file('owner-1', opened.id);
+        expect(file).toMatchObject({ uploadId: opened.id, originalname: 'clip.mp4', mimetype: 'video/mp4', size: 10 });
+        expect(fs.readFileSync(file.path, 'utf8')).toBe('helloworld');
+    });
+
+    it('keeps the bytes of a chunk cut off mid-way so the client can resume', async () => {
+        const opened = await staging.create('owner-1', { filename: 'a.jpg', size: 10, mimeType: 'image/jpeg' });
+        const dropped = Readable.from((async function* () {
+            yield Buffer.from('abc');
+            throw new Error('aborted');
+        })());
+        await expect(staging.append('owner-1', opened.id, 0, dropped)).rejects.toThrow('aborted');
+
+        expect((await staging.get('owner-1', opened.id)).offset).toBe(3);
+        await expect(staging.append('owner-1', opened.id, 0, Readable.from([Buffer.from('x')])))
+            .rejects.toMatchObject({ code: 'UPLOAD_OFFSET_MISMATCH', offset: 3 });
+        await expect(staging.file('owner-1', opened.id)).rejects.toMatchObject({ code: 'UPLOAD_INCOMPLETE' });
+    });
+
+    it('refuses oversized files, bytes past the end and other owners', async () => {
+        await expect(staging.create('owner-1', { size: 101 })).rejects.toMatchObject({ code: 'UPLOAD_TOO_LARGE' });
+        await expect(staging.create('owner-1', { size: 5, mimeType: 'text/html' })).rejects.toMatchObject({ code: 'UPLOAD_INVALID' });
+
+        const opened = await staging.create('owner-1', { filename: 'a.jpg', size: 4 });
+        await expect(staging.append('owner-1', opened.id, 0, Readable.from([Buffer.from('too long')])))
+            .rejects.toMatchObject({ code: 'UPLOAD_TOO_LARGE' });
+        await expect(staging.get('owner-2', opened.id)).rejects.toMatchObject({ code: 'UPLOAD_NOT_FOUND' });
+        await expect(staging.get('owner-1', '../../etc/passwd')).rejects.toMatchObject({ code: 'UPLOAD_NOT_FOUND' });
+    });
+
+    it('sweeps uploads untouched for longer than the TTL', async () => {
+        const stale = await staging.create('owner-1', { filename: 'old.jpg', size: 4 });
+        const fresh = await staging.create('owner-1', { filename: 'new.jpg', size: 4 });
+        const past = new Date(Date.now() - 5000);
+        fs.utimesSync(path.join(dir, `${stale.id}.part`), past, past);
+
+        expect(await staging.sweep()).toBe(1);
+        await expect(staging.get('owner-1', stale.id)).rejects.toMatchObject({ code: 'UPLOAD_NOT_FOUND' });
+        expect((await staging.get('owner-1', fresh.id)).offset).toBe(0);
+    });
+
+    it('hashes file content so the same bytes give the same hash', async () => {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'a.jpg'), 'same bytes');
+        fs.writeFileSync(path.join(dir, 'b.jpg'), 'same bytes');
+        fs.writeFileSync(path.join(dir, 'c.jpg'), 'other bytes');
+
+        const [a, b, c] = await Promise.all(['a.jpg', 'b.jpg', 'c.jpg'].map((name) => hashFile(path.join(dir, name))));
+        expect(a).toMatch(/^[0-9a-f]{64}$/);
+        expect(b).toBe(a);
+        expect(c).not.toBe(a);
+    });
+
+    it('hashes the bytes as chunks arrive, across a chunk cut off mid-way', async () => {
+        const opened = await staging.create('owner-1', { filename: 'a.jpg', size: 10, mimeType: 'image/jpeg' });
+        const dropped = Readable.from((async function* () {
+            yield Buffer.from('hel');
+            throw new Error('aborted');
+        })());
+        await expect(staging.append('owner-1', opened.id, 0, dropped)).rejects.toThrow('aborted');
+        await staging.append('owner-1', opened.id, 3, Readable.from([Buffer.from('loworld')]));
+
+        const file = await staging.file('owner-1', opened.id);
+        expect(file.contentHash).toBe(await hashFile(file.path));
+    });
+
+    it('hashes from disk when the running hash was lost to a restart', async () => {
+        const opened = await staging.create('owner-1', { filename: 'a.jpg', size: 10, mimeType: 'image/jpeg' });
+        await staging.append('owner-1', opened.id, 0, Readable.from([Buffer.from('hello')]));
+        const restarted = new UploadStaging({ dir, maxBytes: 100, ttlMs: 1000 });
+        await restarted.append('owner-1', opened.id, 5, Readable.from([Buffer.from('world')]));
+
+        const file = await restarted.file('owner-1', opened.id);
+        expect(file.contentHash).toBe(await hashFile(file.path));
+    });
+
+    it('removes an upload on request', async () => {
+        const opened = await staging.create('owner-1', { filename: 'a.jpg', size: 4 });
+        await staging.remove('owner-1', opened.id);
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+});
+
+describe('HashingDiskStorage', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = path.join(os.tmpdir(), `hashing_storage_test_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('writes the file to disk with its size and content hash', async () => {
+        const storage = new HashingDiskStorage({ dir });
+        const info = await new Promise((resolve, reject) => {
+            storage._handleFile({}, { stream: Readable.from([Buffer.from('same '), Buffer.from('bytes')]) }, (err, result) => (
+                err ? reject(err) : resolve(result)
+            ));
+        });
+
+        expect(info).toMatchObject({ destination: dir, size: 10 });
+        expect(fs.readFileSync(info.path, 'utf8')).toBe('same bytes');
+        expect(info.contentHash).toBe(await hashFile(info.path));
+
+        await new Promise((resolve) => storage._removeFile({}, info, resolve));
+        expect(fs.existsSync(info.path)).toBe(false);
+    });
+});
@@ -0,0 +1,51 @@
+const {
+    normalizeVariantOptions,
+    variantOptionKey,
+    variantLabel,
+    normalizeVariantInput,
+    totalVariantStock
+} = require('../lib/Variants');
+
+describe('Variants', () => {
+    describe('normalizeVariantOptions', () => {
+        it('lower-cases names, maps colour to color and drops empty values', () => {
+            expect(normalizeVariantOptions({ Size: ' XL ', Colour: 'Red', fit: '' })).toEqual({ color: 'Red', size: 'XL' });
+            expect(normalizeVariantOptions(null)).toEqual({});
+        });
+    });
+
+    describe('variantOptionKey / variantLabel', () => {
+        it('keys combinations case-insensitively and labels colour first', () => {
+            expect(variantOptionKey({ size: 'XL', color: 'Red' })).toBe('color=red|size=xl');
+            expect(variantOptionKey({ color: 'RED', size: 'xl' })).toBe('color=red|size=xl');
+            expect(variantLabel({ size: 'XL', color: 'Red' })).toBe('Red / XL');
+        });
+    });
+
+    describe('normalizeVariantInput', () => {
+        it('accepts the flat upload shape, keeps the first duplicate and parses stock', () => {
+            const variants = normalizeVariantInput([
+                { size: 'M', color: 'Black', price: '₦6,000', stock: '3' },
+                { size: 'm', color: 'black', stock: '9' },
+                { options: { size: 'L' }, stock: '' },
+                { size: '', color: '' },
+                { size: 'S', stock: '-2' }
+            ]);
+
+            expect(variants).toEqual([
+                { options: { color: 'Black', size: 'M' }, optionKey: 'color=black|size=m', label: 'Black / M', price: '₦6,000', stockCount: 3, sortOrder: 0 },
+                { options: { size: 'L' }, optionKey: 'size=l', label: 'L', price: '', stockCount: null, sortOrder: 1 },
+                { options: { size: 'S' }, optionKey: 'size=s', label: 'S', price: '', stockCount: null, sortOrder: 2 }
+            ]);
+            expect(normalizeVariantInput('nope')).toEqual([]);
+        });
+    });
+
+    describe('totalVariantStock', () => {
+        it('sums tracked variants and is null when any variant is untracked', () => {
+            expect(totalVariantStock([{ stockCount: 2 }, { stockCount: 3 }])).toBe(5);
+            expect(totalVariantStock([{ stockCount: 2 }, { stockCount: null }])).toBeNull();
+            expect(totalVariantStock([])).toBeNull();
+        });
+    });
+});
@@ -5,13 +5,27 @@ const os = require('os');
 const mockGenerate = jest.fn();
 const mockUpload = jest.fn();
 const mockProductList = jest.fn();
+const mockCategoryList = jest.fn();
 
 jest.mock('../lib/VideoGenerator', () => ({
     generateSlideshowVideo: (...args) => mockGenerate(...args),
     uploadToCloudinary: (...args) => mockUpload(...args)
 }));
 
-const { VideoJobQueue, JOB_STATUS } = require('../lib/VideoJobQueue');
+const { VideoJobQueue, JOB_STATUS, MAX_VIDEO_JOB_ATTEMPTS, MAX_VIDEO_JOBS_PER_OWNER } = require('../lib/VideoJobQueue');
+const { FileVideoJobStore } = require('../lib/VideoJobStore');
+
+// Every category id the tests queue videos for.
+const OWNER_CATEGORIES = ['cat-0', 'cat-1', 'cat-2', 'a', 'b', 'c', 'x', 'one-more'].map((id) => ({ id }));
+
+// Resolves once check() passes, polling the queue instead of sleeping a fixed time.
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await check())) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the video queue');
+        await new Promise((r) => setImmediate(r));
+    }
+}
 
 describe('VideoJobQueue', () => {
     let queue;
@@ -25,12 +39,14 @@ describe('VideoJobQueue', () => {
             productService: {
                 list: mockProductList
             },
-            categoryService: {},
+            categoryService: { list: mockCategoryList },
             outputDir
         });
         mockGenerate.mockReset();
         mockUpload.mockReset();
         mockProductList.mockReset();
+        mockCategoryList.mockReset();
+        mockCategoryList.mockResolvedValue(OWNER_CATEGORIES);
     });
 
     afterEach(() => {
@@ -164,4 +180,231 @@ describe('VideoJobQueue', () => {
             expect(job.error).toContain('FFmpeg failed');
         });
     });
+
+    describe('with a store', () => {
+        let store;
+        let storedQueue;
+        const storedStatus = async (jobId) => (await store.get(jobId))?.status;
+        const storedJob = (id, extra = {}) => ({
+            id,
+            ownerId: 'owner-1',
+            categoryId: 'cat-1',
+            status: JOB_STATUS.PENDING,
+            progress: 0,
+            attempts: 0,
+            createdAt: '2026-01-01T00:00:00.000Z',
+            ...extra
+        });
+
+        beforeEach(() => {
+            store = new FileVideoJobStore({ dir: path.join(outputDir, 'jobs') });
+            storedQueue = new VideoJobQueue({
+                cloudinary: { uploader: {} },
+                productService: { list: mockProductList },
+                categoryService: { list: mockCategoryList },
+                outputDir,
+                store,
+                retainMs: 0,
+                ttlMs: 1000
+            });
+        });
+
+        it('saves each job so it can be read after leaving memory', async () => {
+            mockProductList.mockResolvedValue([{ previewUrl: 'https://ex.com/1.jpg' }]);
+            mockGenerate.mockResolvedValue(path.join(outputDir, 'out.mp4'));
+            mockUpload.mockResolvedValue({ url: 'https://c.com/v.mp4', publicId: 'v1' });
+
+            const jobId = storedQueue.add('owner-1', 'cat-1', { transitionType: 'cut' });
+            await waitFor(async () => !storedQueue.get(jobId) && await storedStatus(jobId) === JOB_STATUS.COMPLETED);
+
+            expect(storedQueue.get(jobId)).toBeNull();
+            expect(await storedQueue.find(jobId)).toMatchObject({
+                status: JOB_STATUS.COMPLETED,
+                videoUrl: 'https://c.com/v.mp4',
+                transitionType: 'cut',
+                attempts: 1,
+                finishedAt: expect.any(String)
+            });
+            expect((await storedQueue.listForOwner('owner-1')).map((job) => job.id)).toEqual([jobId]);
+            expect(await storedQueue.listForOwner('owner-2')).toEqual([]);
+        });
+
+        it('re-runs jobs a restart interrupted, with their options', async () => {
+            await store.save(storedJob('vid_1_a', { status: JOB_STATUS.PROCESSING, progress: 20, attempts: 1, slideDuration: 5 }));
+            await store.save(storedJob('vid_2_b', { status: JOB_STATUS.COMPLETED, finishedAt: new Date().toISOString() }));
+            mockProductList.mockResolvedValue([{ previewUrl: 'https://ex.com/1.jpg' }]);
+            mockGenerate.mockResolvedValue(path.join(outputDir, 'out.mp4'));
+            mockUpload.mockResolvedValue({ url: 'https://c.com/v.mp4', publicId: 'v1' });
+
+            expect(await storedQueue.recover()).toBe(1);
+            await waitFor(async () => await storedStatus('vid_1_a') === JOB_STATUS.COMPLETED);
+
+            expect(mockGenerate).toHaveBeenCalledTimes(1);
+            expect(mockGenerate).toHaveBeenCalledWith(expect.objectContaining({ slideDuration: 5 }));
+            expect(await store.get('vid_1_a')).toMatchObject({ status: JOB_STATUS.COMPLETED, attempts: 2 });
+        });
+
+        it('fails a job that keeps getting interrupted instead of retrying it forever', async () => {
+            await store.save(storedJob('vid_1_a', { status: JOB_STATUS.PROCESSING, attempts: MAX_VIDEO_JOB_ATTEMPTS }));
+
+            expect(await storedQueue.recover()).toBe(0);
+            await waitFor(async () => await storedStatus('vid_1_a') === JOB_STATUS.FAILED);
+
+            expect(mockProductList).not.toHaveBeenCalled();
+            expect(await store.get('vid_1_a')).toMatchObject({ status: JOB_STATUS.FAILED, finishedAt: expect.any(String) });
+        });
+
+        it('expires finished jobs past the TTL and keeps unfinished ones', async () => {
+            const longAgo = new Date(Date.now() - 5000).toISOString();
+            await store.save(storedJob('vid_1_a', { status: JOB_STATUS.COMPLETED, finishedAt: longAgo }));
+            await store.save(storedJob('vid_2_b', { status: JOB_STATUS.FAILED, finishedAt: new Date().toISOString() }));
+            await store.save(storedJob('vid_3_c'));
+
+            expect(await storedQueue.expire()).toBe(1);
+            expect(await store.get('vid_1_a')).toBeNull();
+            expect(await store.get('vid_2_b')).not.toBeNull();
+            expect(await store.get('vid_3_c')).not.toBeNull();
+        });
+
+        it('deletes an expired job\'s video along with it', async () => {
+            const longAgo = new Date(Date.now() - 5000).toISOString();
+            const destroy = jest.fn().mockResolvedValue({ result: 'ok' });
+            const cloudQueue = new VideoJobQueue({
+                cloudinary: { uploader: { destroy } },
+                productService: { list: mockProductList },
+                categoryService: { list: mockCategoryList },
+                outputDir,
+                store,
+                ttlMs: 1000
+            });
+            await store.save(storedJob('vid_1_a', { status: JOB_STATUS.COMPLETED, finishedAt: longAgo, publicId: 'videos/vid_1_a' }));
+            await store.save(storedJob('vid_2_b', { status: JOB_STATUS.COMPLETED, finishedAt: longAgo, videoUrl: '/uploads/videos/vid_2_b.mp4' }));
+            fs.writeFileSync(path.join(outputDir, 'vid_2_b.mp4'), 'video');
+
+            expect(await cloudQueue.expire()).toBe(2);
+            expect(destroy).toHaveBeenCalledWith('videos/vid_1_a', expect.objectContaining({ resource_type: 'video' }));
+            expect(fs.existsSync(path.join(outputDir, 'vid_2_b.mp4'))).toBe(false);
+        });
+
+        it('keeps an expired job for the next run when its video could not be deleted', async () => {
+            const longAgo = new Date(Date.now() - 5000).toISOString();
+            const cloudQueue = new VideoJobQueue({
+                cloudinary: { uploader: { destroy: jest.fn().mockResolvedValue({ result: 'error' }) } },
+                productService: { list: mockProductList },
+                categoryService: { list: mockCategoryList },
+                outputDir,
+                store,
+                ttlMs: 1000
+            });
+            await store.save(storedJob('vid_1_a', { status: JOB_STATUS.COMPLETED, finishedAt: longAgo, publicId: 'videos/vid_1_a' }));
+
+            expect(await cloudQueue.expire()).toBe(0);
+            expect(await store.get('vid_1_a')).not.toBeNull();
+        });
+
+        it('fails a recovered job whose category was deleted instead of rendering the whole catalog', async () => {
+            await store.save(storedJob('vid_1_a', { categoryId: null }));
+            await store.save(storedJob('vid_2_b', { categoryId: 'deleted-cat', createdAt: '2026-01-02T00:00:00.000Z' }));
+
+            expect(await storedQueue.recover()).toBe(2);
+            await waitFor(async () => await storedStatus('vid_1_a') === JOB_STATUS.FAILED
+                && await storedStatus('vid_2_b') === JOB_STATUS.FAILED);
+
+            expect(mockProductList).not.toHaveBeenCalled();
+            expect(await store.get('vid_2_b')).toMatchObject({ error: expect.stringContaining('category was deleted') });
+        });
+    });
+
+    describe('scheduling', () => {
+        let renders;
+        const poolQueue = (options = {}) => new VideoJobQueue({
+            cloudinary: null,
+            productService: { list: mockProductList },
+            categoryService: { list: mockCategoryList },
+            outputDir,
+            ...options
+        });
+
+        beforeEach(() => {
+            // Each render waits until the test finishes it.
+            renders = [];
+            mockProductList.mockImplementation(async (ownerId, categoryId) => [{ previewUrl: `https://ex.com/${ownerId}/${categoryId}.jpg` }]);
+            mockGenerate.mockImplementation(({ imageUrls, outputPath }) => new Promise((resolve) => {
+                renders.push({ jobId: path.basename(outputPath, '.mp4'), image: imageUrls[0], finish: resolve });
+            }));
+        });
+
+        const rendering = () => renders.map((r) => r.image.replace('https://ex.com/', ''));
+        const rendersStarted = (count) => waitFor(() => renders.length === count);
+        const finishFirst = async (pool) => {
+            const { jobId, finish } = renders.shift();
+            finish();
+            await waitFor(() => pool.get(jobId).status === JOB_STATUS.COMPLETED);
+        };
+
+        it('renders one job at a time by default', async () => {
+            const pool = poolQueue();
+            const ids = [pool.add('owner-1', 'a'), pool.add('owner-2', 'b')];
+            await rendersStarted(1);
+
+            expect(pool.get(ids[1]).status).toBe(JOB_STATUS.PENDING);
+            await finishFirst(pool);
+            await rendersStarted(1);
+            expect(rendering()).toEqual(['owner-2/b.jpg']);
+        });
+
+        it('renders up to the concurrency limit at once', async () => {
+            const pool = poolQueue({ concurrency: 2 });
+            const ids = ['a', 'b', 'c'].map((cat) => pool.add(`owner-${cat}`, cat));
+            await rendersStarted(2);
+
+            expect(rendering()).toEqual(['owner-a/a.jpg', 'owner-b/b.jpg']);
+            expect(pool.get(ids[2]).status).toBe(JOB_STATUS.PENDING);
+            expect(pool.position(ids[2])).toBe(1);
+
+            await finishFirst(pool);
+            await rendersStarted(2);
+            expect(rendering()).toEqual(['owner-b/b.jpg', 'owner-c/c.jpg']);
+        });
+
+        it('takes turns between owners instead of running one owner\'s backlog first', async () => {
+            const pool = poolQueue({ concurrency: 1 });
+            pool.add('owner-1', 'a');
+            const queued = [pool.add('owner-1', 'b'), pool.add('owner-1', 'c'), pool.add('owner-2', 'x')];
+            await rendersStarted(1);
+
+            expect(queued.map((id) => pool.position(id))).toEqual([1, 3, 2]);
+            const started = [];
+            for (let i = 0; i < 4; i += 1) {
+                await rendersStarted(1);
+                started.push(rendering()[0]);
+                await finishFirst(pool);
+            }
+            expect(started).toEqual(['owner-1/a.jpg', 'owner-1/b.jpg', 'owner-2/x.jpg', 'owner-1/c.jpg']);
+        });
+
+        it('refuses more jobs than the per-owner limit until one finishes', async () => {
+            const pool = poolQueue({ concurrency: 1 });
+            for (let i = 0; i < MAX_VIDEO_JOBS_PER_OWNER; i += 1) pool.add('owner-1', `cat-${i}`);
+            await rendersStarted(1);
+
+            expect(() => pool.add('owner-1', 'one-more')).toThrow(expect.objectContaining({
+                code: 'VIDEO_QUEUE_FULL',
+                limit: MAX_VIDEO_JOBS_PER_OWNER
+            }));
+            expect(pool.add('owner-2', 'cat-0')).toMatch(/^vid_/);
+
+            await finishFirst(pool);
+            expect(pool.activeCount('owner-1')).toBe(MAX_VIDEO_JOBS_PER_OWNER - 1);
+            expect(pool.add('owner-1', 'one-more')).toMatch(/^vid_/);
+        });
+
+        it('reports no position once a job is rendering', async () => {
+            const pool = poolQueue({ concurrency: 1 });
+            const jobId = pool.add('owner-1', 'a');
+            await rendersStarted(1);
+            expect(pool.get(jobId).status).toBe(JOB_STATUS.PROCESSING);
+            expect(pool.position(jobId)).toBeNull();
+        });
+    });
 });
@@ -0,0 +1,92 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { SupabaseVideoJobStore, FileVideoJobStore } = require('../lib/VideoJobStore');
+const { createSupabaseMock } = require('./helpers/supabaseMock');
+
+const job = (id, extra = {}) => ({
+    id,
+    ownerId: 'owner-1',
+    categoryId: 'cat-1',
+    status: 'pending',
+    progress: 0,
+    videoUrl: null,
+    publicId: null,
+    error: null,
+    attempts: 0,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    finishedAt: null,
+    ...extra
+});
+
+describe('SupabaseVideoJobStore', () => {
+    it('keeps job fields in columns and render options in options', async () => {
+        const supabase = createSupabaseMock([{ data: null, error: null }]);
+        await new SupabaseVideoJobStore(supabase).save(job('vid_1_a', { transitionType: 'cut', slideDuration: 4 }));
+
+        expect(supabase.calls[0].table).toBe('video_jobs');
+        expect(supabase.calls[0].ops[0]).toEqual(['upsert', expect.objectContaining({
+            id: 'vid_1_a',
+            owner_id: 'owner-1',
+            category_id: 'cat-1',
+            status: 'pending',
+            options: { transitionType: 'cut', slideDuration: 4 }
+        }), { onConflict: 'id' }]);
+    });
+
+    it('reads rows back into jobs', async () => {
+        const supabase = createSupabaseMock([{
+            data: {
+                id: 'vid_1_a', owner_id: 'owner-1', category_id: 'cat-1', status: 'completed', progress: 100,
+                video_url: 'https://c.com/v.mp4', public_id: 'v1', error: null, attempts: 1,
+                options: { transitionType: 'cut' },
+                created_at: '2026-01-01T00:00:00.000Z', updated_at: '2026-01-01T00:01:00.000Z', finished_at: '2026-01-01T00:01:00.000Z'
+            },
+            error: null
+        }]);
+        expect(await new SupabaseVideoJobStore(supabase).get('vid_1_a')).toEqual(job('vid_1_a', {
+            status: 'completed', progress: 100, videoUrl: 'https://c.com/v.mp4', publicId: 'v1', attempts: 1,
+            transitionType: 'cut', updatedAt: '2026-01-01T00:01:00.000Z', finishedAt: '2026-01-01T00:01:00.000Z'
+        }));
+        expect(await new SupabaseVideoJobStore(createSupabaseMock()).get('../other')).toBeNull();
+    });
+
+    it('lists only finished jobs older than the cutoff', async () => {
+        const supabase = createSupabaseMock([{ data: [{ id: 'vid_1_a', owner_id: 'owner-1', status: 'completed', public_id: 'v1' }], error: null }]);
+        const expired = await new SupabaseVideoJobStore(supabase).listFinishedBefore('2026-01-01T00:00:00.000Z');
+
+        expect(expired).toEqual([expect.objectContaining({ id: 'vid_1_a', publicId: 'v1' })]);
+        expect(supabase.calls[0].ops).toContainEqual(['in', 'status', ['completed', 'failed']]);
+        expect(supabase.calls[0].ops).toContainEqual(['lt', 'finished_at', '2026-01-01T00:00:00.000Z']);
+    });
+});
+
+describe('FileVideoJobStore', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = path.join(os.tmpdir(), `videojobs_test_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`);
+        store = new FileVideoJobStore({ dir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('lists unfinished jobs oldest first and an owner\'s jobs newest first', async () => {
+        await store.save(job('vid_2_b', { createdAt: '2026-01-02T00:00:00.000Z' }));
+        await store.save(job('vid_1_a', { status: 'processing' }));
+        await store.save(job('vid_3_c', { status: 'completed', createdAt: '2026-01-03T00:00:00.000Z' }));
+        await store.save(job('vid_4_d', { ownerId: 'owner-2', createdAt: '2026-01-04T00:00:00.000Z' }));
+
+        expect((await store.listUnfinished()).map((j) => j.id)).toEqual(['vid_1_a', 'vid_2_b', 'vid_4_d']);
+        expect((await store.listByOwner('owner-1', { limit: 2 })).map((j) => j.id)).toEqual(['vid_3_c', 'vid_2_b']);
+    });
+
+    it('refuses ids that are not job ids', async () => {
+        await expect(store.save(job('../../etc/passwd'))).rejects.toThrow('Invalid video job id');
+        expect(await store.get('../../etc/passwd')).toBeNull();
+    });
+});
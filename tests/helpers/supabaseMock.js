@@ -0,0 +1,38 @@
+/**
+ * Minimal chainable stand-in for the Supabase query builder.
+ * Each call to from() or rpc() consumes the next queued { data, error } result;
+ * every chained call is recorded on calls[n].ops for assertions (rpc(fn, args) as ['rpc', fn, args]).
+ */
+function createSupabaseMock(results = []) {
+    const calls = [];
+    const queue = [...results];
+    const start = (table, firstOp) => {
+        const call = { table, ops: firstOp ? [firstOp] : [] };
+        calls.push(call);
+        const result = queue.shift() || { data: null, error: null };
+        const builder = new Proxy({}, {
+            get(target, prop) {
+                if (prop === 'then') {
+                    return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+                }
+                return (...args) => {
+                    call.ops.push([prop, ...args]);
+                    return builder;
+                };
+            }
+        });
+        return builder;
+    };
+    return {
+        calls,
+        queue,
+        from(table) {
+            return start(table);
+        },
+        rpc(fn, args) {
+            return start(null, ['rpc', fn, args]);
+        }
+    };
+}
+
+module.exports = { createSupabaseMock };